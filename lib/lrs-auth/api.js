@@ -29,6 +29,9 @@ var joi = require('joi');
 var DB = require('../lrs-core/db');
 var log = require('../lrs-core/logger')('lrs-auth');
 
+// Bearer tokens are sent as `Authorization: Bearer <apiKey>`
+const BEARER_REGEX = /^Bearer\s+(\S+)\s*$/i;
+
 /**
  * Verify whether credentials provided through basic auth are valid and enhance
  * the request context with the credential information which contain all the access permissions
@@ -73,6 +76,50 @@ var verifyAuth = module.exports.verifyAuth = function(req, callback) {
   });
 };
 
+/**
+ * Verify whether an API key provided through Bearer authentication is valid and enhance the request context with the
+ * credential the API key belongs to. Caliper sensors authenticate this way
+ *
+ * @param  {Object}         req                         An Express request object that contains the API key as a Bearer token
+ * @param  {Function}       callback                    Standard callback function
+ * @param  {Object}         callback.err                An error that occurred, if any
+ */
+var verifyBearerAuth = module.exports.verifyBearerAuth = function(req, callback) {
+  // Extract the API key from the authorization header
+  var authorization = req.get('Authorization') || '';
+  var match = BEARER_REGEX.exec(authorization);
+  if (!match) {
+    return callback({code: 401, msg: 'Unauthenticated API request. Provide an API key as a Bearer token'});
+  }
+
+  var options = {
+    where: {
+      api_key: match[1]
+    },
+    include: [
+      {
+        model: DB.Tenant
+      }
+    ]
+  };
+
+  DB.Credential.findOne(options).complete(function(err, credential) {
+    if (err) {
+      log.error({err: err}, 'Failed to verify an API key');
+      return callback({code: 500, msg: err.message});
+    } else if (!credential) {
+      log.warn('Incorrect API key');
+      return callback({code: 401, msg: 'Unauthenticated API request. Provide an API key as a Bearer token'});
+    }
+
+    // Add the credential information to the request context
+    req.ctx = req.ctx || {};
+    req.ctx.auth = credential;
+
+    return callback();
+  });
+};
+
 /**
  * Get a credential based on the credential key and secret.
  * If no credential can be found for these, an invalid authentication
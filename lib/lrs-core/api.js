@@ -78,6 +78,11 @@ var initializeServer = function() {
   // Initialize the Express server
   var appServer = module.exports.appServer = Server.setUpServer();
 
+  // A router for the routes on /api that don't require authentication. These are matched before
+  // the authenticated routes
+  var publicRouter = module.exports.publicRouter = express.Router();
+  appServer.use('/api', publicRouter);
+
   // A router for all routes on /api
   var apiRouter = module.exports.apiRouter = express.Router();
   initializeAuthorizationMiddleware(apiRouter);
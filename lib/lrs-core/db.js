@@ -125,7 +125,8 @@ var setUpModel = function(sequelize) {
    * A tenant incorporates a set of users, data sources, data consumers, and learning record statements.
    * Examples: "UC Berkeley", "Stanford", "UCB Test Data".
    *
-   * @property  {String}      name         The name identifying the tenant
+   * @property  {String}      name                  The name identifying the tenant
+   * @property  {Object[]}    [identity_mapping]    The rules that map actors to users for the tenant's clients, overriding the `identity.mapping` configuration
    */
   var Tenant = module.exports.Tenant = sequelize.define('tenant', {
     name: {
@@ -135,24 +136,15 @@ var setUpModel = function(sequelize) {
     description: {
       type: Sequelize.STRING,
       allowNull: true
+    },
+    identity_mapping: {
+      type: Sequelize.JSONB,
+      allowNull: true
     }
   }, {
     underscored: true
   });
 
-  /**
-   * TODO We will want some sort of data-source-specific (i.e., Credential-specific) "Course" or "Context"
-   * table, used as a foreign key in the Statements table, to let clients fetch wider results for a particular
-   * set of related LRS events rather than being restricted to individual students. (E.g., "all discussion
-   * events for this Canvas website" or "all final grades for this this campus class".)
-   *
-   * Note that the context type of an LRS Statement varies by event data source, and may not be in an 1-to-1
-   * relationship with the contexts of other event data sources. In particular, at UC Berkeley a bCourses
-   * website does not reliably map to a single SIS-defined class section or class-with-multiple-sections, and
-   * a course offering for a given academic term may map to multiple class sections, some of which are graded
-   * independently.
-   */
-
   /**
    * The `users` table keeps track of each user for which a learning activity has been received or an Opt-Out
    * request has been made.
@@ -184,6 +176,166 @@ var setUpModel = function(sequelize) {
     }
   });
 
+  /**
+   * The `agent_identifiers` table keeps track of every xAPI inverse functional identifier that has been seen for a
+   * user. Together they make up the xAPI Person object of the user
+   *
+   * @property  {String}       type                    The type of the identifier: `mbox`, `mbox_sha1sum`, `openid` or `account`
+   * @property  {String}       value                   The value of the identifier. For accounts, this is the name of the account
+   * @property  {String}       [home_page]             The home page of the system the account belongs to, if the identifier is an account
+   * @property  {String}       [name]                  The name that was provided with the identifier, if any
+   * @property  {Foreign key}  tenant_id               The tenant in which the identifier has been seen
+   * @property  {Foreign key}  user_id                 The user the identifier belongs to
+   */
+  var AgentIdentifier = module.exports.AgentIdentifier = sequelize.define('agent_identifier', {
+    type: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    value: {
+      type: Sequelize.STRING(2048),
+      allowNull: false
+    },
+    home_page: {
+      type: Sequelize.STRING(2048),
+      allowNull: true
+    },
+    name: {
+      type: Sequelize.STRING,
+      allowNull: true
+    }
+  }, {
+    underscored: true,
+    indexes: [
+      // An identifier is unique within its tenant. As null values are never equal in a unique index, identifiers
+      // without a home page have their own unique index
+      {
+        unique: true,
+        fields: [
+          'tenant_id',
+          'type',
+          'value',
+          'home_page'
+        ],
+        where: {
+          home_page: {
+            [Sequelize.Op.ne]: null
+          }
+        }
+      },
+      {
+        unique: true,
+        fields: ['tenant_id', 'type', 'value'],
+        where: {
+          home_page: null
+        }
+      }
+    ]
+  });
+
+  // Every identifier will be associated with a tenant.
+  AgentIdentifier.belongsTo(Tenant, {
+    onDelete: 'CASCADE',
+    foreignKey: {
+      name: 'tenant_id',
+      allowNull: false
+    }
+  });
+
+  // Every identifier belongs to a user.
+  AgentIdentifier.belongsTo(User, {
+    onDelete: 'CASCADE',
+    foreignKey: {
+      name: 'user_id',
+      allowNull: false
+    }
+  });
+
+  /**
+   * The `actors` table keeps track of the actors of learning activity statements that are not a single person, such as
+   * xAPI groups and Caliper organizations, groups and software applications. Anonymous xAPI groups have no identifier of
+   * their own and are identified by their members
+   *
+   * @property  {String}       type                    The type of the actor, e.g. `Group`, `Organization` or `SoftwareApplication`
+   * @property  {String}       identifier              The identifier of the actor within its type, e.g. the IRI of a Caliper actor
+   * @property  {String}       [name]                  The name of the actor, if any
+   * @property  {Object}       definition              The latest JSON representation of the actor
+   * @property  {Foreign key}  tenant_id               The tenant in which the actor has been seen
+   */
+  var Actor = module.exports.Actor = sequelize.define('actor', {
+    type: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    identifier: {
+      type: Sequelize.STRING(2048),
+      allowNull: false
+    },
+    name: {
+      type: Sequelize.STRING,
+      allowNull: true
+    },
+    definition: {
+      type: Sequelize.JSONB,
+      allowNull: false
+    }
+  }, {
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['tenant_id', 'type', 'identifier']
+      }
+    ]
+  });
+
+  // Every actor will be associated with a tenant.
+  Actor.belongsTo(Tenant, {
+    onDelete: 'CASCADE',
+    foreignKey: {
+      name: 'tenant_id',
+      allowNull: false
+    }
+  });
+
+  /**
+   * The `actor_members` table keeps track of the users that are members of a group, team or organization actor, so the
+   * statements of the actor can be included in the activity of each of its members
+   *
+   * @property  {Foreign key}  actor_id                The actor the user is a member of
+   * @property  {Foreign key}  user_id                 The user that is a member of the actor
+   */
+  var ActorMember = module.exports.ActorMember = sequelize.define('actor_member', {}, {
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['actor_id', 'user_id']
+      },
+      {
+        fields: [ 'user_id' ]
+      }
+    ]
+  });
+
+  // Every membership belongs to an actor.
+  ActorMember.belongsTo(Actor, {
+    onDelete: 'CASCADE',
+    foreignKey: {
+      name: 'actor_id',
+      allowNull: false
+    }
+  });
+
+  // Every membership belongs to a user.
+  ActorMember.belongsTo(User, {
+    onDelete: 'CASCADE',
+    foreignKey: {
+      name: 'user_id',
+      allowNull: false
+    }
+  });
+
   /**
    * The `credentials` table identifies and authorizes software integrations which produce or consume Learning Record
    * Store data. Consumers such as research projects will set the `datashare` flag as well as `read_permission` to
@@ -193,9 +345,13 @@ var setUpModel = function(sequelize) {
    * @property  {String}       [description]           The description of the project
    * @property  {String}       key                     The key used for authentication
    * @property  {String}       secret                  The secret used for authentication
+   * @property  {String}       [api_key]               The API key used for Bearer authentication by Caliper sensors
    * @property  {Boolean}      read_permission         Whether the client has access to read learning activities from LRS
    * @property  {Boolean}      write_permission        Whether the client has access to write learning activities to LRS
    * @property  {Boolean}      datashare               Whether read permissions apply across the Tenant unless vetoed by Opt-Outs
+   * @property  {Boolean}      authority_permission    Whether the client is trusted to assert the authority of the statements it writes
+   * @property  {Boolean}      admin_permission        Whether the client has access to the administrative APIs of its tenant, such as the context mappings
+   * @property  {Object[]}     [identity_mapping]      The rules that map actors to users for the client, overriding the rules of its tenant
    * @property  {Boolean}      anonymous               Whether the client only has access to anonymized learning activities
    * @property  {Foreign key}  tenant_id               The tenant associated with this client
    */
@@ -217,6 +373,11 @@ var setUpModel = function(sequelize) {
       type: Sequelize.STRING,
       allowNull: false
     },
+    api_key: {
+      type: Sequelize.STRING,
+      allowNull: true,
+      unique: true
+    },
     anonymous: {
       type: Sequelize.BOOLEAN,
       defaultValue: false,
@@ -237,9 +398,23 @@ var setUpModel = function(sequelize) {
       defaultValue: false,
       allowNull: false
     },
+    authority_permission: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+      allowNull: false
+    },
+    admin_permission: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+      allowNull: false
+    },
     sqs_url: {
       type: Sequelize.STRING,
       allowNull: true
+    },
+    identity_mapping: {
+      type: Sequelize.JSONB,
+      allowNull: true
     }
   }, {
     underscored: true
@@ -289,6 +464,148 @@ var setUpModel = function(sequelize) {
     }
   });
 
+  /**
+   * The `courses` table keeps track of the data-source-specific contexts, such as Canvas course sites and Caliper
+   * course offerings, in which learning activities take place. Statements are linked to the course they took place
+   * in so clients can fetch the related events of a course rather than being restricted to individual students.
+   * Contexts that are defined by the SIS, such as class sections and classes, are kept as courses as well
+   *
+   * Note that the context of a statement varies by event data source, and may not be in a 1-to-1 relationship with
+   * the contexts of other event data sources. In particular, at UC Berkeley a bCourses website does not reliably map
+   * to a single SIS-defined class section or class-with-multiple-sections, and a course offering for a given academic
+   * term may map to multiple class sections, some of which are graded independently. These relationships are kept in
+   * the `context_mappings` table
+   *
+   * @property  {Number}       [canvas_course_id]      The id of the course site in Canvas, if known
+   * @property  {String}       [name]                  The name of the course
+   * @property  {String}       [privacydashboard_url]  The URL where the privacy dashboard in the course can be reached
+   * @property  {Boolean}      active                  Whether the course is still in use
+   * @property  {String}       [context_iri]           The IRI by which learning activity statements refer to the course, if any
+   * @property  {String}       [context_type]          The type of the context in the data source, e.g. a Caliper `CourseOffering` or a `sis_section`
+   * @property  {String}       [sis_id]                The id of the context in the SIS, if it is defined by the SIS
+   * @property  {Foreign key}  tenant_id               The tenant the course belongs to
+   * @property  {Foreign key}  credential_id           The credential of the data source that first reported the course, if any
+   */
+  var Course = module.exports.Course = sequelize.define('course', {
+    canvas_course_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    name: {
+      type: Sequelize.STRING,
+      allowNull: true
+    },
+    privacydashboard_url: {
+      type: Sequelize.STRING,
+      allowNull: true
+    },
+    active: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: true,
+      allowNull: false
+    },
+    context_iri: {
+      type: Sequelize.STRING(2048),
+      allowNull: true
+    },
+    context_type: {
+      type: Sequelize.STRING,
+      allowNull: true
+    },
+    sis_id: {
+      type: Sequelize.STRING,
+      allowNull: true
+    }
+  }, {
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['tenant_id', 'canvas_course_id']
+      },
+      {
+        unique: true,
+        fields: ['tenant_id', 'context_iri']
+      },
+      {
+        unique: true,
+        fields: ['tenant_id', 'context_type', 'sis_id']
+      }
+    ]
+  });
+
+  // Every course belongs to a tenant
+  Course.belongsTo(Tenant, {
+    onDelete: 'CASCADE',
+    foreignKey: {
+      name: 'tenant_id',
+      allowNull: false
+    }
+  });
+
+  // Courses that were reported by a data source keep track of that data source
+  Course.belongsTo(Credential, {
+    onDelete: 'SET NULL',
+    foreignKey: {
+      name: 'credential_id',
+      allowNull: true
+    }
+  });
+
+  /**
+   * The `context_mappings` table keeps track of the typed relationships between the contexts of different data sources,
+   * such as a Canvas course site that includes several SIS class sections
+   *
+   * @property  {String}       relationship            The type of the relationship, e.g. `includes`
+   * @property  {Foreign key}  source_id               The course the relationship is defined from
+   * @property  {Foreign key}  target_id               The course the relationship is defined to
+   * @property  {Foreign key}  tenant_id               The tenant the courses belong to
+   */
+  var ContextMapping = module.exports.ContextMapping = sequelize.define('context_mapping', {
+    relationship: {
+      type: Sequelize.STRING,
+      allowNull: false
+    }
+  }, {
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['source_id', 'target_id', 'relationship']
+      },
+      {
+        fields: [ 'target_id' ]
+      }
+    ]
+  });
+
+  // Every context mapping belongs to a tenant
+  ContextMapping.belongsTo(Tenant, {
+    onDelete: 'CASCADE',
+    foreignKey: {
+      name: 'tenant_id',
+      allowNull: false
+    }
+  });
+
+  // A context mapping relates a source course to a target course
+  ContextMapping.belongsTo(Course, {
+    as: 'source',
+    onDelete: 'CASCADE',
+    foreignKey: {
+      name: 'source_id',
+      allowNull: false
+    }
+  });
+
+  ContextMapping.belongsTo(Course, {
+    as: 'target',
+    onDelete: 'CASCADE',
+    foreignKey: {
+      name: 'target_id',
+      allowNull: false
+    }
+  });
 
   /**
    * The `statements` table keeps track of all learning activities
@@ -298,12 +615,16 @@ var setUpModel = function(sequelize) {
    * @property  {String}       verb                    The verb of the learning activity
    * @property  {Date}         timestamp               The time at which the learning activity took place
    * @property  {String}       activity_type           An aggregated learning activity type containing the verb and object type (e.g., read_page)
-   * @property  {String}       actor_type              If the actor agent was a Person, Software App, etc.
+   * @property  {String}       [actor_type]            If the actor agent was a Person, Software App, etc. Unknown when the actor is only referenced by an IRI that hasn't been described
    * @property  {String}       statement_type          If the statement is in XAPI or CALIPER format
    * @property  {String}       statement_version       Version of the statement
    * @property  {Boolean}      voided                  Whether the learning activity statement has been voided
+   * @property  {Boolean}      verified                Whether the signature of a signed learning activity statement has been verified
+   * @property  {String}       [sensor]                The IRI of the Caliper sensor that sent the statement, if it was sent in a Caliper envelope
    * @property  {Foreign key}  tenant_id               The tenant which provides the context of this statement
    * @property  {Foreign key}  user_id                 The user referred to by the statement, if any
+   * @property  {Foreign key}  actor_id                The non-person actor of the statement, if any
+   * @property  {Foreign key}  course_id               The course the learning activity took place in, if known
    * @property  {Foreign key}  credential_id           The credential of the client which stored this statement
    */
   var Statement = module.exports.Statement = sequelize.define('statement', {
@@ -313,7 +634,7 @@ var setUpModel = function(sequelize) {
       primaryKey: true
     },
     statement: {
-      type: Sequelize.STRING(65000),
+      type: Sequelize.JSONB,
       allowNull: false
     },
     verb: {
@@ -330,7 +651,7 @@ var setUpModel = function(sequelize) {
     },
     actor_type: {
       type: Sequelize.STRING,
-      allowNull: false
+      allowNull: true
     },
     statement_type: {
       type: Sequelize.STRING,
@@ -344,9 +665,60 @@ var setUpModel = function(sequelize) {
       type: Sequelize.BOOLEAN,
       defaultValue: false,
       allowNull: false
+    },
+    verified: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+      allowNull: false
+    },
+    sensor: {
+      type: Sequelize.STRING(2048),
+      allowNull: true
     }
   }, {
-    underscored: true
+    underscored: true,
+    indexes: [
+      // Serves the per-user read paths
+      {
+        name: 'statements_user_id_tenant_id_timestamp',
+        fields: ['user_id', 'tenant_id', 'timestamp']
+      },
+      // Serves the per-course read paths
+      {
+        name: 'statements_course_id_timestamp',
+        fields: ['course_id', 'timestamp']
+      },
+      // Serves ad-hoc containment queries on the statement
+      {
+        name: 'statements_statement',
+        using: 'gin',
+        operator: 'jsonb_path_ops',
+        fields: [ 'statement' ]
+      },
+      {
+        name: 'statements_actor',
+        using: 'gin',
+        fields: [ Sequelize.literal('(statement->\'actor\') jsonb_path_ops') ]
+      },
+      {
+        name: 'statements_object_id',
+        fields: [ Sequelize.literal('(statement->\'object\'->>\'id\')') ]
+      },
+      {
+        name: 'statements_context_registration',
+        fields: [ Sequelize.literal('(statement->\'context\'->>\'registration\')') ]
+      },
+      {
+        name: 'statements_context_parent',
+        using: 'gin',
+        fields: [ Sequelize.literal('(statement->\'context\'->\'contextActivities\'->\'parent\') jsonb_path_ops') ]
+      },
+      // Caliper events are grouped by the course offering they took place in
+      {
+        name: 'statements_group_id',
+        fields: [ Sequelize.literal('(statement->\'group\'->>\'id\')') ]
+      }
+    ]
   });
 
   // Every statement will be associated with a tenant.
@@ -368,6 +740,24 @@ var setUpModel = function(sequelize) {
     }
   });
 
+  // Statements by groups, teams, organizations and software applications are associated with a non-person actor.
+  Statement.belongsTo(Actor, {
+    onDelete: 'CASCADE',
+    foreignKey: {
+      name: 'actor_id',
+      allowNull: true
+    }
+  });
+
+  // Statements that took place in a course are associated with that course.
+  Statement.belongsTo(Course, {
+    onDelete: 'SET NULL',
+    foreignKey: {
+      name: 'course_id',
+      allowNull: true
+    }
+  });
+
   // A statement will have been stored by a client whose credential has write permission.
   Statement.belongsTo(Credential, {
     onDelete: 'CASCADE',
@@ -377,4 +767,370 @@ var setUpModel = function(sequelize) {
     }
   });
 
+  /**
+   * The `attachments` table is a content-addressed store of the payloads of xAPI statement attachments. Payloads
+   * are keyed by their tenant and their SHA-256 hash, so a payload that is attached to multiple statements in a
+   * tenant is only stored once
+   *
+   * @property  {String}       sha2                    The hex encoded SHA-256 hash of the payload
+   * @property  {Buffer}       content                 The raw payload
+   * @property  {String}       content_type            The content type of the payload
+   * @property  {Number}       length                  The length of the payload in octets
+   * @property  {Foreign key}  tenant_id               The tenant in which the payload has been stored
+   */
+  var Attachment = module.exports.Attachment = sequelize.define('attachment', {
+    sha2: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    content: {
+      type: Sequelize.BLOB,
+      allowNull: false
+    },
+    content_type: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    length: {
+      type: Sequelize.INTEGER,
+      allowNull: false
+    }
+  }, {
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['tenant_id', 'sha2']
+      }
+    ]
+  });
+
+  // Every attachment will be associated with a tenant.
+  Attachment.belongsTo(Tenant, {
+    onDelete: 'CASCADE',
+    foreignKey: {
+      name: 'tenant_id',
+      allowNull: false
+    }
+  });
+
+  /**
+   * The `activities` table keeps track of the latest canonical xAPI definition of every activity that has been
+   * the object of a learning activity statement
+   *
+   * @property  {String}       activity_id             The IRI of the activity
+   * @property  {Object}       definition              The xAPI activity definition, including its names, descriptions and interaction type
+   * @property  {Foreign key}  tenant_id               The tenant in which the activity has been seen
+   */
+  var Activity = module.exports.Activity = sequelize.define('activity', {
+    activity_id: {
+      type: Sequelize.STRING(2048),
+      allowNull: false
+    },
+    definition: {
+      type: Sequelize.JSONB,
+      allowNull: false
+    }
+  }, {
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['tenant_id', 'activity_id']
+      }
+    ]
+  });
+
+  // Every activity will be associated with a tenant.
+  Activity.belongsTo(Tenant, {
+    onDelete: 'CASCADE',
+    foreignKey: {
+      name: 'tenant_id',
+      allowNull: false
+    }
+  });
+
+  /**
+   * The `entities` table is a registry of the Caliper entities, such as courses, assignments and people, that have been
+   * described by Caliper sensors. Events that reference an entity can be resolved to its latest description
+   *
+   * @property  {String}       iri                     The IRI of the entity
+   * @property  {String}       type                    The Caliper type of the entity
+   * @property  {Object}       properties              The latest description of the entity
+   * @property  {Number}       version                 The version of the latest description of the entity
+   * @property  {Foreign key}  tenant_id               The tenant in which the entity has been described
+   */
+  var Entity = module.exports.Entity = sequelize.define('entity', {
+    iri: {
+      type: Sequelize.STRING(2048),
+      allowNull: false
+    },
+    type: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    properties: {
+      type: Sequelize.JSONB,
+      allowNull: false
+    },
+    version: {
+      type: Sequelize.INTEGER,
+      defaultValue: 1,
+      allowNull: false
+    }
+  }, {
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['tenant_id', 'iri']
+      }
+    ]
+  });
+
+  // Every entity will be associated with a tenant.
+  Entity.belongsTo(Tenant, {
+    onDelete: 'CASCADE',
+    foreignKey: {
+      name: 'tenant_id',
+      allowNull: false
+    }
+  });
+
+  /**
+   * The `entity_versions` table keeps the history of the descriptions of every entity in the entity registry
+   *
+   * @property  {Number}       version                 The version of the description
+   * @property  {Object}       properties              The description of the entity
+   * @property  {String}       [sensor]                The IRI of the Caliper sensor that sent the description, if known
+   * @property  {Foreign key}  entity_id               The entity the description belongs to
+   */
+  var EntityVersion = module.exports.EntityVersion = sequelize.define('entity_version', {
+    version: {
+      type: Sequelize.INTEGER,
+      allowNull: false
+    },
+    properties: {
+      type: Sequelize.JSONB,
+      allowNull: false
+    },
+    sensor: {
+      type: Sequelize.STRING(2048),
+      allowNull: true
+    }
+  }, {
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['entity_id', 'version']
+      }
+    ]
+  });
+
+  // Every version belongs to an entity.
+  EntityVersion.belongsTo(Entity, {
+    onDelete: 'CASCADE',
+    foreignKey: {
+      name: 'entity_id',
+      allowNull: false
+    }
+  });
+
+  /**
+   * The `states` table keeps track of the xAPI Activity State documents. A state document is scoped to an activity,
+   * an agent and optionally a registration, and is typically used by learning content to store bookmarks and suspend data
+   *
+   * @property  {String}       activity_id             The IRI of the activity the state document belongs to
+   * @property  {String}       agent_ifi               The JSON encoded inverse functional identifier of the agent the state document belongs to
+   * @property  {String}       [registration]          The registration UUID the state document belongs to, if any
+   * @property  {String}       state_id                The id of the state document within its activity, agent and registration
+   * @property  {Buffer}       content                 The raw content of the state document
+   * @property  {String}       content_type            The content type of the state document
+   * @property  {String}       etag                    The SHA-1 hash of the content of the state document
+   * @property  {Foreign key}  tenant_id               The tenant which provides the context of this state document
+   */
+  var State = module.exports.State = sequelize.define('state', {
+    activity_id: {
+      type: Sequelize.STRING(2048),
+      allowNull: false
+    },
+    agent_ifi: {
+      type: Sequelize.STRING(2048),
+      allowNull: false
+    },
+    registration: {
+      type: Sequelize.STRING,
+      allowNull: true
+    },
+    state_id: {
+      type: Sequelize.STRING(2048),
+      allowNull: false
+    },
+    content: {
+      type: Sequelize.BLOB,
+      allowNull: false
+    },
+    content_type: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    etag: {
+      type: Sequelize.STRING,
+      allowNull: false
+    }
+  }, {
+    underscored: true,
+    indexes: [
+      {
+        fields: [
+          'tenant_id',
+          'activity_id',
+          'agent_ifi',
+          'registration'
+        ]
+      },
+      // A state document is unique within its activity, agent and registration. As null values are never equal in
+      // a unique index, state documents without a registration have their own unique index
+      {
+        unique: true,
+        fields: [
+          'tenant_id',
+          'activity_id',
+          'agent_ifi',
+          'registration',
+          'state_id'
+        ],
+        where: {
+          registration: {
+            [Sequelize.Op.ne]: null
+          }
+        }
+      },
+      {
+        unique: true,
+        fields: [
+          'tenant_id',
+          'activity_id',
+          'agent_ifi',
+          'state_id'
+        ],
+        where: {
+          registration: null
+        }
+      }
+    ]
+  });
+
+  // Every state document will be associated with a tenant.
+  State.belongsTo(Tenant, {
+    onDelete: 'CASCADE',
+    foreignKey: {
+      name: 'tenant_id',
+      allowNull: false
+    }
+  });
+
+  /**
+   * The `activity_profiles` table keeps track of the xAPI Activity Profile documents, which hold arbitrary data about
+   * an activity that isn't scoped to an agent
+   *
+   * @property  {String}       activity_id             The IRI of the activity the profile document belongs to
+   * @property  {String}       profile_id              The id of the profile document within its activity
+   * @property  {Buffer}       content                 The raw content of the profile document
+   * @property  {String}       content_type            The content type of the profile document
+   * @property  {String}       etag                    The SHA-1 hash of the content of the profile document
+   * @property  {Foreign key}  tenant_id               The tenant which provides the context of this profile document
+   */
+  var ActivityProfile = module.exports.ActivityProfile = sequelize.define('activity_profile', {
+    activity_id: {
+      type: Sequelize.STRING(2048),
+      allowNull: false
+    },
+    profile_id: {
+      type: Sequelize.STRING(2048),
+      allowNull: false
+    },
+    content: {
+      type: Sequelize.BLOB,
+      allowNull: false
+    },
+    content_type: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    etag: {
+      type: Sequelize.STRING,
+      allowNull: false
+    }
+  }, {
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['tenant_id', 'activity_id', 'profile_id']
+      }
+    ]
+  });
+
+  // Every activity profile document will be associated with a tenant.
+  ActivityProfile.belongsTo(Tenant, {
+    onDelete: 'CASCADE',
+    foreignKey: {
+      name: 'tenant_id',
+      allowNull: false
+    }
+  });
+
+  /**
+   * The `agent_profiles` table keeps track of the xAPI Agent Profile documents, which hold arbitrary data about
+   * an agent. Agent profile documents are keyed by the inverse functional identifier of the agent
+   *
+   * @property  {String}       agent_ifi               The JSON encoded inverse functional identifier of the agent the profile document belongs to
+   * @property  {String}       profile_id              The id of the profile document within its agent
+   * @property  {Buffer}       content                 The raw content of the profile document
+   * @property  {String}       content_type            The content type of the profile document
+   * @property  {String}       etag                    The SHA-1 hash of the content of the profile document
+   * @property  {Foreign key}  tenant_id               The tenant which provides the context of this profile document
+   */
+  var AgentProfile = module.exports.AgentProfile = sequelize.define('agent_profile', {
+    agent_ifi: {
+      type: Sequelize.STRING(2048),
+      allowNull: false
+    },
+    profile_id: {
+      type: Sequelize.STRING(2048),
+      allowNull: false
+    },
+    content: {
+      type: Sequelize.BLOB,
+      allowNull: false
+    },
+    content_type: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    etag: {
+      type: Sequelize.STRING,
+      allowNull: false
+    }
+  }, {
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['tenant_id', 'agent_ifi', 'profile_id']
+      }
+    ]
+  });
+
+  // Every agent profile document will be associated with a tenant.
+  AgentProfile.belongsTo(Tenant, {
+    onDelete: 'CASCADE',
+    foreignKey: {
+      name: 'tenant_id',
+      allowNull: false
+    }
+  });
+
 };
@@ -66,8 +66,10 @@ var setUpServer = module.exports.setUpServer = function() {
     extended: false
   }));
 
-  // Parse application/json
-  app.use(bodyParser.json());
+  // Parse application/json. Batches of learning activity statements can get large
+  app.use(bodyParser.json({
+    limit: config.get('app.requestSizeLimit')
+  }));
 
   /* !
    * Referer-based CSRF protection. If the request is not safe (e.g., POST, DELETE) and the origin of the request (as
@@ -106,6 +108,12 @@ var setUpServer = module.exports.setUpServer = function() {
 
   // Catch-all error handler
   app.use(function(err, req, res, next) {
+    // Request bodies that can't be parsed are rejected as bad requests
+    if (err.type === 'entity.parse.failed') {
+      log.warn({err: err}, 'Rejected a request with a malformed body');
+      return abort(res, 400, 'The request body could not be parsed');
+    }
+
     log.error({
       err: err,
       req: req,
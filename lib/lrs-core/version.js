@@ -0,0 +1,255 @@
+/**
+ * Copyright ©2018. The Regents of the University of California (Regents). All Rights Reserved.
+ *
+ * Permission to use, copy, modify, and distribute this software and its documentation
+ * for educational, research, and not-for-profit purposes, without fee and without a
+ * signed licensing agreement, is hereby granted, provided that the above copyright
+ * notice, this paragraph and the following two paragraphs appear in all copies,
+ * modifications, and distributions.
+ *
+ * Contact The Office of Technology Licensing, UC Berkeley, 2150 Shattuck Avenue,
+ * Suite 510, Berkeley, CA 94720-1620, (510) 643-7201, otl@berkeley.edu,
+ * http://ipira.berkeley.edu/industry-info for commercial licensing opportunities.
+ *
+ * IN NO EVENT SHALL REGENTS BE LIABLE TO ANY PARTY FOR DIRECT, INDIRECT, SPECIAL,
+ * INCIDENTAL, OR CONSEQUENTIAL DAMAGES, INCLUDING LOST PROFITS, ARISING OUT OF
+ * THE USE OF THIS SOFTWARE AND ITS DOCUMENTATION, EVEN IF REGENTS HAS BEEN ADVISED
+ * OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * REGENTS SPECIFICALLY DISCLAIMS ANY WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE. THE
+ * SOFTWARE AND ACCOMPANYING DOCUMENTATION, IF ANY, PROVIDED HEREUNDER IS PROVIDED
+ * "AS IS". REGENTS HAS NO OBLIGATION TO PROVIDE MAINTENANCE, SUPPORT, UPDATES,
+ * ENHANCEMENTS, OR MODIFICATIONS.
+ */
+
+var _ = require('lodash');
+
+var log = require('./logger')('lrs-core');
+
+const VERSION_HEADER = 'X-Experience-API-Version';
+const DEFAULT_VERSION = '1.0.0';
+
+// The xAPI versions that are accepted by the Learning Record Store. Version 2.0.0 is IEEE 9274.1.1
+const SUPPORTED_VERSIONS = module.exports.SUPPORTED_VERSIONS = [
+  '1.0.0',
+  '1.0.1',
+  '1.0.2',
+  '1.0.3',
+  '2.0.0'
+];
+
+// The latest supported patch version for each supported minor version, used in responses
+const RESPONSE_VERSIONS = {
+  '1.0': '1.0.3',
+  '2.0': '2.0.0'
+};
+
+// IEEE 9274.1.1 requires every timestamp to include a time zone offset
+const TIMEZONE_REGEX = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+/**
+ * Express middleware for the xAPI resources that negotiates the xAPI version of a request through the
+ * `X-Experience-API-Version` header. Requests without the header or for an unsupported version are rejected
+ *
+ * @param  {Request}          req                   The express request object
+ * @param  {Response}         res                   The express response object
+ * @param  {Function}         next                  The next middleware in the chain
+ */
+var requireVersion = module.exports.requireVersion = function(req, res, next) {
+  if (!req.get(VERSION_HEADER)) {
+    log.warn('Rejected an xAPI request without an xAPI version');
+    res.set(VERSION_HEADER, RESPONSE_VERSIONS['1.0']);
+    return res.status(400).send('The ' + VERSION_HEADER + ' header is required');
+  }
+
+  return negotiateVersion(req, res, next);
+};
+
+/**
+ * Express middleware that negotiates the xAPI version of a request through the `X-Experience-API-Version`
+ * header when it is provided. Requests for an unsupported version are rejected. The negotiated version is made
+ * available as `req.xapiVersion` and every response includes the `X-Experience-API-Version` header
+ *
+ * @param  {Request}          req                   The express request object
+ * @param  {Response}         res                   The express response object
+ * @param  {Function}         next                  The next middleware in the chain
+ */
+var negotiateVersion = module.exports.negotiateVersion = function(req, res, next) {
+  var requestedVersion = req.get(VERSION_HEADER);
+  var version = null;
+
+  if (requestedVersion) {
+    version = parseVersion(requestedVersion);
+    if (!version) {
+      log.warn({version: requestedVersion}, 'Rejected a request for an unsupported xAPI version');
+      res.set(VERSION_HEADER, RESPONSE_VERSIONS['1.0']);
+      return res.status(400).send('xAPI version ' + requestedVersion + ' is not supported');
+    }
+  }
+
+  req.xapiVersion = version;
+  res.set(VERSION_HEADER, getResponseVersion(version));
+  return next();
+};
+
+/**
+ * Parse an xAPI version. Versions that omit the patch number (e.g., `1.0`) are accepted
+ *
+ * @param  {String}           version               The xAPI version to parse
+ * @return {String}                                 The full supported xAPI version. `null` if the version is not supported
+ */
+var parseVersion = module.exports.parseVersion = function(version) {
+  if (!_.isString(version)) {
+    return null;
+  }
+
+  var parts = version.trim().split('.');
+  if (parts.length === 2) {
+    parts.push('0');
+  }
+
+  var fullVersion = parts.join('.');
+  return _.includes(SUPPORTED_VERSIONS, fullVersion) ? fullVersion : null;
+};
+
+/**
+ * Get the xAPI version that is reported in responses for a negotiated xAPI version
+ *
+ * @param  {String}           [version]             The negotiated xAPI version
+ * @return {String}                                 The xAPI version that is reported in responses
+ */
+var getResponseVersion = module.exports.getResponseVersion = function(version) {
+  return isVersion2(version) ? RESPONSE_VERSIONS['2.0'] : RESPONSE_VERSIONS['1.0'];
+};
+
+/**
+ * Get the xAPI version a statement should be stored with. This is the version on the statement itself
+ * or, when the statement doesn't specify a version, the version that was negotiated for the request
+ *
+ * @param  {String}           requestVersion        The xAPI version that was negotiated for the request, if any
+ * @param  {Object}           statement             The xAPI statement to get the version for
+ * @return {Object}                                 An object containing the full `version` or the validation `error`
+ */
+var getStatementVersion = module.exports.getStatementVersion = function(requestVersion, statement) {
+  if (!statement.version) {
+    return {version: requestVersion || DEFAULT_VERSION};
+  }
+
+  var version = parseVersion(statement.version);
+  if (!version) {
+    return {error: {code: 400, msg: 'xAPI version ' + statement.version + ' is not supported'}};
+  } else if (requestVersion && isVersion2(requestVersion) !== isVersion2(version)) {
+    return {error: {code: 400, msg: 'The statement version does not match the ' + VERSION_HEADER + ' header'}};
+  }
+
+  return {version: version};
+};
+
+/**
+ * Check whether an xAPI version is a 2.0 version
+ *
+ * @param  {String}           [version]             The xAPI version to check
+ * @return {Boolean}                                `true` if the version is a 2.0 version, `false` otherwise
+ */
+var isVersion2 = module.exports.isVersion2 = function(version) {
+  return !!version && version.indexOf('2.0') === 0;
+};
+
+/**
+ * Validate the rules that are specific to the xAPI version of a statement. IEEE 9274.1.1 (xAPI 2.0) requires
+ * timestamps to include a time zone and introduces the `contextAgents` and `contextGroups` context properties,
+ * which are not allowed in earlier versions
+ *
+ * @param  {String}           version               The xAPI version of the statement
+ * @param  {Object}           statement             The xAPI statement to validate
+ * @return {String[]}                               The validation errors. An empty array if the statement is valid
+ */
+var validateVersionRules = module.exports.validateVersionRules = function(version, statement) {
+  var errors = [];
+  var context = statement.context || {};
+
+  if (!isVersion2(version)) {
+    if (context.contextAgents || context.contextGroups) {
+      errors.push('contextAgents and contextGroups are only allowed in xAPI 2.0 statements');
+    }
+    return errors;
+  }
+
+  // Every timestamp should include a time zone
+  _.each(['timestamp', 'stored'], function(property) {
+    if (statement[property] && !hasTimezone(statement[property])) {
+      errors.push(property + ' should include a time zone offset');
+    }
+  });
+  if (statement.object && statement.object.objectType === 'SubStatement' && statement.object.timestamp && !hasTimezone(statement.object.timestamp)) {
+    errors.push('object.timestamp should include a time zone offset');
+  }
+
+  errors = errors.concat(validateContextActors(context.contextAgents, 'contextAgent', 'agent'));
+  errors = errors.concat(validateContextActors(context.contextGroups, 'contextGroup', 'group'));
+
+  return errors;
+};
+
+/**
+ * Validate the `contextAgents` or `contextGroups` of an xAPI 2.0 statement context
+ *
+ * @param  {Object[]}         [contextActors]       The context agents or context groups to validate
+ * @param  {String}           objectType            The expected object type of each entry (`contextAgent` or `contextGroup`)
+ * @param  {String}           actorProperty         The property holding the agent or group of each entry (`agent` or `group`)
+ * @return {String[]}                               The validation errors. An empty array if all entries are valid
+ * @api private
+ */
+var validateContextActors = function(contextActors, objectType, actorProperty) {
+  if (contextActors === undefined) {
+    return [];
+  } else if (!_.isArray(contextActors)) {
+    return [ objectType + 's should be an array' ];
+  }
+
+  var errors = [];
+  _.each(contextActors, function(contextActor, index) {
+    var path = objectType + 's[' + index + ']';
+    if (!_.isPlainObject(contextActor) || contextActor.objectType !== objectType) {
+      errors.push(path + '.objectType should be ' + objectType);
+      return;
+    }
+
+    if (!_.isPlainObject(contextActor[actorProperty])) {
+      errors.push(path + '.' + actorProperty + ' is required');
+    }
+
+    if (contextActor.relevantTypes !== undefined) {
+      var validRelevantTypes = _.isArray(contextActor.relevantTypes) && contextActor.relevantTypes.length > 0 && _.every(contextActor.relevantTypes, isIRI);
+      if (!validRelevantTypes) {
+        errors.push(path + '.relevantTypes should be a non-empty array of IRIs');
+      }
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Check whether a timestamp includes a time zone offset. The `-00:00` offset, which indicates an unknown
+ * time zone, is not accepted
+ *
+ * @param  {String}           timestamp             The ISO 8601 timestamp to check
+ * @return {Boolean}                                `true` if the timestamp includes a time zone offset, `false` otherwise
+ * @api private
+ */
+var hasTimezone = function(timestamp) {
+  return TIMEZONE_REGEX.test(timestamp) && !(/-00:?00$/).test(timestamp);
+};
+
+/**
+ * Check whether a value is an absolute IRI
+ *
+ * @param  {String}           value                 The value to check
+ * @return {Boolean}                                `true` if the value is an absolute IRI, `false` otherwise
+ * @api private
+ */
+var isIRI = function(value) {
+  return _.isString(value) && (/^[a-z][a-z0-9+.-]*:\S+$/i).test(value);
+};
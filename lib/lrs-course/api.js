@@ -23,10 +23,43 @@
  * ENHANCEMENTS, OR MODIFICATIONS.
  */
 
+var _ = require('lodash');
+var config = require('config');
 var Joi = require('joi');
+var moment = require('moment');
+var Sequelize = require('sequelize');
 
 var DB = require('../lrs-core/db');
 var log = require('../lrs-core/logger')('lrs-course');
+var CourseMappings = require('./mappings');
+var LRSUtil = require('../lrs-core/util');
+var StatementEntities = require('../lrs-statements/entities');
+var StatementUtil = require('../lrs-statements/util');
+
+const Op = Sequelize.Op;
+
+const CALIPER = 'CALIPER';
+
+// The users that have opted out of sharing their data with a credential. Their statements are never returned to it
+const OPTED_OUT_USERS_QUERY = 'SELECT user_id FROM opt_outs WHERE credential_id = ?';
+
+// The periods over which the total number of learning activities in a course can be counted, and their labels
+const PERIODS = {
+  month: {
+    unit: 'month',
+    startOf: 'month',
+    format: 'MMMM YYYY'
+  },
+  week: {
+    unit: 'week',
+    startOf: 'isoWeek',
+    format: 'YYYY-MM-DD'
+  }
+};
+
+// Canvas prefixes the ids of the objects in a sharded instance with the id of their shard, followed by 13 digits
+// that hold the id of the object within the shard
+const CANVAS_SHARD_ID_LENGTH = 13;
 
 /**
  * Get a course. If the course doesn't exist yet, it will be created
@@ -106,6 +139,19 @@ var getOrCreateCourse = module.exports.getOrCreateCourse = function(canvasCourse
  * @param  {Course}       callback.course     The retrieved course
  */
 var getCourse = module.exports.getCourse = function(id, callback) {
+  // Parameter validation
+  var validationSchema = Joi.object().keys({
+    id: Joi.number().integer().required()
+  });
+
+  var validationResult = Joi.validate({
+    id: id
+  }, validationSchema);
+
+  if (validationResult.error) {
+    return callback({code: 400, msg: validationResult.error.details[0].message});
+  }
+
   var options = {
     include: [
       {
@@ -178,3 +224,504 @@ var getCoursePublic = module.exports.getCoursePublic = function(canvasCourseId,
     return callback(null, course);
   });
 };
+
+/**
+ * Get the course in which a learning activity took place by the IRI of its context, such as an xAPI course activity or
+ * a Caliper course offering. If the course doesn't exist yet, it will be created. Contexts that identify a Canvas
+ * course site are linked to the course of that site
+ *
+ * @param  {Object}       ctx                               Context containing write credentials and the current transaction, if any
+ * @param  {Object}       context                           The context of the learning activity
+ * @param  {String}       context.iri                       The IRI of the context
+ * @param  {String}       [context.type]                    The type of the context in the data source
+ * @param  {String}       [context.name]                    The name of the context
+ * @param  {Function}     callback                          Standard callback function
+ * @param  {Object}       callback.err                      An error object, if any
+ * @param  {Course}       callback.course                   The retrieved or created course
+ */
+var getOrCreateContextCourse = module.exports.getOrCreateContextCourse = function(ctx, context, callback) {
+  // Parameter validation
+  var validationSchema = Joi.object().keys({
+    iri: Joi.string().required(),
+    type: Joi.string().optional(),
+    name: Joi.string().optional()
+  });
+
+  var validationResult = Joi.validate(context, validationSchema);
+  if (validationResult.error) {
+    return callback({code: 400, msg: validationResult.error.details[0].message});
+  }
+
+  var where = {
+    tenant_id: ctx.auth.tenant_id,
+    context_iri: context.iri
+  };
+
+  // A Canvas course site can be reported by several data sources, all of which are linked to the same course
+  var canvasCourseId = getCanvasCourseId(context.iri);
+  if (canvasCourseId) {
+    where = {
+      tenant_id: ctx.auth.tenant_id,
+      canvas_course_id: canvasCourseId
+    };
+  }
+
+  var options = {
+    where: where,
+    defaults: {
+      tenant_id: ctx.auth.tenant_id,
+      canvas_course_id: canvasCourseId,
+      name: context.name,
+      context_iri: context.iri,
+      context_type: context.type,
+      credential_id: ctx.auth.id
+    },
+    transaction: ctx.transaction
+  };
+
+  DB.Course.findOrCreate(options).complete(function(err, data) {
+    if (err) {
+      log.error({err: err, context: context.iri}, 'Failed to get or create the course of a context');
+      return callback({code: 500, msg: err.message});
+    }
+
+    var course = data[0];
+    var wasCreated = data[1];
+    if (wasCreated) {
+      log.info({id: course.id, context: context.iri}, 'Created a new course');
+      return callback(null, course);
+    } else if (course.context_iri) {
+      return callback(null, course);
+    }
+
+    // Courses that were created for a Canvas course site keep track of the IRI by which statements refer to them
+    var update = {
+      context_iri: context.iri,
+      context_type: context.type
+    };
+    course.update(update, {transaction: ctx.transaction}).complete(function(err) {
+      if (err) {
+        log.error({err: err, id: course.id}, 'Failed to update the context of a course');
+        return callback({code: 500, msg: err.message});
+      }
+
+      return callback(null, course);
+    });
+  });
+};
+
+/**
+ * Get the course that is known under one of a set of context IRIs. Courses are never created
+ *
+ * @param  {Object}       ctx                               Context containing the credentials and the current transaction, if any
+ * @param  {String[]}     iris                              The IRIs of the contexts of a learning activity
+ * @param  {Function}     callback                          Standard callback function
+ * @param  {Object}       callback.err                      An error object, if any
+ * @param  {Course}       callback.course                   The course known under one of the IRIs, or `null` if there is none
+ */
+var getContextCourse = module.exports.getContextCourse = function(ctx, iris, callback) {
+  if (_.isEmpty(iris)) {
+    return callback(null, null);
+  }
+
+  var options = {
+    where: {
+      tenant_id: ctx.auth.tenant_id,
+      context_iri: iris
+    },
+    transaction: ctx.transaction
+  };
+
+  DB.Course.findOne(options).complete(function(err, course) {
+    if (err) {
+      log.error({err: err}, 'Failed to get the course of a context');
+      return callback({code: 500, msg: err.message});
+    }
+
+    return callback(null, course);
+  });
+};
+
+/**
+ * Get the learning activity statements that took place in the current course. Statements about users that have opted
+ * out of the current credential are never returned
+ *
+ * @param  {Object}           ctx                           Context containing the read credentials and the course for which to get the learning activities
+ * @param  {Object}           [filters]                     The filters to apply
+ * @param  {Number}           [filters.limit]               The maximum number of results to retrieve. Defaults to 10
+ * @param  {Number}           [filters.offset]              The number to start paging from. Defaults to 0
+ * @param  {String}           [filters.activity_type]       Only return learning activities of this activity type
+ * @param  {String}           [filters.user]                Only return learning activities of the user with this external id
+ * @param  {String}           [filters.since]               Only return learning activities that took place after this ISO 8601 timestamp
+ * @param  {String}           [filters.until]               Only return learning activities that took place at or before this ISO 8601 timestamp
+ * @param  {Boolean}          [filters.include_related]     Whether the learning activities of the courses that are related to the course through context mappings should be included
+ * @param  {Function}         callback                      Standard callback function
+ * @param  {Object}           callback.err                  An error that occurred, if any
+ * @param  {Object}           callback.activities           The `total` number of matching learning activities and the requested page of `results`
+ */
+var getCourseStatements = module.exports.getCourseStatements = function(ctx, filters, callback) {
+  if (!ctx || !ctx.auth || !ctx.course) {
+    log.warn('Prevented getting the learning activities of a course without a course');
+    return callback({code: 500, msg: 'Prevented getting the learning activities of a course without a course'});
+  }
+
+  filters = filters || {};
+
+  // Parameter validation
+  var validationSchema = Joi.object().keys({
+    limit: Joi.number().integer().min(1).optional(),
+    offset: Joi.number().integer().min(0).optional(),
+    activity_type: Joi.string().optional(),
+    user: Joi.string().optional(),
+    since: Joi.date().iso().optional(),
+    until: Joi.date().iso().optional(),
+    include_related: Joi.boolean().optional()
+  }).unknown(true);
+
+  var validationResult = Joi.validate(filters, validationSchema);
+  if (validationResult.error) {
+    return callback({code: 400, msg: validationResult.error.details[0].message});
+  }
+
+  // Default some parameters
+  var limit = LRSUtil.getNumberParam(filters.limit, 10, 1, 100);
+  var offset = LRSUtil.getNumberParam(filters.offset, 0, 0);
+
+  // Include the learning activities of the related courses when requested
+  var includeRelated = LRSUtil.getBooleanParam(filters.include_related, false);
+  getCourseIds(ctx, includeRelated, function(err, courseIds) {
+    if (err) {
+      return callback(err);
+    }
+
+    var where = getVisibleCourseStatementsCondition(ctx);
+    where.course_id = courseIds;
+    if (filters.activity_type) {
+      where.activity_type = filters.activity_type;
+    }
+    if (filters.user) {
+      where['$user.external_id$'] = filters.user;
+    }
+    if (filters.since || filters.until) {
+      where.timestamp = {};
+      if (filters.since) {
+        where.timestamp[Op.gt] = new Date(filters.since);
+      }
+      if (filters.until) {
+        where.timestamp[Op.lte] = new Date(filters.until);
+      }
+    }
+
+    var options = {
+      where: where,
+      limit: limit,
+      offset: offset,
+      order: [ Sequelize.literal('timestamp DESC') ],
+      include: [
+        {
+          model: DB.Credential,
+          attributes: ['name', 'key']
+        },
+        {
+          model: DB.User,
+          attributes: ['external_id', 'name']
+        }
+      ]
+    };
+
+    DB.Statement.findAndCountAll(options).complete(function(err, result) {
+      if (err) {
+        log.error({err: err, course: ctx.course.id}, 'Failed to get the learning activities of a course');
+        return callback({code: 500, msg: err.message});
+      }
+
+      // Caliper events are returned with their entity references resolved to the latest description of the entities
+      var events = _.map(_.filter(result.rows, {statement_type: CALIPER}), 'statement');
+      StatementEntities.getEntities(ctx.auth.tenant_id, events, function(err, entities) {
+        if (err) {
+          return callback(err);
+        }
+
+        var data = {
+          offset: offset,
+          total: result.count,
+          results: _.map(result.rows, function(activity) {
+            var statement = activity.statement;
+            if (activity.statement_type === CALIPER) {
+              statement = StatementEntities.resolveReferences(statement, entities);
+            }
+
+            // Expose which integration asserted the learning activity
+            return _.extend(activity.toJSON(), {
+              statement: statement,
+              authority: StatementUtil.getStatementAuthority(activity, activity.credential)
+            });
+          })
+        };
+
+        return callback(null, data);
+      });
+    });
+  });
+};
+
+/**
+ * Get the total number of learning activities per week or per month in the current course
+ *
+ * @param  {Object}           ctx                           Context containing the read credentials and the course for which to get the total number of learning activities
+ * @param  {String}           [period]                      `week` or `month`. Defaults to `month`
+ * @param  {Function}         callback                      Standard callback function
+ * @param  {Object}           callback.err                  An error that occurred, if any
+ * @param  {Object[]}         callback.totalActivities      The total learning activities per period, from the first to the last period with learning activities
+ */
+var getCourseTotalActivities = module.exports.getCourseTotalActivities = function(ctx, period, callback) {
+  if (!ctx || !ctx.auth || !ctx.course) {
+    log.warn('Prevented getting the total activities of a course without a course');
+    return callback({code: 500, msg: 'Prevented getting the total activities of a course without a course'});
+  }
+
+  period = period || 'month';
+
+  // Parameter validation
+  var validationSchema = Joi.object().keys({
+    period: Joi.string().valid(_.keys(PERIODS)).required()
+  });
+
+  var validationResult = Joi.validate({
+    period: period
+  }, validationSchema);
+
+  if (validationResult.error) {
+    return callback({code: 400, msg: validationResult.error.details[0].message});
+  }
+
+  var visibleStatementsQuery = getVisibleCourseStatementsQuery(ctx);
+  var sqlQuery = 'SELECT date_trunc(?, s.timestamp) AS period_start, count(*)::int AS total';
+  sqlQuery += ' FROM statements s';
+  sqlQuery += ' WHERE ' + visibleStatementsQuery.sqlQuery;
+  sqlQuery += ' GROUP BY period_start';
+  sqlQuery += ' ORDER BY period_start ASC';
+
+  var options = {
+    replacements: [ period ].concat(visibleStatementsQuery.replacements),
+    type: 'SELECT'
+  };
+
+  DB.getSequelize().query(sqlQuery, options).complete(function(err, results) {
+    if (err) {
+      log.error({err: err, course: ctx.course.id}, 'An error occurred when getting the total activities of a course');
+      return callback({code: 500, msg: err.message});
+    } else if (results.length === 0) {
+      return callback(null, []);
+    }
+
+    // Periods are truncated by the database in UTC
+    var totals = {};
+    _.each(results, function(result) {
+      totals[moment.utc(result.period_start).format()] = result.total;
+    });
+
+    // Periods without learning activities are included with a total of 0
+    var currentPeriod = moment.utc().startOf(PERIODS[period].startOf);
+    var lastPeriod = moment.utc(_.last(results).period_start);
+    var totalActivities = [];
+    for (var periodStart = moment.utc(_.first(results).period_start); !periodStart.isAfter(lastPeriod); periodStart.add(1, PERIODS[period].unit)) {
+      totalActivities.push({
+        period: periodStart.format(PERIODS[period].format),
+        total: totals[periodStart.format()] || 0,
+        current: periodStart.isSame(currentPeriod)
+      });
+    }
+
+    return callback(null, totalActivities);
+  });
+};
+
+/**
+ * Get the most frequent learning activities in the current course
+ *
+ * @param  {Object}           ctx                           Context containing the read credentials and the course for which to get the top activities
+ * @param  {Function}         callback                      Standard callback function
+ * @param  {Object}           callback.err                  An error that occurred, if any
+ * @param  {Object[]}         callback.topActivities        The top learning activities in the course
+ */
+var getCourseTopActivities = module.exports.getCourseTopActivities = function(ctx, callback) {
+  if (!ctx || !ctx.auth || !ctx.course) {
+    log.warn('Prevented getting the top activities of a course without a course');
+    return callback({code: 500, msg: 'Prevented getting the top activities of a course without a course'});
+  }
+
+  var options = {
+    where: getVisibleCourseStatementsCondition(ctx),
+    attributes: [['activity_type', 'activity'], [DB.getSequelize().fn('count', DB.getSequelize().col('uuid')), 'total']],
+    group: [ 'activity_type' ],
+    order: [ Sequelize.literal('total DESC') ]
+  };
+
+  DB.Statement.findAll(options).complete(function(err, topActivities) {
+    if (err) {
+      log.error({err: err, course: ctx.course.id}, 'An error occurred when getting the top activities of a course');
+      return callback({code: 500, msg: err.message});
+    }
+
+    topActivities = _.map(topActivities, function(topActivity) {
+      return topActivity.toJSON();
+    });
+
+    return callback(null, topActivities);
+  });
+};
+
+/**
+ * Get the number of learning activities of every student in the current course
+ *
+ * @param  {Object}           ctx                           Context containing the read credentials and the course for which to get the students
+ * @param  {Function}         callback                      Standard callback function
+ * @param  {Object}           callback.err                  An error that occurred, if any
+ * @param  {Object[]}         callback.students             The `external_id`, `name`, `total` number of learning activities and `last_activity` of every student, most active students first
+ */
+var getCourseStudents = module.exports.getCourseStudents = function(ctx, callback) {
+  if (!ctx || !ctx.auth || !ctx.course) {
+    log.warn('Prevented getting the students of a course without a course');
+    return callback({code: 500, msg: 'Prevented getting the students of a course without a course'});
+  }
+
+  var visibleStatementsQuery = getVisibleCourseStatementsQuery(ctx);
+  var sqlQuery = 'SELECT u.external_id, u.name, count(*)::int AS total, max(s.timestamp) AS last_activity';
+  sqlQuery += ' FROM statements s';
+  sqlQuery += ' INNER JOIN users u ON u.id = s.user_id';
+  sqlQuery += ' WHERE ' + visibleStatementsQuery.sqlQuery;
+  sqlQuery += ' GROUP BY u.id';
+  sqlQuery += ' ORDER BY total DESC, u.external_id ASC';
+
+  var options = {
+    replacements: visibleStatementsQuery.replacements,
+    type: 'SELECT'
+  };
+
+  DB.getSequelize().query(sqlQuery, options).complete(function(err, students) {
+    if (err) {
+      log.error({err: err, course: ctx.course.id}, 'An error occurred when getting the students of a course');
+      return callback({code: 500, msg: err.message});
+    }
+
+    return callback(null, students);
+  });
+};
+
+/**
+ * Get the data sources that have generated learning activities in the current course
+ *
+ * @param  {Object}           ctx                           Context containing the read credentials and the course for which to get the data sources
+ * @param  {Function}         callback                      Standard callback function
+ * @param  {Object}           callback.err                  An error that occurred, if any
+ * @param  {Object[]}         callback.dataSources          The `name` and `total` number of learning activities of every data source
+ */
+var getCourseDataSources = module.exports.getCourseDataSources = function(ctx, callback) {
+  if (!ctx || !ctx.auth || !ctx.course) {
+    log.warn('Prevented getting the data sources of a course without a course');
+    return callback({code: 500, msg: 'Prevented getting the data sources of a course without a course'});
+  }
+
+  var visibleStatementsQuery = getVisibleCourseStatementsQuery(ctx);
+  var sqlQuery = 'SELECT c.total, w.name FROM (';
+  sqlQuery += ' SELECT s.credential_id, COUNT(*)::int AS total';
+  sqlQuery += ' FROM statements s';
+  sqlQuery += ' WHERE ' + visibleStatementsQuery.sqlQuery;
+  sqlQuery += ' GROUP BY s.credential_id';
+  sqlQuery += ') c';
+  sqlQuery += ' INNER JOIN credentials w ON w.id = c.credential_id';
+  sqlQuery += ' ORDER BY c.total DESC';
+
+  var options = {
+    replacements: visibleStatementsQuery.replacements,
+    type: 'SELECT'
+  };
+
+  DB.getSequelize().query(sqlQuery, options).complete(function(err, dataSources) {
+    if (err) {
+      log.error({err: err, course: ctx.course.id}, 'An error occurred when getting the data sources of a course');
+      return callback({code: 500, msg: err.message});
+    }
+
+    return callback(null, dataSources);
+  });
+};
+
+/**
+ * Get the ids of the courses whose learning activities are returned for the current course
+ *
+ * @param  {Object}           ctx                           Context containing the read credentials and the course
+ * @param  {Boolean}          includeRelated                Whether the courses that are related to the course through context mappings should be included
+ * @param  {Function}         callback                      Standard callback function
+ * @param  {Object}           callback.err                  An error that occurred, if any
+ * @param  {Number[]}         callback.courseIds            The ids of the courses
+ * @api private
+ */
+var getCourseIds = function(ctx, includeRelated, callback) {
+  if (!includeRelated) {
+    return callback(null, [ ctx.course.id ]);
+  }
+
+  return CourseMappings.getRelatedCourseIds(ctx, ctx.course.id, callback);
+};
+
+/**
+ * Get the condition that matches the learning activity statements of the current course that are visible to the
+ * current credential. Voided statements and statements about users that have opted out of the credential are excluded
+ *
+ * @param  {Object}           ctx                           Context containing the read credentials and the course
+ * @return {Object}                                         The condition that matches the visible statements of the course
+ * @api private
+ */
+var getVisibleCourseStatementsCondition = function(ctx) {
+  var optedOutUsersQuery = OPTED_OUT_USERS_QUERY.replace('?', DB.getSequelize().escape(ctx.auth.id));
+  return {
+    tenant_id: ctx.auth.tenant_id,
+    course_id: ctx.course.id,
+    voided: false,
+    [Op.or]: [
+      {
+        user_id: null
+      },
+      {
+        user_id: {[Op.notIn]: Sequelize.literal('(' + optedOutUsersQuery + ')')}
+      }
+    ]
+  };
+};
+
+/**
+ * Get the SQL conditions that match the learning activity statements of the current course that are visible to the
+ * current credential. Voided statements and statements about users that have opted out of the credential are excluded
+ *
+ * @param  {Object}           ctx                           Context containing the read credentials and the course
+ * @return {Object}                                         The `sqlQuery` conditions and their `replacements`. The statements table is expected to be aliased as `s`
+ * @api private
+ */
+var getVisibleCourseStatementsQuery = function(ctx) {
+  var sqlQuery = 's.course_id = ? AND s.tenant_id = ? AND s.voided = false';
+  sqlQuery += ' AND (s.user_id IS NULL OR s.user_id NOT IN (' + OPTED_OUT_USERS_QUERY + '))';
+
+  return {
+    sqlQuery: sqlQuery,
+    replacements: [ctx.course.id, ctx.auth.tenant_id, ctx.auth.id]
+  };
+};
+
+/**
+ * Get the id of the Canvas course site identified by the IRI of a context. The ids of Canvas objects in a sharded
+ * instance are converted to the id of the course within its shard
+ *
+ * @param  {String}       iri                               The IRI of the context
+ * @return {Number}                                         The id of the Canvas course site, or `null` if the IRI doesn't identify a Canvas course site
+ * @api private
+ */
+var getCanvasCourseId = function(iri) {
+  var match = iri.match(new RegExp(config.get('courses.canvasCourseIdPattern')));
+  if (!match || !match[1]) {
+    return null;
+  }
+
+  return parseInt(match[1].slice(-CANVAS_SHARD_ID_LENGTH), 10);
+};
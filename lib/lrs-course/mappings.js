@@ -0,0 +1,331 @@
+/**
+ * Copyright ©2018. The Regents of the University of California (Regents). All Rights Reserved.
+ *
+ * Permission to use, copy, modify, and distribute this software and its documentation
+ * for educational, research, and not-for-profit purposes, without fee and without a
+ * signed licensing agreement, is hereby granted, provided that the above copyright
+ * notice, this paragraph and the following two paragraphs appear in all copies,
+ * modifications, and distributions.
+ *
+ * Contact The Office of Technology Licensing, UC Berkeley, 2150 Shattuck Avenue,
+ * Suite 510, Berkeley, CA 94720-1620, (510) 643-7201, otl@berkeley.edu,
+ * http://ipira.berkeley.edu/industry-info for commercial licensing opportunities.
+ *
+ * IN NO EVENT SHALL REGENTS BE LIABLE TO ANY PARTY FOR DIRECT, INDIRECT, SPECIAL,
+ * INCIDENTAL, OR CONSEQUENTIAL DAMAGES, INCLUDING LOST PROFITS, ARISING OUT OF
+ * THE USE OF THIS SOFTWARE AND ITS DOCUMENTATION, EVEN IF REGENTS HAS BEEN ADVISED
+ * OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * REGENTS SPECIFICALLY DISCLAIMS ANY WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE. THE
+ * SOFTWARE AND ACCOMPANYING DOCUMENTATION, IF ANY, PROVIDED HEREUNDER IS PROVIDED
+ * "AS IS". REGENTS HAS NO OBLIGATION TO PROVIDE MAINTENANCE, SUPPORT, UPDATES,
+ * ENHANCEMENTS, OR MODIFICATIONS.
+ */
+
+var _ = require('lodash');
+var async = require('async');
+var Joi = require('joi');
+var Sequelize = require('sequelize');
+
+var DB = require('../lrs-core/db');
+var log = require('../lrs-core/logger')('lrs-course');
+
+const Op = Sequelize.Op;
+
+// The types of contexts that can be mapped, and the course property by which a context of each type is identified
+const CONTEXT_TYPES = {
+  canvas_site: 'canvas_course_id',
+  sis_section: 'sis_id',
+  sis_class: 'sis_id',
+  context: 'context_iri'
+};
+
+// The types of relationships between contexts. A context `includes` the contexts it is made up of, such as the
+// sections of a campus class or the sections that use a Canvas course site. The same context in different data
+// sources is `equivalent`, and cross-listed sections or classes are `cross_listed`
+const RELATIONSHIP_TYPES = module.exports.RELATIONSHIP_TYPES = ['includes', 'equivalent', 'cross_listed'];
+
+// Every course that is related to a course through context mappings, over any number of mappings. An `includes`
+// mapping is only followed from the including course to the included course, so that a section doesn't relate to the
+// other sections of its class. The `equivalent` and `cross_listed` mappings are followed in either direction
+const RELATED_COURSES_QUERY = [
+  'WITH RECURSIVE related(course_id) AS (',
+  ' SELECT ?::integer',
+  ' UNION',
+  ' SELECT CASE WHEN m.source_id = r.course_id THEN m.target_id ELSE m.source_id END',
+  ' FROM context_mappings m',
+  ' INNER JOIN related r ON m.source_id = r.course_id OR (m.target_id = r.course_id AND m.relationship <> \'includes\')',
+  ' WHERE m.tenant_id = ?',
+  ')',
+  ' SELECT course_id FROM related'
+].join('');
+
+/**
+ * Map a context of one data source to a context of another data source. Contexts that are not known yet are created
+ *
+ * @param  {Object}           ctx                           Context containing the admin credentials
+ * @param  {Object}           mapping                       The context mapping to save
+ * @param  {Object}           mapping.source                The `type`, `id` and optional `name` of the context the relationship is defined from
+ * @param  {Object}           mapping.target                The `type`, `id` and optional `name` of the context the relationship is defined to
+ * @param  {String}           mapping.relationship          The type of the relationship. One of `RELATIONSHIP_TYPES`
+ * @param  {Function}         callback                      Standard callback function
+ * @param  {Object}           callback.err                  An error that occurred, if any
+ * @param  {ContextMapping}   callback.mapping              The saved context mapping
+ */
+var saveContextMapping = module.exports.saveContextMapping = function(ctx, mapping, callback) {
+  // Parameter validation
+  var contextSchema = Joi.object().keys({
+    type: Joi.string().valid(_.keys(CONTEXT_TYPES)).required(),
+    id: Joi.alternatives().try(Joi.string(), Joi.number()).required(),
+    name: Joi.string().optional()
+  });
+  var validationSchema = Joi.object().keys({
+    source: contextSchema.required(),
+    target: contextSchema.required(),
+    relationship: Joi.string().valid(RELATIONSHIP_TYPES).required()
+  });
+
+  var validationResult = Joi.validate(mapping, validationSchema);
+  if (validationResult.error) {
+    return callback({code: 400, msg: validationResult.error.details[0].message});
+  }
+
+  async.mapSeries([mapping.source, mapping.target], function(context, done) {
+    getOrCreateMappedContext(ctx, context, done);
+  }, function(err, courses) {
+    if (err) {
+      return callback(err);
+    } else if (courses[0].id === courses[1].id) {
+      return callback({code: 400, msg: 'A context cannot be mapped to itself'});
+    }
+
+    var options = {
+      where: {
+        tenant_id: ctx.auth.tenant_id,
+        source_id: courses[0].id,
+        target_id: courses[1].id,
+        relationship: mapping.relationship
+      }
+    };
+
+    DB.ContextMapping.findOrCreate(options).complete(function(err, data) {
+      if (err) {
+        log.error({err: err}, 'Failed to save a context mapping');
+        return callback({code: 500, msg: err.message});
+      }
+
+      var contextMapping = data[0];
+      var wasCreated = data[1];
+      if (wasCreated) {
+        log.info({id: contextMapping.id, source: courses[0].id, target: courses[1].id}, 'Created a new context mapping');
+      }
+
+      return callback(null, contextMapping);
+    });
+  });
+};
+
+/**
+ * Get the context mappings of a context, both the mappings that are defined from the context and to the context
+ *
+ * @param  {Object}           ctx                           Context containing the admin credentials
+ * @param  {Object}           context                       The context to get the mappings of
+ * @param  {String}           context.type                  The type of the context. One of the keys of `CONTEXT_TYPES`
+ * @param  {String}           context.id                    The id of the context
+ * @param  {Function}         callback                      Standard callback function
+ * @param  {Object}           callback.err                  An error that occurred, if any
+ * @param  {ContextMapping[]} callback.mappings             The context mappings of the context, including their `source` and `target` courses
+ */
+var getContextMappings = module.exports.getContextMappings = function(ctx, context, callback) {
+  // Parameter validation
+  var validationSchema = Joi.object().keys({
+    type: Joi.string().valid(_.keys(CONTEXT_TYPES)).required(),
+    id: Joi.string().required()
+  });
+
+  var validationResult = Joi.validate(context, validationSchema);
+  if (validationResult.error) {
+    return callback({code: 400, msg: validationResult.error.details[0].message});
+  }
+
+  var where = getMappedContextCondition(ctx, context);
+  if (!where) {
+    return callback({code: 400, msg: 'A Canvas course site should be identified by its numeric id'});
+  }
+
+  DB.Course.findOne({where: where}).complete(function(err, course) {
+    if (err) {
+      log.error({err: err}, 'Failed to get a mapped context');
+      return callback({code: 500, msg: err.message});
+    } else if (!course) {
+      return callback({code: 404, msg: 'Could not find the context'});
+    }
+
+    var options = {
+      where: {
+        tenant_id: ctx.auth.tenant_id,
+        [Op.or]: [
+          {
+            source_id: course.id
+          },
+          {
+            target_id: course.id
+          }
+        ]
+      },
+      include: [
+        {
+          model: DB.Course,
+          as: 'source'
+        },
+        {
+          model: DB.Course,
+          as: 'target'
+        }
+      ],
+      order: [ 'id' ]
+    };
+
+    DB.ContextMapping.findAll(options).complete(function(err, mappings) {
+      if (err) {
+        log.error({err: err, course: course.id}, 'Failed to get the mappings of a context');
+        return callback({code: 500, msg: err.message});
+      }
+
+      return callback(null, mappings);
+    });
+  });
+};
+
+/**
+ * Delete a context mapping
+ *
+ * @param  {Object}           ctx                           Context containing the admin credentials
+ * @param  {Number}           id                            The id of the context mapping to delete
+ * @param  {Function}         callback                      Standard callback function
+ * @param  {Object}           callback.err                  An error that occurred, if any
+ */
+var deleteContextMapping = module.exports.deleteContextMapping = function(ctx, id, callback) {
+  // Parameter validation
+  var validationSchema = Joi.object().keys({
+    id: Joi.number().integer().required()
+  });
+
+  var validationResult = Joi.validate({
+    id: id
+  }, validationSchema);
+
+  if (validationResult.error) {
+    return callback({code: 400, msg: validationResult.error.details[0].message});
+  }
+
+  var options = {
+    where: {
+      id: id,
+      tenant_id: ctx.auth.tenant_id
+    }
+  };
+
+  DB.ContextMapping.destroy(options).complete(function(err, deleted) {
+    if (err) {
+      log.error({err: err, id: id}, 'Failed to delete a context mapping');
+      return callback({code: 500, msg: err.message});
+    } else if (!deleted) {
+      return callback({code: 404, msg: 'Could not find the context mapping'});
+    }
+
+    log.info({id: id}, 'Deleted a context mapping');
+    return callback();
+  });
+};
+
+/**
+ * Get the ids of a course and of every course that is related to it through context mappings, such as the Canvas
+ * course sites and class sections of a campus class
+ *
+ * @param  {Object}           ctx                           Context containing the read credentials
+ * @param  {Number}           courseId                      The id of the course to get the related courses of
+ * @param  {Function}         callback                      Standard callback function
+ * @param  {Object}           callback.err                  An error that occurred, if any
+ * @param  {Number[]}         callback.courseIds            The ids of the course and its related courses
+ */
+var getRelatedCourseIds = module.exports.getRelatedCourseIds = function(ctx, courseId, callback) {
+  var options = {
+    replacements: [courseId, ctx.auth.tenant_id],
+    type: 'SELECT'
+  };
+
+  DB.getSequelize().query(RELATED_COURSES_QUERY, options).complete(function(err, results) {
+    if (err) {
+      log.error({err: err, course: courseId}, 'Failed to get the related courses of a course');
+      return callback({code: 500, msg: err.message});
+    }
+
+    return callback(null, _.map(results, 'course_id'));
+  });
+};
+
+/**
+ * Get the course that corresponds to a mapped context. If the course doesn't exist yet, it will be created
+ *
+ * @param  {Object}           ctx                           Context containing the admin credentials
+ * @param  {Object}           context                       The `type`, `id` and optional `name` of the context
+ * @param  {Function}         callback                      Standard callback function
+ * @param  {Object}           callback.err                  An error that occurred, if any
+ * @param  {Course}           callback.course               The retrieved or created course
+ * @api private
+ */
+var getOrCreateMappedContext = function(ctx, context, callback) {
+  var where = getMappedContextCondition(ctx, context);
+  if (!where) {
+    return callback({code: 400, msg: 'A Canvas course site should be identified by its numeric id'});
+  }
+
+  var options = {
+    where: where,
+    defaults: _.extend({name: context.name}, where)
+  };
+
+  DB.Course.findOrCreate(options).complete(function(err, data) {
+    if (err) {
+      log.error({err: err}, 'Failed to get or create a mapped context');
+      return callback({code: 500, msg: err.message});
+    }
+
+    var course = data[0];
+    var wasCreated = data[1];
+    if (wasCreated) {
+      log.info({id: course.id, type: context.type}, 'Created a new course for a mapped context');
+    }
+
+    return callback(null, course);
+  });
+};
+
+/**
+ * Get the condition that matches the course of a mapped context. Contexts that are defined by the SIS are matched by
+ * their type as well, as the ids of SIS sections and classes may overlap
+ *
+ * @param  {Object}           ctx                           Context containing the admin credentials
+ * @param  {Object}           context                       The `type` and `id` of the context
+ * @return {Object}                                         The condition that matches the course of the context, or `null` if the id of the context is invalid
+ * @api private
+ */
+var getMappedContextCondition = function(ctx, context) {
+  var id = _.toString(context.id);
+  var property = CONTEXT_TYPES[context.type];
+  if (property === 'canvas_course_id' && !(/^\d+$/).test(id)) {
+    return null;
+  }
+
+  var where = {
+    tenant_id: ctx.auth.tenant_id
+  };
+  where[property] = property === 'canvas_course_id' ? parseInt(id, 10) : id;
+  if (property === 'sis_id') {
+    where.context_type = context.type;
+  }
+
+  return where;
+};
@@ -23,8 +23,11 @@
  * ENHANCEMENTS, OR MODIFICATIONS.
  */
 
+var _ = require('lodash');
+
 var LRS = require('../lrs-core');
 var CourseAPI = require('./api');
+var CourseMappings = require('./mappings');
 
 /* !
  * Get public course-wide properties
@@ -46,3 +49,199 @@ LRS.apiRouter.get('/course/:canvasCourseId', function(req, res) {
     return res.status(200).send(course);
   });
 });
+
+/**
+ * Add the course that is requested through the `id` parameter to the request context. Only courses of the tenant of
+ * the current credential can be requested
+ *
+ * @param  {Request}          req                       The express request
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any
+ * @api private
+ */
+var getCourseContext = function(req, callback) {
+  CourseAPI.getCourse(req.params.id, function(err, course) {
+    if (err) {
+      return callback(err);
+    } else if (course.tenant_id !== req.ctx.auth.tenant_id) {
+      return callback({code: 404, msg: 'Failed to retrieve the course'});
+    }
+
+    req.ctx.course = course;
+    return callback();
+  });
+};
+
+/* !
+ * Get the learning activity statements that took place in the requested course
+ */
+LRS.apiRouter.get('/course/:id/activities', function(req, res) {
+  // Check if the credentials authenticated has sufficient read permissions
+  if (!req.ctx.auth.read_permission) {
+    return res.status(403).send('Incorrect read credentials');
+  }
+
+  getCourseContext(req, function(err) {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    CourseAPI.getCourseStatements(req.ctx, req.query, function(err, activities) {
+      if (err) {
+        return res.status(err.code).send(err.msg);
+      }
+
+      return res.status(200).send(activities);
+    });
+  });
+});
+
+/* !
+ * Get the total number of learning activities per week or per month in the requested course
+ */
+LRS.apiRouter.get('/course/:id/totalactivities', function(req, res) {
+  // Check if the credentials authenticated has sufficient read permissions
+  if (!req.ctx.auth.read_permission) {
+    return res.status(403).send('Incorrect read credentials');
+  }
+
+  getCourseContext(req, function(err) {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    CourseAPI.getCourseTotalActivities(req.ctx, req.query.period, function(err, totalActivities) {
+      if (err) {
+        return res.status(err.code).send(err.msg);
+      }
+
+      return res.status(200).send(totalActivities);
+    });
+  });
+});
+
+/* !
+ * Get the most frequent learning activities in the requested course
+ */
+LRS.apiRouter.get('/course/:id/topactivities', function(req, res) {
+  // Check if the credentials authenticated has sufficient read permissions
+  if (!req.ctx.auth.read_permission) {
+    return res.status(403).send('Incorrect read credentials');
+  }
+
+  getCourseContext(req, function(err) {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    CourseAPI.getCourseTopActivities(req.ctx, function(err, topActivities) {
+      if (err) {
+        return res.status(err.code).send(err.msg);
+      }
+
+      return res.status(200).send(topActivities);
+    });
+  });
+});
+
+/* !
+ * Get the number of learning activities of every student in the requested course
+ */
+LRS.apiRouter.get('/course/:id/students', function(req, res) {
+  // Check if the credentials authenticated has sufficient read permissions
+  if (!req.ctx.auth.read_permission) {
+    return res.status(403).send('Incorrect read credentials');
+  }
+
+  getCourseContext(req, function(err) {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    CourseAPI.getCourseStudents(req.ctx, function(err, students) {
+      if (err) {
+        return res.status(err.code).send(err.msg);
+      }
+
+      return res.status(200).send(students);
+    });
+  });
+});
+
+/* !
+ * Get the data sources that have generated learning activities in the requested course
+ */
+LRS.apiRouter.get('/course/:id/datasources', function(req, res) {
+  // Check if the credentials authenticated has sufficient read permissions
+  if (!req.ctx.auth.read_permission) {
+    return res.status(403).send('Incorrect read credentials');
+  }
+
+  getCourseContext(req, function(err) {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    CourseAPI.getCourseDataSources(req.ctx, function(err, dataSources) {
+      if (err) {
+        return res.status(err.code).send(err.msg);
+      }
+
+      return res.status(200).send(dataSources);
+    });
+  });
+});
+
+/* !
+ * Map a context of one data source to a context of another data source
+ */
+LRS.apiRouter.post('/admin/contexts/mappings', function(req, res) {
+  // Check if the credentials authenticated has admin permissions
+  if (!req.ctx.auth.admin_permission) {
+    return res.status(403).send('Incorrect admin credentials');
+  }
+
+  CourseMappings.saveContextMapping(req.ctx, req.body, function(err, mapping) {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    return res.status(200).send(mapping);
+  });
+});
+
+/* !
+ * Get the context mappings of the context that is identified by the `type` and `id` parameters
+ */
+LRS.apiRouter.get('/admin/contexts/mappings', function(req, res) {
+  // Check if the credentials authenticated has admin permissions
+  if (!req.ctx.auth.admin_permission) {
+    return res.status(403).send('Incorrect admin credentials');
+  }
+
+  CourseMappings.getContextMappings(req.ctx, _.pick(req.query, ['type', 'id']), function(err, mappings) {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    return res.status(200).send(mappings);
+  });
+});
+
+/* !
+ * Delete a context mapping
+ */
+LRS.apiRouter.delete('/admin/contexts/mappings/:id', function(req, res) {
+  // Check if the credentials authenticated has admin permissions
+  if (!req.ctx.auth.admin_permission) {
+    return res.status(403).send('Incorrect admin credentials');
+  }
+
+  CourseMappings.deleteContextMapping(req.ctx, req.params.id, function(err) {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    return res.sendStatus(204);
+  });
+});
@@ -0,0 +1,814 @@
+/**
+ * Copyright ©2018. The Regents of the University of California (Regents). All Rights Reserved.
+ *
+ * Permission to use, copy, modify, and distribute this software and its documentation
+ * for educational, research, and not-for-profit purposes, without fee and without a
+ * signed licensing agreement, is hereby granted, provided that the above copyright
+ * notice, this paragraph and the following two paragraphs appear in all copies,
+ * modifications, and distributions.
+ *
+ * Contact The Office of Technology Licensing, UC Berkeley, 2150 Shattuck Avenue,
+ * Suite 510, Berkeley, CA 94720-1620, (510) 643-7201, otl@berkeley.edu,
+ * http://ipira.berkeley.edu/industry-info for commercial licensing opportunities.
+ *
+ * IN NO EVENT SHALL REGENTS BE LIABLE TO ANY PARTY FOR DIRECT, INDIRECT, SPECIAL,
+ * INCIDENTAL, OR CONSEQUENTIAL DAMAGES, INCLUDING LOST PROFITS, ARISING OUT OF
+ * THE USE OF THIS SOFTWARE AND ITS DOCUMENTATION, EVEN IF REGENTS HAS BEEN ADVISED
+ * OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * REGENTS SPECIFICALLY DISCLAIMS ANY WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE. THE
+ * SOFTWARE AND ACCOMPANYING DOCUMENTATION, IF ANY, PROVIDED HEREUNDER IS PROVIDED
+ * "AS IS". REGENTS HAS NO OBLIGATION TO PROVIDE MAINTENANCE, SUPPORT, UPDATES,
+ * ENHANCEMENTS, OR MODIFICATIONS.
+ */
+
+var _ = require('lodash');
+var crypto = require('crypto');
+var Joi = require('joi');
+var Sequelize = require('sequelize');
+
+var DB = require('../lrs-core/db');
+var log = require('../lrs-core/logger')('lrs-documents');
+var StatementXAPI = require('../lrs-statements/xapi');
+
+const Op = Sequelize.Op;
+
+/**
+ * The xAPI Activity State resource. State documents are scoped to an activity, an agent and optionally a registration
+ * and can be deleted all at once
+ */
+var STATE = {
+  name: 'state document',
+  model: 'State',
+  idParameter: 'stateId',
+  idColumn: 'state_id',
+  parameters: {
+    activityId: Joi.string().uri().required(),
+    agent: Joi.string().required(),
+    registration: Joi.string().guid().optional()
+  },
+  getConditions: function(ctx, params, agentIFI) {
+    return {
+      tenant_id: ctx.auth.tenant_id,
+      activity_id: params.activityId,
+      agent_ifi: agentIFI,
+      registration: params.registration || null
+    };
+  },
+  deleteAll: true
+};
+
+/**
+ * The xAPI Activity Profile resource. Activity profiles are scoped to an activity and replacing one
+ * requires a precondition header
+ */
+var ACTIVITY_PROFILE = {
+  name: 'activity profile',
+  model: 'ActivityProfile',
+  idParameter: 'profileId',
+  idColumn: 'profile_id',
+  parameters: {
+    activityId: Joi.string().uri().required()
+  },
+  getConditions: function(ctx, params) {
+    return {
+      tenant_id: ctx.auth.tenant_id,
+      activity_id: params.activityId
+    };
+  },
+  requirePreconditions: true
+};
+
+/**
+ * The xAPI Agent Profile resource. Agent profiles are scoped to an agent and replacing one requires a
+ * precondition header
+ */
+var AGENT_PROFILE = {
+  name: 'agent profile',
+  model: 'AgentProfile',
+  idParameter: 'profileId',
+  idColumn: 'profile_id',
+  parameters: {
+    agent: Joi.string().required()
+  },
+  getConditions: function(ctx, params, agentIFI) {
+    return {
+      tenant_id: ctx.auth.tenant_id,
+      agent_ifi: agentIFI
+    };
+  },
+  requirePreconditions: true
+};
+
+/**
+ * Get a single xAPI Activity State document
+ *
+ * @param  {Object}       ctx                           Standard context containing the current user and the current tenant
+ * @param  {Object}       params                        The parameters identifying the state document
+ * @param  {String}       params.activityId             The IRI of the activity the state document belongs to
+ * @param  {String}       params.agent                  The JSON encoded xAPI agent the state document belongs to
+ * @param  {String}       [params.registration]         The registration the state document belongs to
+ * @param  {String}       params.stateId                The id of the state document
+ * @param  {Function}     callback                      Standard callback function
+ * @param  {Object}       callback.err                  An error object, if any
+ * @param  {State}        callback.state                The requested state document
+ */
+var getState = module.exports.getState = function(ctx, params, callback) {
+  return getDocument(ctx, STATE, params, callback);
+};
+
+/**
+ * Get the ids of the xAPI Activity State documents for an activity, agent and registration
+ *
+ * @param  {Object}       ctx                           Standard context containing the current user and the current tenant
+ * @param  {Object}       params                        The parameters identifying the state documents
+ * @param  {String}       params.activityId             The IRI of the activity the state documents belong to
+ * @param  {String}       params.agent                  The JSON encoded xAPI agent the state documents belong to
+ * @param  {String}       [params.registration]         The registration the state documents belong to
+ * @param  {String}       [params.since]                Only return the ids of state documents stored after this timestamp
+ * @param  {Function}     callback                      Standard callback function
+ * @param  {Object}       callback.err                  An error object, if any
+ * @param  {String[]}     callback.stateIds             The ids of the matching state documents
+ */
+var getStateIds = module.exports.getStateIds = function(ctx, params, callback) {
+  return getDocumentIds(ctx, STATE, params, callback);
+};
+
+/**
+ * Store an xAPI Activity State document. When `options.merge` is set, the properties of a JSON document are
+ * merged into the properties of the stored JSON document
+ *
+ * @param  {Object}       ctx                           Standard context containing the current user and the current tenant
+ * @param  {Object}       params                        The parameters identifying the state document
+ * @param  {String}       params.activityId             The IRI of the activity the state document belongs to
+ * @param  {String}       params.agent                  The JSON encoded xAPI agent the state document belongs to
+ * @param  {String}       [params.registration]         The registration the state document belongs to
+ * @param  {String}       params.stateId                The id of the state document
+ * @param  {Object}       document                      The state document to store
+ * @param  {Buffer}       document.content              The raw content of the state document
+ * @param  {String}       document.contentType          The content type of the state document
+ * @param  {Object}       [options]                     Options for storing the state document
+ * @param  {Boolean}      [options.merge]               Whether the document should be merged into the stored JSON document
+ * @param  {String}       [options.ifMatch]             The value of the `If-Match` header of the request
+ * @param  {String}       [options.ifNoneMatch]         The value of the `If-None-Match` header of the request
+ * @param  {Function}     callback                      Standard callback function
+ * @param  {Object}       callback.err                  An error object, if any
+ * @param  {State}        callback.state                The stored state document
+ */
+var saveState = module.exports.saveState = function(ctx, params, document, options, callback) {
+  return saveDocument(ctx, STATE, params, document, options, callback);
+};
+
+/**
+ * Delete a single xAPI Activity State document or, when no `stateId` is provided, all state documents
+ * for an activity, agent and registration
+ *
+ * @param  {Object}       ctx                           Standard context containing the current user and the current tenant
+ * @param  {Object}       params                        The parameters identifying the state documents
+ * @param  {String}       params.activityId             The IRI of the activity the state documents belong to
+ * @param  {String}       params.agent                  The JSON encoded xAPI agent the state documents belong to
+ * @param  {String}       [params.registration]         The registration the state documents belong to
+ * @param  {String}       [params.stateId]              The id of the state document to delete
+ * @param  {Object}       [options]                     Options for deleting the state documents
+ * @param  {String}       [options.ifMatch]             The value of the `If-Match` header of the request
+ * @param  {Function}     callback                      Standard callback function
+ * @param  {Object}       callback.err                  An error object, if any
+ */
+var deleteStates = module.exports.deleteStates = function(ctx, params, options, callback) {
+  return deleteDocuments(ctx, STATE, params, options, callback);
+};
+
+/**
+ * Get a single xAPI Activity Profile document
+ *
+ * @param  {Object}       ctx                           Standard context containing the current user and the current tenant
+ * @param  {Object}       params                        The parameters identifying the activity profile
+ * @param  {String}       params.activityId             The IRI of the activity the activity profile belongs to
+ * @param  {String}       params.profileId              The id of the activity profile
+ * @param  {Function}     callback                      Standard callback function
+ * @param  {Object}       callback.err                  An error object, if any
+ * @param  {Object}       callback.profile              The requested activity profile
+ */
+var getActivityProfile = module.exports.getActivityProfile = function(ctx, params, callback) {
+  return getDocument(ctx, ACTIVITY_PROFILE, params, callback);
+};
+
+/**
+ * Get the ids of the xAPI Activity Profile documents of an activity
+ *
+ * @param  {Object}       ctx                           Standard context containing the current user and the current tenant
+ * @param  {Object}       params                        The parameters identifying the activity profiles
+ * @param  {String}       params.activityId             The IRI of the activity the activity profiles belong to
+ * @param  {String}       [params.since]                Only return the ids of activity profiles stored after this timestamp
+ * @param  {Function}     callback                      Standard callback function
+ * @param  {Object}       callback.err                  An error object, if any
+ * @param  {String[]}     callback.profileIds           The ids of the matching activity profiles
+ */
+var getActivityProfileIds = module.exports.getActivityProfileIds = function(ctx, params, callback) {
+  return getDocumentIds(ctx, ACTIVITY_PROFILE, params, callback);
+};
+
+/**
+ * Store an xAPI Activity Profile document. Replacing an existing activity profile requires an `If-Match`
+ * or `If-None-Match` precondition
+ *
+ * @param  {Object}       ctx                           Standard context containing the current user and the current tenant
+ * @param  {Object}       params                        The parameters identifying the activity profile
+ * @param  {String}       params.activityId             The IRI of the activity the activity profile belongs to
+ * @param  {String}       params.profileId              The id of the activity profile
+ * @param  {Object}       document                      The activity profile to store
+ * @param  {Buffer}       document.content              The raw content of the activity profile
+ * @param  {String}       document.contentType          The content type of the activity profile
+ * @param  {Object}       [options]                     Options for storing the activity profile
+ * @param  {Boolean}      [options.merge]               Whether the document should be merged into the stored JSON document
+ * @param  {String}       [options.ifMatch]             The value of the `If-Match` header of the request
+ * @param  {String}       [options.ifNoneMatch]         The value of the `If-None-Match` header of the request
+ * @param  {Function}     callback                      Standard callback function
+ * @param  {Object}       callback.err                  An error object, if any
+ * @param  {Object}       callback.profile              The stored activity profile
+ */
+var saveActivityProfile = module.exports.saveActivityProfile = function(ctx, params, document, options, callback) {
+  return saveDocument(ctx, ACTIVITY_PROFILE, params, document, options, callback);
+};
+
+/**
+ * Delete a single xAPI Activity Profile document
+ *
+ * @param  {Object}       ctx                           Standard context containing the current user and the current tenant
+ * @param  {Object}       params                        The parameters identifying the activity profile
+ * @param  {String}       params.activityId             The IRI of the activity the activity profile belongs to
+ * @param  {String}       params.profileId              The id of the activity profile to delete
+ * @param  {Object}       [options]                     Options for deleting the activity profile
+ * @param  {String}       [options.ifMatch]             The value of the `If-Match` header of the request
+ * @param  {Function}     callback                      Standard callback function
+ * @param  {Object}       callback.err                  An error object, if any
+ */
+var deleteActivityProfile = module.exports.deleteActivityProfile = function(ctx, params, options, callback) {
+  return deleteDocuments(ctx, ACTIVITY_PROFILE, params, options, callback);
+};
+
+/**
+ * Get a single xAPI Agent Profile document
+ *
+ * @param  {Object}       ctx                           Standard context containing the current user and the current tenant
+ * @param  {Object}       params                        The parameters identifying the agent profile
+ * @param  {String}       params.agent                  The JSON encoded xAPI agent the agent profile belongs to
+ * @param  {String}       params.profileId              The id of the agent profile
+ * @param  {Function}     callback                      Standard callback function
+ * @param  {Object}       callback.err                  An error object, if any
+ * @param  {AgentProfile} callback.profile              The requested agent profile
+ */
+var getAgentProfile = module.exports.getAgentProfile = function(ctx, params, callback) {
+  return getDocument(ctx, AGENT_PROFILE, params, callback);
+};
+
+/**
+ * Get the ids of the xAPI Agent Profile documents of an agent
+ *
+ * @param  {Object}       ctx                           Standard context containing the current user and the current tenant
+ * @param  {Object}       params                        The parameters identifying the agent profiles
+ * @param  {String}       params.agent                  The JSON encoded xAPI agent the agent profiles belong to
+ * @param  {String}       [params.since]                Only return the ids of agent profiles stored after this timestamp
+ * @param  {Function}     callback                      Standard callback function
+ * @param  {Object}       callback.err                  An error object, if any
+ * @param  {String[]}     callback.profileIds           The ids of the matching agent profiles
+ */
+var getAgentProfileIds = module.exports.getAgentProfileIds = function(ctx, params, callback) {
+  return getDocumentIds(ctx, AGENT_PROFILE, params, callback);
+};
+
+/**
+ * Store an xAPI Agent Profile document. Replacing an existing agent profile requires an `If-Match`
+ * or `If-None-Match` precondition
+ *
+ * @param  {Object}       ctx                           Standard context containing the current user and the current tenant
+ * @param  {Object}       params                        The parameters identifying the agent profile
+ * @param  {String}       params.agent                  The JSON encoded xAPI agent the agent profile belongs to
+ * @param  {String}       params.profileId              The id of the agent profile
+ * @param  {Object}       document                      The agent profile to store
+ * @param  {Buffer}       document.content              The raw content of the agent profile
+ * @param  {String}       document.contentType          The content type of the agent profile
+ * @param  {Object}       [options]                     Options for storing the agent profile
+ * @param  {Boolean}      [options.merge]               Whether the document should be merged into the stored JSON document
+ * @param  {String}       [options.ifMatch]             The value of the `If-Match` header of the request
+ * @param  {String}       [options.ifNoneMatch]         The value of the `If-None-Match` header of the request
+ * @param  {Function}     callback                      Standard callback function
+ * @param  {Object}       callback.err                  An error object, if any
+ * @param  {AgentProfile} callback.profile              The stored agent profile
+ */
+var saveAgentProfile = module.exports.saveAgentProfile = function(ctx, params, document, options, callback) {
+  return saveDocument(ctx, AGENT_PROFILE, params, document, options, callback);
+};
+
+/**
+ * Delete a single xAPI Agent Profile document
+ *
+ * @param  {Object}       ctx                           Standard context containing the current user and the current tenant
+ * @param  {Object}       params                        The parameters identifying the agent profile
+ * @param  {String}       params.agent                  The JSON encoded xAPI agent the agent profile belongs to
+ * @param  {String}       params.profileId              The id of the agent profile to delete
+ * @param  {Object}       [options]                     Options for deleting the agent profile
+ * @param  {String}       [options.ifMatch]             The value of the `If-Match` header of the request
+ * @param  {Function}     callback                      Standard callback function
+ * @param  {Object}       callback.err                  An error object, if any
+ */
+var deleteAgentProfile = module.exports.deleteAgentProfile = function(ctx, params, options, callback) {
+  return deleteDocuments(ctx, AGENT_PROFILE, params, options, callback);
+};
+
+/**
+ * Get a single document of a document resource
+ *
+ * @param  {Object}       ctx                           Standard context containing the current user and the current tenant
+ * @param  {Object}       resource                      The document resource
+ * @param  {Object}       params                        The parameters identifying the document
+ * @param  {Function}     callback                      Standard callback function
+ * @param  {Object}       callback.err                  An error object, if any
+ * @param  {Object}       callback.document             The requested document
+ * @api private
+ */
+var getDocument = function(ctx, resource, params, callback) {
+  var notFound = {code: 404, msg: 'The requested ' + resource.name + ' could not be found'};
+
+  getDocumentConditions(ctx, resource, params, getIdParameter(resource, true), function(err, conditions) {
+    if (err) {
+      return callback(err);
+    }
+
+    findDocument(resource, conditions, params, null, function(err, document) {
+      if (err) {
+        return callback(err);
+      } else if (!document) {
+        return callback(notFound);
+      }
+
+      return callback(null, document);
+    });
+  });
+};
+
+/**
+ * Get the ids of the documents of a document resource
+ *
+ * @param  {Object}       ctx                           Standard context containing the current user and the current tenant
+ * @param  {Object}       resource                      The document resource
+ * @param  {Object}       params                        The parameters identifying the documents
+ * @param  {String}       [params.since]                Only return the ids of documents stored after this timestamp
+ * @param  {Function}     callback                      Standard callback function
+ * @param  {Object}       callback.err                  An error object, if any
+ * @param  {String[]}     callback.ids                  The ids of the matching documents
+ * @api private
+ */
+var getDocumentIds = function(ctx, resource, params, callback) {
+  var parameters = {
+    since: Joi.date().iso().optional()
+  };
+
+  getDocumentConditions(ctx, resource, params, parameters, function(err, conditions) {
+    if (err) {
+      return callback(err);
+    }
+
+    var options = {
+      attributes: [ resource.idColumn ],
+      where: conditions,
+      order: [ resource.idColumn ]
+    };
+    if (params.since) {
+      options.where.updated_at = {[Op.gt]: new Date(params.since)};
+    }
+
+    DB[resource.model].findAll(options).complete(function(err, documents) {
+      if (err) {
+        log.error({err: err, resource: resource.name}, 'Failed to retrieve the document ids');
+        return callback({code: 500, msg: err.message});
+      }
+
+      return callback(null, _.map(documents, resource.idColumn));
+    });
+  });
+};
+
+/**
+ * Store a document of a document resource
+ *
+ * @param  {Object}       ctx                           Standard context containing the current user and the current tenant
+ * @param  {Object}       resource                      The document resource
+ * @param  {Object}       params                        The parameters identifying the document
+ * @param  {Object}       document                      The document to store
+ * @param  {Buffer}       document.content              The raw content of the document
+ * @param  {String}       document.contentType          The content type of the document
+ * @param  {Object}       [options]                     Options for storing the document
+ * @param  {Boolean}      [options.merge]               Whether the document should be merged into the stored JSON document
+ * @param  {String}       [options.ifMatch]             The value of the `If-Match` header of the request
+ * @param  {String}       [options.ifNoneMatch]         The value of the `If-None-Match` header of the request
+ * @param  {Function}     callback                      Standard callback function
+ * @param  {Object}       callback.err                  An error object, if any
+ * @param  {Object}       callback.document             The stored document
+ * @api private
+ */
+var saveDocument = function(ctx, resource, params, document, options, callback) {
+  options = options || {};
+
+  getDocumentConditions(ctx, resource, params, getIdParameter(resource, true), function(err, conditions) {
+    if (err) {
+      return callback(err);
+    }
+
+    // The document is looked up and written in a single transaction so concurrent requests can't overwrite each other
+    DB.getSequelize().transaction().complete(function(err, transaction) {
+      if (err) {
+        log.error({err: err, resource: resource.name}, 'Failed to start a transaction for storing a document');
+        return callback({code: 500, msg: err.message});
+      }
+
+      storeDocument(transaction, resource, conditions, params, document, options, function(err, storedDocument) {
+        if (err) {
+          return rollback(transaction, err, callback);
+        }
+
+        transaction.commit().complete(function(err) {
+          if (err) {
+            log.error({err: err, resource: resource.name}, 'Failed to commit the storage of a document');
+            return callback({code: 500, msg: err.message});
+          }
+
+          return callback(null, storedDocument);
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Create or update a single document of a document resource within a transaction. The stored document is locked
+ * until the transaction ends
+ *
+ * @param  {Transaction}  transaction                   The transaction in which the document is stored
+ * @param  {Object}       resource                      The document resource
+ * @param  {Object}       conditions                    The conditions that match the documents of the request
+ * @param  {Object}       params                        The parameters identifying the document
+ * @param  {Object}       document                      The document to store
+ * @param  {Buffer}       document.content              The raw content of the document
+ * @param  {String}       document.contentType          The content type of the document
+ * @param  {Object}       options                       Options for storing the document, as passed to `saveDocument`
+ * @param  {Function}     callback                      Standard callback function
+ * @param  {Object}       callback.err                  An error object, if any
+ * @param  {Object}       callback.document             The stored document
+ * @api private
+ */
+var storeDocument = function(transaction, resource, conditions, params, document, options, callback) {
+  findDocument(resource, conditions, params, transaction, function(err, storedDocument) {
+    if (err) {
+      return callback(err);
+    }
+
+    // Replacing a document that other clients might be updating concurrently requires a precondition
+    if (resource.requirePreconditions && !options.merge && storedDocument && !options.ifMatch && !options.ifNoneMatch) {
+      return callback({code: 409, msg: 'An If-Match or If-None-Match header is required to replace the ' + resource.name});
+    }
+
+    err = checkPreconditions(storedDocument, options);
+    if (err) {
+      return callback(err);
+    }
+
+    var content = document.content;
+    var contentType = document.contentType;
+    if (options.merge) {
+      var merged = mergeContent(storedDocument, document);
+      if (merged.error) {
+        return callback(merged.error);
+      }
+      content = merged.content;
+      contentType = merged.contentType;
+    }
+
+    var values = {
+      content: content,
+      content_type: contentType,
+      etag: getEtag(content)
+    };
+
+    if (storedDocument) {
+      return storedDocument.update(values, {transaction: transaction}).complete(function(err, updatedDocument) {
+        if (err) {
+          log.error({err: err, resource: resource.name}, 'Failed to update a document');
+          return callback({code: 500, msg: err.message});
+        }
+
+        return callback(null, updatedDocument);
+      });
+    }
+
+    values[resource.idColumn] = params[resource.idParameter];
+    DB[resource.model].create(_.extend({}, conditions, values), {transaction: transaction}).complete(function(err, createdDocument) {
+      if (err instanceof Sequelize.UniqueConstraintError) {
+        log.warn({resource: resource.name}, 'A document was created by a concurrent request');
+        return callback({code: 409, msg: 'The ' + resource.name + ' has been created by a concurrent request'});
+      } else if (err) {
+        log.error({err: err, resource: resource.name}, 'Failed to create a document');
+        return callback({code: 500, msg: err.message});
+      }
+
+      return callback(null, createdDocument);
+    });
+  });
+};
+
+/**
+ * Delete a single document of a document resource or, when the resource allows it and no document id is
+ * provided, all matching documents
+ *
+ * @param  {Object}       ctx                           Standard context containing the current user and the current tenant
+ * @param  {Object}       resource                      The document resource
+ * @param  {Object}       params                        The parameters identifying the documents
+ * @param  {Object}       [options]                     Options for deleting the documents
+ * @param  {String}       [options.ifMatch]             The value of the `If-Match` header of the request
+ * @param  {Function}     callback                      Standard callback function
+ * @param  {Object}       callback.err                  An error object, if any
+ * @api private
+ */
+var deleteDocuments = function(ctx, resource, params, options, callback) {
+  options = options || {};
+
+  var parameters = getIdParameter(resource, !resource.deleteAll);
+  getDocumentConditions(ctx, resource, params, parameters, function(err, conditions) {
+    if (err) {
+      return callback(err);
+    }
+
+    if (!params[resource.idParameter]) {
+      return DB[resource.model].destroy({where: conditions}).complete(function(err) {
+        if (err) {
+          log.error({err: err, resource: resource.name}, 'Failed to delete the documents');
+          return callback({code: 500, msg: err.message});
+        }
+
+        return callback();
+      });
+    }
+
+    findDocument(resource, conditions, params, null, function(err, document) {
+      if (err) {
+        return callback(err);
+      } else if (!document) {
+        return callback();
+      }
+
+      err = checkPreconditions(document, {ifMatch: options.ifMatch});
+      if (err) {
+        return callback(err);
+      }
+
+      document.destroy().complete(function(err) {
+        if (err) {
+          log.error({err: err, resource: resource.name}, 'Failed to delete a document');
+          return callback({code: 500, msg: err.message});
+        }
+
+        return callback();
+      });
+    });
+  });
+};
+
+/**
+ * Get the validation schema of the document id parameter of a document resource
+ *
+ * @param  {Object}       resource                      The document resource
+ * @param  {Boolean}      required                      Whether the document id is required
+ * @return {Object}                                     The validation schema of the document id parameter
+ * @api private
+ */
+var getIdParameter = function(resource, required) {
+  var parameters = {};
+  parameters[resource.idParameter] = required ? Joi.string().required() : Joi.string().optional();
+  return parameters;
+};
+
+/**
+ * Validate the parameters of a document request and get the conditions that match its documents. Documents
+ * of resources scoped to an agent are keyed by the inverse functional identifier of the agent
+ *
+ * @param  {Object}       ctx                           Standard context containing the current user and the current tenant
+ * @param  {Object}       resource                      The document resource
+ * @param  {Object}       params                        The parameters of the document request
+ * @param  {Object}       parameters                    The validation schemas of the request specific parameters
+ * @param  {Function}     callback                      Standard callback function
+ * @param  {Object}       callback.err                  An error object, if any
+ * @param  {Object}       callback.conditions           The conditions that match the documents
+ * @api private
+ */
+var getDocumentConditions = function(ctx, resource, params, parameters, callback) {
+  var validationSchema = Joi.object().keys(_.extend({}, resource.parameters, parameters));
+  var validationResult = Joi.validate(params, validationSchema, {allowUnknown: true});
+  if (validationResult.error) {
+    return callback({code: 400, msg: validationResult.error.details[0].message});
+  }
+
+  if (!resource.parameters.agent) {
+    return callback(null, resource.getConditions(ctx, params));
+  }
+
+  var agent = null;
+  try {
+    agent = JSON.parse(params.agent);
+  } catch (err) {
+    return callback({code: 400, msg: 'The agent parameter should be a JSON encoded xAPI agent'});
+  }
+
+  var agentIFI = getAgentIFI(agent);
+  if (!agentIFI) {
+    return callback({code: 400, msg: 'The agent parameter should contain exactly one inverse functional identifier'});
+  }
+
+  return callback(null, resource.getConditions(ctx, params, agentIFI));
+};
+
+/**
+ * Get the key under which the documents of an xAPI agent are stored. The key is the JSON encoded inverse
+ * functional identifier of the agent, so the same agent always maps to the same key
+ *
+ * @param  {Object}       agent                         The xAPI agent or identified group
+ * @return {String}                                     The JSON encoded inverse functional identifier of the agent, or `null` when the agent doesn't have exactly one
+ * @api private
+ */
+var getAgentIFI = function(agent) {
+  if (!_.isPlainObject(agent)) {
+    return null;
+  }
+
+  var identifiers = StatementXAPI.getAgentIdentifiers(agent);
+  if (identifiers.length !== 1 || identifiers[0].type === 'account' && !identifiers[0].home_page) {
+    return null;
+  }
+
+  return JSON.stringify(identifiers[0]);
+};
+
+/**
+ * Find a single document of a document resource
+ *
+ * @param  {Object}       resource                      The document resource
+ * @param  {Object}       conditions                    The conditions that match the documents of the request
+ * @param  {Object}       params                        The parameters of the document request
+ * @param  {Transaction}  [transaction]                 The transaction in which the document should be locked for an update, if any
+ * @param  {Function}     callback                      Standard callback function
+ * @param  {Object}       callback.err                  An error object, if any
+ * @param  {Object}       callback.document             The document, or `null` when it doesn't exist
+ * @api private
+ */
+var findDocument = function(resource, conditions, params, transaction, callback) {
+  var where = _.extend({}, conditions);
+  where[resource.idColumn] = params[resource.idParameter];
+
+  var options = {where: where};
+  if (transaction) {
+    options.transaction = transaction;
+    options.lock = transaction.LOCK.UPDATE;
+  }
+
+  DB[resource.model].findOne(options).complete(function(err, document) {
+    if (err) {
+      log.error({err: err, resource: resource.name}, 'Failed to retrieve a document');
+      return callback({code: 500, msg: err.message});
+    }
+
+    return callback(null, document);
+  });
+};
+
+/**
+ * Roll back a transaction in which a document was being stored
+ *
+ * @param  {Transaction}  transaction                   The transaction to roll back
+ * @param  {Object}       err                           The error that caused the transaction to be rolled back
+ * @param  {Function}     callback                      Standard callback function
+ * @param  {Object}       callback.err                  The error that caused the transaction to be rolled back
+ * @api private
+ */
+var rollback = function(transaction, err, callback) {
+  transaction.rollback().complete(function(rollbackErr) {
+    if (rollbackErr) {
+      log.error({err: rollbackErr}, 'Failed to roll back the storage of a document');
+    }
+
+    return callback(err);
+  });
+};
+
+/**
+ * Get the ETag of the content of a document
+ *
+ * @param  {Buffer}       content                       The raw content of the document
+ * @return {String}                                     The SHA-1 hash of the content
+ * @api private
+ */
+var getEtag = function(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+};
+
+/**
+ * Check the `If-Match` and `If-None-Match` preconditions of a request against the stored document
+ *
+ * @param  {Object}       document                      The stored document, if any
+ * @param  {Object}       preconditions                 The preconditions of the request
+ * @param  {String}       [preconditions.ifMatch]       The value of the `If-Match` header of the request
+ * @param  {String}       [preconditions.ifNoneMatch]   The value of the `If-None-Match` header of the request
+ * @return {Object}                                     An error object when a precondition failed, `null` otherwise
+ * @api private
+ */
+var checkPreconditions = function(document, preconditions) {
+  if (preconditions.ifMatch && (!document || !matchesEtag(preconditions.ifMatch, document.etag))) {
+    return {code: 412, msg: 'The stored document does not match the If-Match header'};
+  }
+
+  if (preconditions.ifNoneMatch && document && matchesEtag(preconditions.ifNoneMatch, document.etag)) {
+    return {code: 412, msg: 'The stored document matches the If-None-Match header'};
+  }
+
+  return null;
+};
+
+/**
+ * Check whether an `If-Match` or `If-None-Match` header matches an ETag
+ *
+ * @param  {String}       header                        The value of the header
+ * @param  {String}       etag                          The ETag of the stored document
+ * @return {Boolean}                                    Whether the header matches the ETag
+ * @api private
+ */
+var matchesEtag = function(header, etag) {
+  if (header.trim() === '*') {
+    return true;
+  }
+
+  return _.some(header.split(','), function(value) {
+    return value.trim().replace(/^W\//, '').replace(/"/g, '') === etag;
+  });
+};
+
+/**
+ * Merge the properties of a JSON document into the properties of the stored JSON document
+ *
+ * @param  {Object}       storedDocument                The stored document, if any
+ * @param  {Object}       document                      The document to merge into the stored document
+ * @param  {Buffer}       document.content              The raw content of the document
+ * @param  {String}       document.contentType          The content type of the document
+ * @return {Object}                                     An object containing the merged `content` and `contentType`, or an `error` when the documents can't be merged
+ * @api private
+ */
+var mergeContent = function(storedDocument, document) {
+  var error = {code: 400, msg: 'Only JSON documents can be merged'};
+  if (!isJSON(document.contentType)) {
+    return {error: error};
+  }
+
+  var properties = null;
+  try {
+    properties = JSON.parse(document.content.toString('utf8'));
+  } catch (err) {
+    return {error: {code: 400, msg: 'The document is not valid JSON'}};
+  }
+
+  if (!_.isPlainObject(properties)) {
+    return {error: error};
+  }
+
+  if (storedDocument) {
+    if (!isJSON(storedDocument.content_type)) {
+      return {error: error};
+    }
+
+    var storedProperties = null;
+    try {
+      storedProperties = JSON.parse(storedDocument.content.toString('utf8'));
+    } catch (err) {
+      return {error: error};
+    }
+
+    if (!_.isPlainObject(storedProperties)) {
+      return {error: error};
+    }
+
+    properties = _.extend(storedProperties, properties);
+  }
+
+  return {
+    content: Buffer.from(JSON.stringify(properties)),
+    contentType: 'application/json'
+  };
+};
+
+/**
+ * Check whether a content type is a JSON content type
+ *
+ * @param  {String}       contentType                   The content type to check
+ * @return {Boolean}                                    Whether the content type is a JSON content type
+ * @api private
+ */
+var isJSON = function(contentType) {
+  return (/^application\/json/i).test(contentType || '');
+};
@@ -0,0 +1,210 @@
+/**
+ * Copyright ©2018. The Regents of the University of California (Regents). All Rights Reserved.
+ *
+ * Permission to use, copy, modify, and distribute this software and its documentation
+ * for educational, research, and not-for-profit purposes, without fee and without a
+ * signed licensing agreement, is hereby granted, provided that the above copyright
+ * notice, this paragraph and the following two paragraphs appear in all copies,
+ * modifications, and distributions.
+ *
+ * Contact The Office of Technology Licensing, UC Berkeley, 2150 Shattuck Avenue,
+ * Suite 510, Berkeley, CA 94720-1620, (510) 643-7201, otl@berkeley.edu,
+ * http://ipira.berkeley.edu/industry-info for commercial licensing opportunities.
+ *
+ * IN NO EVENT SHALL REGENTS BE LIABLE TO ANY PARTY FOR DIRECT, INDIRECT, SPECIAL,
+ * INCIDENTAL, OR CONSEQUENTIAL DAMAGES, INCLUDING LOST PROFITS, ARISING OUT OF
+ * THE USE OF THIS SOFTWARE AND ITS DOCUMENTATION, EVEN IF REGENTS HAS BEEN ADVISED
+ * OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * REGENTS SPECIFICALLY DISCLAIMS ANY WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE. THE
+ * SOFTWARE AND ACCOMPANYING DOCUMENTATION, IF ANY, PROVIDED HEREUNDER IS PROVIDED
+ * "AS IS". REGENTS HAS NO OBLIGATION TO PROVIDE MAINTENANCE, SUPPORT, UPDATES,
+ * ENHANCEMENTS, OR MODIFICATIONS.
+ */
+
+var _ = require('lodash');
+var bodyParser = require('body-parser');
+var config = require('config');
+
+var CloudLRS = require('../lrs-core');
+var Version = require('../lrs-core/version');
+var DocumentsAPI = require('./api');
+
+// Documents can have any content type, so all bodies that haven't been parsed yet are read as raw content
+var rawBodyParser = bodyParser.raw({
+  type: function() {
+    return true;
+  },
+  limit: config.get('app.requestSizeLimit')
+});
+
+/**
+ * Get the document that has been provided in the body of a request
+ *
+ * @param  {Request}      req                           The express request
+ * @return {Object}                                     An object containing the raw `content` and the `contentType` of the document, or `null` when the request has no document
+ * @api private
+ */
+var getRequestDocument = function(req) {
+  var content = req.body;
+  if (!Buffer.isBuffer(content)) {
+    if (!req.is('json')) {
+      return null;
+    }
+    content = Buffer.from(JSON.stringify(content));
+  }
+
+  return {
+    content: content,
+    contentType: req.get('Content-Type') || 'application/octet-stream'
+  };
+};
+
+/**
+ * Send a stored document as the response of a request
+ *
+ * @param  {Response}     res                           The express response
+ * @param  {Object}       document                      The stored document
+ * @api private
+ */
+var sendDocument = function(res, document) {
+  res.set('Content-Type', document.content_type);
+  res.set('ETag', '"' + document.etag + '"');
+  res.set('Last-Modified', new Date(document.updated_at).toUTCString());
+  return res.status(200).send(document.content);
+};
+
+/**
+ * Register the routes of an xAPI document resource
+ *
+ * @param  {String}       path                          The path of the document resource
+ * @param  {String}       idParameter                   The name of the parameter that identifies a single document
+ * @param  {Object}       api                           The functions that implement the document resource
+ * @param  {Function}     api.get                       The function that retrieves a single document
+ * @param  {Function}     api.getIds                    The function that retrieves the ids of the matching documents
+ * @param  {Function}     api.save                      The function that stores a document
+ * @param  {Function}     api.delete                    The function that deletes documents
+ * @api private
+ */
+var registerDocumentResource = function(path, idParameter, api) {
+
+  /**
+   * Store a document of the document resource
+   *
+   * @param  {Boolean}      merge                         Whether the document should be merged into the stored JSON document
+   * @return {Function}                                   The express request handler
+   */
+  var saveDocument = function(merge) {
+    return function(req, res) {
+      // Verify credentials has write permissions on LRS
+      if (!req.ctx.auth.write_permission) {
+        return res.status(403).send('Incorrect write credentials');
+      }
+
+      // Form data is parsed before the document routes are reached, so its raw content is no longer available
+      if (req.is('urlencoded')) {
+        return res.status(400).send('A document can not be sent as application/x-www-form-urlencoded');
+      }
+
+      var document = getRequestDocument(req);
+      if (!document) {
+        return res.status(400).send('The request does not contain a document');
+      }
+
+      var options = {
+        merge: merge,
+        ifMatch: req.get('If-Match'),
+        ifNoneMatch: req.get('If-None-Match')
+      };
+      api.save(req.ctx, req.query, document, options, function(err, storedDocument) {
+        if (err) {
+          return res.status(err.code).send(err.msg);
+        }
+
+        res.set('ETag', '"' + storedDocument.etag + '"');
+        return res.sendStatus(204);
+      });
+    };
+  };
+
+  /* !
+   * Get a single document or the ids of the matching documents
+   */
+  CloudLRS.apiRouter.get(path, Version.requireVersion, function(req, res) {
+    // Check if the credentials authenticated has sufficient read permissions
+    if (!req.ctx.auth.read_permission) {
+      return res.status(403).send('Incorrect read credentials');
+    }
+
+    if (!_.has(req.query, idParameter)) {
+      return api.getIds(req.ctx, req.query, function(err, ids) {
+        if (err) {
+          return res.status(err.code).send(err.msg);
+        }
+
+        return res.status(200).send(ids);
+      });
+    }
+
+    api.get(req.ctx, req.query, function(err, document) {
+      if (err) {
+        return res.status(err.code).send(err.msg);
+      }
+
+      return sendDocument(res, document);
+    });
+  });
+
+  /* !
+   * Store a document, replacing the stored document
+   */
+  CloudLRS.apiRouter.put(path, Version.requireVersion, rawBodyParser, saveDocument(false));
+
+  /* !
+   * Store a document, merging a JSON document into the stored JSON document
+   */
+  CloudLRS.apiRouter.post(path, Version.requireVersion, rawBodyParser, saveDocument(true));
+
+  /* !
+   * Delete a single document or, where the resource allows it, all matching documents
+   */
+  CloudLRS.apiRouter.delete(path, Version.requireVersion, function(req, res) {
+    // Verify credentials has write permissions on LRS
+    if (!req.ctx.auth.write_permission) {
+      return res.status(403).send('Incorrect write credentials');
+    }
+
+    var options = {
+      ifMatch: req.get('If-Match')
+    };
+    api.delete(req.ctx, req.query, options, function(err) {
+      if (err) {
+        return res.status(err.code).send(err.msg);
+      }
+
+      return res.sendStatus(204);
+    });
+  });
+};
+
+registerDocumentResource('/activities/state', 'stateId', {
+  get: DocumentsAPI.getState,
+  getIds: DocumentsAPI.getStateIds,
+  save: DocumentsAPI.saveState,
+  delete: DocumentsAPI.deleteStates
+});
+
+registerDocumentResource('/activities/profile', 'profileId', {
+  get: DocumentsAPI.getActivityProfile,
+  getIds: DocumentsAPI.getActivityProfileIds,
+  save: DocumentsAPI.saveActivityProfile,
+  delete: DocumentsAPI.deleteActivityProfile
+});
+
+registerDocumentResource('/agents/profile', 'profileId', {
+  get: DocumentsAPI.getAgentProfile,
+  getIds: DocumentsAPI.getAgentProfileIds,
+  save: DocumentsAPI.saveAgentProfile,
+  delete: DocumentsAPI.deleteAgentProfile
+});
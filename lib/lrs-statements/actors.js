@@ -0,0 +1,129 @@
+/**
+ * Copyright ©2018. The Regents of the University of California (Regents). All Rights Reserved.
+ *
+ * Permission to use, copy, modify, and distribute this software and its documentation
+ * for educational, research, and not-for-profit purposes, without fee and without a
+ * signed licensing agreement, is hereby granted, provided that the above copyright
+ * notice, this paragraph and the following two paragraphs appear in all copies,
+ * modifications, and distributions.
+ *
+ * Contact The Office of Technology Licensing, UC Berkeley, 2150 Shattuck Avenue,
+ * Suite 510, Berkeley, CA 94720-1620, (510) 643-7201, otl@berkeley.edu,
+ * http://ipira.berkeley.edu/industry-info for commercial licensing opportunities.
+ *
+ * IN NO EVENT SHALL REGENTS BE LIABLE TO ANY PARTY FOR DIRECT, INDIRECT, SPECIAL,
+ * INCIDENTAL, OR CONSEQUENTIAL DAMAGES, INCLUDING LOST PROFITS, ARISING OUT OF
+ * THE USE OF THIS SOFTWARE AND ITS DOCUMENTATION, EVEN IF REGENTS HAS BEEN ADVISED
+ * OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * REGENTS SPECIFICALLY DISCLAIMS ANY WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE. THE
+ * SOFTWARE AND ACCOMPANYING DOCUMENTATION, IF ANY, PROVIDED HEREUNDER IS PROVIDED
+ * "AS IS". REGENTS HAS NO OBLIGATION TO PROVIDE MAINTENANCE, SUPPORT, UPDATES,
+ * ENHANCEMENTS, OR MODIFICATIONS.
+ */
+
+var _ = require('lodash');
+var async = require('async');
+
+var DB = require('../lrs-core/db');
+var log = require('../lrs-core/logger')('lrs-statements');
+
+/**
+ * Retrieve the non-person actor of a learning activity statement and record its members. If the actor doesn't exist,
+ * it will be created. Otherwise, its name and definition are replaced by the latest ones
+ *
+ * @param  {Object}           ctx                       Context containing write credentials
+ * @param  {Object}           actor                     The non-person actor
+ * @param  {String}           actor.type                The type of the actor, e.g. `Group`, `Organization` or `SoftwareApplication`
+ * @param  {String}           actor.identifier          The identifier of the actor within its type
+ * @param  {String}           [actor.name]              The name of the actor, if any
+ * @param  {Object}           actor.definition          The JSON representation of the actor
+ * @param  {User[]}           members                   The users that are members of the actor
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any
+ * @param  {Actor}            callback.actor            The requested actor, or the generated actor if the actor didn't exist
+ */
+var getOrCreateActor = module.exports.getOrCreateActor = function(ctx, actor, members, callback) {
+  var options = {
+    where: {
+      tenant_id: ctx.auth.tenant_id,
+      type: actor.type,
+      identifier: actor.identifier
+    },
+    defaults: {
+      tenant_id: ctx.auth.tenant_id,
+      type: actor.type,
+      identifier: actor.identifier,
+      name: actor.name || null,
+      definition: actor.definition
+    },
+    transaction: ctx.transaction
+  };
+
+  DB.Actor.findOrCreate(options).complete(function(err, data) {
+    if (err) {
+      log.error({err: err}, 'Failed to get or create an actor');
+      return callback({code: 500, msg: err.message});
+    }
+
+    var storedActor = data[0];
+    var wasCreated = data[1];
+    if (wasCreated) {
+      log.info({id: storedActor.id, type: storedActor.type}, 'Created a new actor');
+      return saveActorMembers(ctx, storedActor, members, callback);
+    }
+
+    var update = {
+      name: actor.name || storedActor.name,
+      definition: actor.definition
+    };
+    storedActor.update(update, {transaction: ctx.transaction}).complete(function(err) {
+      if (err) {
+        log.error({err: err, id: storedActor.id}, 'Failed to update an actor');
+        return callback({code: 500, msg: err.message});
+      }
+
+      return saveActorMembers(ctx, storedActor, members, callback);
+    });
+  });
+};
+
+/**
+ * Record the users that are members of a non-person actor. Members that have been recorded before are kept, as
+ * statements don't necessarily list every member of a group
+ *
+ * @param  {Object}           ctx                       Context containing write credentials
+ * @param  {Actor}            actor                     The actor to record the members of
+ * @param  {User[]}           members                   The users that are members of the actor
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any
+ * @param  {Actor}            callback.actor            The actor
+ * @api private
+ */
+var saveActorMembers = function(ctx, actor, members, callback) {
+  async.eachSeries(_.uniqBy(members, 'id'), function(member, done) {
+    var options = {
+      where: {
+        actor_id: actor.id,
+        user_id: member.id
+      },
+      transaction: ctx.transaction
+    };
+
+    DB.ActorMember.findOrCreate(options).complete(function(err) {
+      if (err) {
+        log.error({err: err, id: actor.id}, 'Failed to record a member of an actor');
+        return done({code: 500, msg: err.message});
+      }
+
+      return done();
+    });
+  }, function(err) {
+    if (err) {
+      return callback(err);
+    }
+
+    return callback(null, actor);
+  });
+};
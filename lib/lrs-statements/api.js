@@ -0,0 +1,1050 @@
+/**
+ * Copyright ©2018. The Regents of the University of California (Regents). All Rights Reserved.
+ *
+ * Permission to use, copy, modify, and distribute this software and its documentation
+ * for educational, research, and not-for-profit purposes, without fee and without a
+ * signed licensing agreement, is hereby granted, provided that the above copyright
+ * notice, this paragraph and the following two paragraphs appear in all copies,
+ * modifications, and distributions.
+ *
+ * Contact The Office of Technology Licensing, UC Berkeley, 2150 Shattuck Avenue,
+ * Suite 510, Berkeley, CA 94720-1620, (510) 643-7201, otl@berkeley.edu,
+ * http://ipira.berkeley.edu/industry-info for commercial licensing opportunities.
+ *
+ * IN NO EVENT SHALL REGENTS BE LIABLE TO ANY PARTY FOR DIRECT, INDIRECT, SPECIAL,
+ * INCIDENTAL, OR CONSEQUENTIAL DAMAGES, INCLUDING LOST PROFITS, ARISING OUT OF
+ * THE USE OF THIS SOFTWARE AND ITS DOCUMENTATION, EVEN IF REGENTS HAS BEEN ADVISED
+ * OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * REGENTS SPECIFICALLY DISCLAIMS ANY WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE. THE
+ * SOFTWARE AND ACCOMPANYING DOCUMENTATION, IF ANY, PROVIDED HEREUNDER IS PROVIDED
+ * "AS IS". REGENTS HAS NO OBLIGATION TO PROVIDE MAINTENANCE, SUPPORT, UPDATES,
+ * ENHANCEMENTS, OR MODIFICATIONS.
+ */
+
+var _ = require('lodash');
+var async = require('async');
+var Joi = require('joi');
+var querystring = require('querystring');
+
+var DB = require('../lrs-core/db');
+var log = require('../lrs-core/logger')('lrs-statements');
+var LRSUtil = require('../lrs-core/util');
+var Version = require('../lrs-core/version');
+var StatementAttachments = require('./attachments');
+var StatementCaliper = require('./caliper');
+var StatementEntities = require('./entities');
+var StatementTranslate = require('./translate');
+var StatementUtil = require('./util');
+var StatementXAPI = require('./xapi');
+
+const CALIPER = 'CALIPER';
+const XAPI = 'XAPI';
+const STATEMENTS_PATH = '/api/statements';
+const EXTENSIONS_BASE = 'https://github.com/ets-berkeley-edu/cloud-lrs/extensions/';
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// The properties on an xAPI agent that can be used to uniquely identify it
+const AGENT_IFIS = [
+  'mbox',
+  'mbox_sha1sum',
+  'openid',
+  'account'
+];
+
+// The statement properties that are matched against the agent filter when `related_agents` is set
+const RELATED_AGENT_PATHS = [
+  '->\'object\'',
+  '->\'authority\'',
+  '->\'context\'->\'instructor\'',
+  '->\'context\'->\'team\'',
+  '->\'object\'->\'actor\''
+];
+
+// The context activity types that are matched against the activity filter when `related_activities` is set
+const CONTEXT_ACTIVITY_TYPES = [
+  'parent',
+  'grouping',
+  'category',
+  'other'
+];
+
+// The endpoint to which Caliper sensors send their envelopes
+const CALIPER_ENDPOINT = '/api/caliper';
+
+// The query parameters that are carried over to the `more` continuation URL
+const STATEMENT_FILTERS = [
+  'agent',
+  'verb',
+  'activity',
+  'registration',
+  'related_activities',
+  'related_agents',
+  'since',
+  'ascending',
+  'verified',
+  'format',
+  'translate'
+];
+
+// The formats into which stored statements can be translated
+const TRANSLATION_FORMATS = {
+  caliper: CALIPER,
+  xapi: XAPI
+};
+
+// The xAPI formats in which statements can be requested
+const FORMATS = ['ids', 'exact', 'canonical'];
+
+/**
+ * Get the description of the capabilities of the Learning Record Store, as returned by the xAPI About resource
+ *
+ * @return {Object}                                 The xAPI About object listing the supported xAPI versions and the optional features as extensions
+ */
+var getAbout = module.exports.getAbout = function() {
+  var extensions = {};
+  extensions[EXTENSIONS_BASE + 'caliper'] = {
+    versions: StatementCaliper.SUPPORTED_VERSIONS,
+    endpoint: CALIPER_ENDPOINT
+  };
+  extensions[EXTENSIONS_BASE + 'features'] = [
+    'statement-batches',
+    'statement-voiding',
+    'attachments',
+    'signed-statements',
+    'caliper-envelopes',
+    'activity-state',
+    'activity-profile',
+    'agent-profile'
+  ];
+
+  return {
+    version: Version.SUPPORTED_VERSIONS,
+    extensions: extensions
+  };
+};
+
+/**
+ * Validate and save one or more learning activity statements. A batch of statements can contain both
+ * xAPI statements and Caliper events. All statements are stored in a single transaction: when any of the
+ * statements can not be stored, none of the statements will be stored
+ *
+ * @param  {Object}           ctx                       Context containing write credentials
+ * @param  {Object|Object[]}  statements                The learning activity statement or statements to save
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any
+ * @param  {String[]}         callback.ids              The ids of the stored learning activity statements, in the order they were provided
+ */
+var saveStatements = module.exports.saveStatements = function(ctx, statements, callback) {
+  if (!ctx || !ctx.auth) {
+    log.warn('Prevented storing learning activities without authentication');
+    return callback({code: 500, msg: 'Prevented storing learning activities without authentication'});
+  }
+
+  statements = _.isArray(statements) ? statements : [ statements ];
+  if (statements.length === 0) {
+    return callback({code: 400, msg: 'No learning activity statements were provided'});
+  }
+
+  // Determine the type of every statement before anything is stored
+  var invalidIndex = _.findIndex(statements, function(statement) {
+    return !getStatementType(statement);
+  });
+  if (invalidIndex !== -1) {
+    log.warn({index: invalidIndex}, 'Statement not in xAPI or Caliper format');
+    return callback({code: 400, msg: 'Statement ' + invalidIndex + ' is not in xAPI or Caliper format'});
+  }
+
+  // Verify the attachment payloads against the attachments the statements declare
+  var attachments = ctx.attachments || [];
+  var attachmentsError = StatementAttachments.validateAttachments(statements, attachments);
+  if (attachmentsError) {
+    log.warn({err: attachmentsError}, 'Invalid learning activity statement attachments');
+    return callback(attachmentsError);
+  }
+
+  DB.getSequelize().transaction().complete(function(err, transaction) {
+    if (err) {
+      log.error({err: err}, 'Failed to start a transaction for storing learning activity statements');
+      return callback({code: 500, msg: err.message});
+    }
+
+    // Every statement in the batch is stored through the same transaction
+    var transactionCtx = _.extend({}, ctx, {transaction: transaction});
+
+    async.mapSeries(statements, function(statement, done) {
+      var StatementFormat = getStatementType(statement) === CALIPER ? StatementCaliper : StatementXAPI;
+      StatementFormat.saveStatement(transactionCtx, statement, function(err, storedStatement) {
+        if (err) {
+          return done(err);
+        }
+
+        return done(null, storedStatement.uuid);
+      });
+    }, function(err, ids) {
+      if (err) {
+        return rollback(transaction, err, callback);
+      }
+
+      // The attachment payloads are stored through the same transaction as the statements
+      StatementAttachments.saveAttachments(transactionCtx, attachments, function(err) {
+        if (err) {
+          return rollback(transaction, err, callback);
+        }
+
+        transaction.commit().complete(function(err) {
+          if (err) {
+            log.error({err: err}, 'Failed to commit the storage of learning activity statements');
+            return callback({code: 500, msg: err.message});
+          }
+
+          log.info({count: ids.length}, 'Successfully stored learning activity statements');
+          return callback(null, ids);
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Check whether a request body is a Caliper envelope, as sent by Caliper sensors
+ *
+ * @param  {Object}           body                      The request body to check
+ * @return {Boolean}                                    Whether the request body is a Caliper envelope
+ */
+var isCaliperEnvelope = module.exports.isCaliperEnvelope = function(body) {
+  return _.isPlainObject(body) && _.has(body, 'sensor') && _.has(body, 'data');
+};
+
+/**
+ * Check whether a request body only contains Caliper data, either as a Caliper envelope or as one or more Caliper events
+ *
+ * @param  {Object|Object[]}  body                      The request body to check
+ * @return {Boolean}                                    Whether the request body only contains Caliper data
+ */
+var isCaliperPayload = module.exports.isCaliperPayload = function(body) {
+  if (isCaliperEnvelope(body)) {
+    return true;
+  }
+
+  var statements = _.isArray(body) ? body : [ body ];
+  return statements.length > 0 && _.every(statements, function(statement) {
+    return getStatementType(statement) === CALIPER;
+  });
+};
+
+/**
+ * Save the Caliper events in a Caliper envelope. Every event is stored in its own transaction and is attributed to
+ * the sensor that sent the envelope, so an invalid event doesn't prevent the other events in the envelope from being
+ * stored. Entities that are described in the envelope are stored in the entity registry
+ *
+ * @param  {Object}           ctx                       Context containing write credentials
+ * @param  {Object}           envelope                  The Caliper envelope
+ * @param  {String}           envelope.sensor           The IRI of the sensor that sent the envelope
+ * @param  {String}           envelope.sendTime         The ISO 8601 timestamp at which the envelope was sent
+ * @param  {String}           envelope.dataVersion      The Caliper context of the data in the envelope
+ * @param  {Object[]}         envelope.data             The Caliper events and entities in the envelope
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any
+ * @param  {Object}           callback.result           The result of the envelope, containing the `sensor` and a `results` entry with the `id`, `type` and `status` of every item in the envelope
+ */
+var saveCaliperEnvelope = module.exports.saveCaliperEnvelope = function(ctx, envelope, callback) {
+  // Parameter validation
+  var validationSchema = Joi.object().keys({
+    sensor: Joi.string().required(),
+    sendTime: Joi.date().iso().required(),
+    dataVersion: Joi.string().required(),
+    data: Joi.array().items(Joi.object()).required()
+  });
+
+  var validationResult = Joi.validate(envelope, validationSchema);
+  if (validationResult.error) {
+    return callback({code: 400, msg: validationResult.error.details[0].message});
+  }
+
+  var sensorCtx = _.extend({}, ctx, {sensor: envelope.sensor});
+  async.mapSeries(envelope.data, function(item, done) {
+    var result = {
+      id: item.id,
+      type: item.type
+    };
+
+    // Events can be recognized by their action. All other items are entity describes, which are kept in the entity
+    // registry. Events that don't specify their own Caliper context use the context of the envelope
+    var saveItem = null;
+    if (_.has(item, 'action')) {
+      saveItem = _.partial(saveStatements, sensorCtx, _.extend({'@context': envelope.dataVersion}, item));
+    } else {
+      saveItem = _.partial(StatementEntities.saveEntity, sensorCtx, item);
+    }
+
+    saveItem(function(err) {
+      if (err) {
+        log.warn({err: err, id: item.id, sensor: envelope.sensor}, 'Failed to store an item from a Caliper envelope');
+        result.status = 'failed';
+        result.code = err.code;
+        result.msg = err.msg;
+        if (err.errors) {
+          result.errors = err.errors;
+        }
+      } else {
+        result.status = 'stored';
+      }
+
+      return done(null, result);
+    });
+  }, function(err, results) {
+    log.info({sensor: envelope.sensor, count: _.filter(results, {status: 'stored'}).length}, 'Processed a Caliper envelope');
+    return callback(null, {
+      sensor: envelope.sensor,
+      results: results
+    });
+  });
+};
+
+/**
+ * Roll back a transaction in which learning activity statements were being stored
+ *
+ * @param  {Transaction}      transaction               The transaction to roll back
+ * @param  {Object}           err                       The error that caused the transaction to be rolled back
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              The error that caused the transaction to be rolled back
+ * @api private
+ */
+var rollback = function(transaction, err, callback) {
+  transaction.rollback().complete(function(rollbackErr) {
+    if (rollbackErr) {
+      log.error({err: rollbackErr}, 'Failed to roll back the storage of learning activity statements');
+    }
+
+    return callback(err);
+  });
+};
+
+/**
+ * Validate and save a single learning activity statement under a given id, as done through the xAPI
+ * PUT statements resource. The same conflict rules apply as for statements that are saved without an id
+ *
+ * @param  {Object}           ctx                       Context containing write credentials
+ * @param  {String}           statementId               The id under which the learning activity statement should be stored
+ * @param  {Object}           statement                 The learning activity statement to save
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any
+ */
+var putStatement = module.exports.putStatement = function(ctx, statementId, statement, callback) {
+  // Parameter validation
+  var validationSchema = Joi.object().keys({
+    statementId: Joi.string().guid().required(),
+    statement: Joi.object().required()
+  });
+
+  var validationResult = Joi.validate({
+    statementId: statementId,
+    statement: statement
+  }, validationSchema);
+
+  if (validationResult.error) {
+    return callback({code: 400, msg: validationResult.error.details[0].message});
+  }
+
+  if (statement.id && statement.id !== statementId) {
+    return callback({code: 400, msg: 'The id of the learning activity statement does not match the statementId parameter'});
+  }
+
+  statement.id = statementId;
+  saveStatements(ctx, statement, function(err) {
+    return callback(err);
+  });
+};
+
+/**
+ * Query the xAPI learning activity statements that are visible to the current credential. Statements
+ * are always scoped to the tenant of the credential and statements about users that have opted out of
+ * the credential are never returned. When a translation is requested, the Caliper events are returned
+ * as well and the filters are matched against the properties their translation is derived from
+ *
+ * @param  {Object}           ctx                               Context containing the read credentials
+ * @param  {Object}           filters                           The xAPI statement query parameters
+ * @param  {String}           [filters.agent]                   JSON encoded agent that should be the actor of the statements
+ * @param  {String}           [filters.verb]                    The IRI of the verb of the statements
+ * @param  {String}           [filters.activity]                The IRI of the activity that should be the object of the statements
+ * @param  {String}           [filters.registration]            The registration UUID the statements should be associated with
+ * @param  {Boolean}          [filters.related_activities]      Whether the activity filter should also match context activities
+ * @param  {Boolean}          [filters.related_agents]          Whether the agent filter should also match the object, authority and context agents
+ * @param  {String}           [filters.since]                   Only return statements stored after this ISO 8601 timestamp
+ * @param  {String}           [filters.until]                   Only return statements stored at or before this ISO 8601 timestamp
+ * @param  {Number}           [filters.limit]                   The maximum number of statements to return. `0` will return the server maximum
+ * @param  {Boolean}          [filters.ascending]               Whether the statements should be returned in ascending stored order
+ * @param  {Number}           [filters.offset]                  The number of statements to skip. Used by the `more` continuation URL
+ * @param  {Boolean}          [filters.verified]                Whether only statements with a verified signature or only statements without one should be returned
+ * @param  {String}           [filters.format]                  `ids` to only return the identifiers of agents, activities and verbs or `canonical` to return the canonical definitions of activities. By default or with `exact`, statements are returned as they were stored
+ * @param  {String}           [filters.translate]               `xapi` or `caliper` to translate the statements into that format. By default, statements are returned in the format they were stored in
+ * @param  {Function}         callback                          Standard callback function
+ * @param  {Object}           callback.err                      An error that occurred, if any
+ * @param  {Object}           callback.result                   The xAPI StatementResult object containing `statements` and `more`
+ */
+var getStatements = module.exports.getStatements = function(ctx, filters, callback) {
+  if (!ctx || !ctx.auth) {
+    log.warn('Prevented querying learning activities without authentication');
+    return callback({code: 500, msg: 'Prevented querying learning activities without authentication'});
+  }
+
+  filters = filters || {};
+
+  // Parameter validation
+  var validationSchema = Joi.object().keys({
+    agent: Joi.string().optional(),
+    verb: Joi.string().uri().optional(),
+    activity: Joi.string().uri().optional(),
+    registration: Joi.string().guid().optional(),
+    related_activities: Joi.boolean().optional(),
+    related_agents: Joi.boolean().optional(),
+    since: Joi.date().iso().optional(),
+    until: Joi.date().iso().optional(),
+    limit: Joi.number().integer().min(0).optional(),
+    ascending: Joi.boolean().optional(),
+    offset: Joi.number().integer().min(0).optional(),
+    verified: Joi.boolean().optional(),
+    format: Joi.string().valid(FORMATS).optional(),
+    translate: Joi.string().valid(_.keys(TRANSLATION_FORMATS)).optional()
+  }).unknown(true);
+
+  var validationResult = Joi.validate(filters, validationSchema);
+  if (validationResult.error) {
+    return callback({code: 400, msg: validationResult.error.details[0].message});
+  }
+
+  var formatError = getFormatError(filters.format, filters.translate);
+  if (formatError) {
+    return callback(formatError);
+  }
+
+  var agent = null;
+  if (filters.agent) {
+    agent = getAgentIdentifier(filters.agent);
+    if (!agent) {
+      return callback({code: 400, msg: 'The agent parameter should be a JSON encoded agent with an inverse functional identifier'});
+    }
+  }
+
+  // Default some parameters
+  var limit = LRSUtil.getNumberParam(filters.limit, DEFAULT_LIMIT, 0, MAX_LIMIT);
+  if (limit === 0) {
+    limit = MAX_LIMIT;
+  }
+  var offset = LRSUtil.getNumberParam(filters.offset, 0, 0);
+  var ascending = LRSUtil.getBooleanParam(filters.ascending, false);
+  var relatedActivities = LRSUtil.getBooleanParam(filters.related_activities, false);
+  var relatedAgents = LRSUtil.getBooleanParam(filters.related_agents, false);
+
+  // Pin the upper bound of the query so that statements that are stored while a client is paging
+  // through the results don't shift the pages
+  var until = filters.until ? new Date(filters.until).toISOString() : new Date().toISOString();
+
+  var visibleStatementsQuery = getVisibleStatementsQuery(ctx);
+  var sqlQuery = visibleStatementsQuery.sqlQuery;
+  sqlQuery += ' AND s.voided = false AND s.created_at <= ?';
+  var replacements = visibleStatementsQuery.replacements.concat([ until ]);
+
+  // Statements in another format than xAPI are only returned when they are translated
+  var translate = !!TRANSLATION_FORMATS[filters.translate];
+  if (!translate) {
+    sqlQuery += ' AND s.statement_type = ?';
+    replacements.push(XAPI);
+  }
+
+  var conditions = [];
+
+  if (filters.since) {
+    sqlQuery += ' AND s.created_at > ?';
+    replacements.push(new Date(filters.since).toISOString());
+  }
+
+  if (_.has(filters, 'verified')) {
+    sqlQuery += ' AND s.verified = ?';
+    replacements.push(LRSUtil.getBooleanParam(filters.verified, false));
+  }
+
+  if (filters.verb) {
+    // Caliper events are translated into the verb that is mapped to their action
+    var caliperVerbCondition = null;
+    var action = StatementTranslate.getAction(filters.verb);
+    if (StatementTranslate.getVerb(action) === filters.verb) {
+      caliperVerbCondition = {sql: 's.statement->>\'action\' = ?', replacements: [ action ]};
+    }
+    conditions.push(getFilterCondition(translate, {sql: 's.verb = ?', replacements: [ filters.verb ]}, caliperVerbCondition));
+  }
+
+  if (filters.registration) {
+    // The translation of a Caliper event has no registration
+    conditions.push(getFilterCondition(translate, {sql: 's.statement->\'context\'->>\'registration\' = ?', replacements: [ filters.registration ]}));
+  }
+
+  if (agent) {
+    var agentJSON = JSON.stringify(agent);
+    var agentConditions = ['s.statement->\'actor\' @> ?::jsonb', 's.statement->\'actor\'->\'member\' @> ?::jsonb'];
+    var agentReplacements = [agentJSON, JSON.stringify([ agent ])];
+    if (relatedAgents) {
+      _.each(RELATED_AGENT_PATHS, function(agentPath) {
+        agentConditions.push('s.statement' + agentPath + ' @> ?::jsonb');
+        agentReplacements.push(agentJSON);
+      });
+    }
+
+    // Caliper actors are translated into an account that is named after their IRI. The other agents
+    // of a statement have no counterpart in a Caliper event
+    var caliperAgentCondition = null;
+    var actorId = StatementTranslate.getEntityId(agent);
+    if (actorId) {
+      caliperAgentCondition = getCaliperEntityCondition('actor', actorId);
+    }
+    conditions.push(getFilterCondition(translate, {sql: '(' + agentConditions.join(' OR ') + ')', replacements: agentReplacements}, caliperAgentCondition));
+  }
+
+  if (filters.activity) {
+    var activityConditions = [ 's.statement->\'object\'->>\'id\' = ?' ];
+    var activityReplacements = [ filters.activity ];
+    var caliperActivityConditions = [ getCaliperEntityCondition('object', filters.activity) ];
+    if (relatedActivities) {
+      var contextActivityJSON = JSON.stringify([ {id: filters.activity} ]);
+      _.each(CONTEXT_ACTIVITY_TYPES, function(contextActivityType) {
+        activityConditions.push('s.statement->\'context\'->\'contextActivities\'->\'' + contextActivityType + '\' @> ?::jsonb');
+        activityReplacements.push(contextActivityJSON);
+      });
+
+      // Match the object of a SubStatement as well
+      activityConditions.push('s.statement->\'object\'->\'object\'->>\'id\' = ?');
+      activityReplacements.push(filters.activity);
+
+      // The group of a Caliper event is translated into a grouping context activity
+      caliperActivityConditions.push(getCaliperEntityCondition('group', filters.activity));
+    }
+
+    var caliperActivityCondition = {
+      sql: '(' + _.map(caliperActivityConditions, 'sql').join(' OR ') + ')',
+      replacements: _.flatten(_.map(caliperActivityConditions, 'replacements'))
+    };
+    conditions.push(getFilterCondition(translate, {sql: '(' + activityConditions.join(' OR ') + ')', replacements: activityReplacements}, caliperActivityCondition));
+  }
+
+  _.each(conditions, function(condition) {
+    sqlQuery += ' AND ' + condition.sql;
+    replacements = replacements.concat(condition.replacements);
+  });
+
+  // Retrieve one statement more than requested to find out whether a next page is available
+  sqlQuery += ' ORDER BY s.created_at ' + (ascending ? 'ASC' : 'DESC') + ', s.uuid ASC';
+  sqlQuery += ' LIMIT ? OFFSET ?';
+  replacements.push(limit + 1, offset);
+
+  var options = {
+    model: DB.Statement,
+    replacements: replacements,
+    type: 'SELECT'
+  };
+
+  DB.getSequelize().query(sqlQuery, options).complete(function(err, statements) {
+    if (err) {
+      log.error({err: err, filters: filters}, 'An error occurred when querying learning activity statements');
+      return callback({code: 500, msg: err.message});
+    }
+
+    var more = '';
+    if (statements.length > limit) {
+      statements = statements.slice(0, limit);
+      var nextFilters = _.extend({}, _.pick(filters, STATEMENT_FILTERS), {
+        limit: limit,
+        offset: offset + limit,
+        until: until
+      });
+      more = STATEMENTS_PATH + '?' + querystring.stringify(nextFilters);
+    }
+
+    var formattedStatements = _.map(statements, function(statement) {
+      return formatStatement(statement, filters.translate, filters.format);
+    });
+    getCanonicalStatements(ctx, formattedStatements, filters.format, function(err, formattedStatements) {
+      if (err) {
+        return callback(err);
+      }
+
+      return callback(null, {
+        statements: formattedStatements,
+        more: more
+      });
+    });
+  });
+};
+
+/**
+ * Get a single learning activity statement that is visible to the current credential by its id
+ *
+ * @param  {Object}           ctx                       Context containing the read credentials
+ * @param  {String}           id                        The id of the learning activity statement to retrieve
+ * @param  {Boolean}          voided                    Whether the requested learning activity statement is expected to have been voided
+ * @param  {Object}           [options]                 Options that determine how the statement is returned
+ * @param  {String}           [options.format]          `ids` to only return the identifiers of agents, activities and verbs or `canonical` to return the canonical definitions of activities. By default or with `exact`, the statement is returned as it was stored
+ * @param  {String}           [options.translate]       `xapi` or `caliper` to translate the statement into that format. By default, the statement is returned in the format it was stored in
+ * @param  {Boolean}          [options.resolve]         Whether the entities referenced by a Caliper event should be resolved to their latest description in the entity registry
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any
+ * @param  {Object}           callback.statement        The requested learning activity statement
+ */
+var getStatementById = module.exports.getStatementById = function(ctx, id, voided, options, callback) {
+  if (!ctx || !ctx.auth) {
+    log.warn('Prevented retrieving a learning activity without authentication');
+    return callback({code: 500, msg: 'Prevented retrieving a learning activity without authentication'});
+  }
+
+  // Parameter validation
+  var validationSchema = Joi.object().keys({
+    id: Joi.string().required(),
+    voided: Joi.boolean().required(),
+    format: Joi.string().valid(FORMATS).optional(),
+    translate: Joi.string().valid(_.keys(TRANSLATION_FORMATS)).optional(),
+    resolve: Joi.boolean().optional()
+  });
+
+  options = options || {};
+  var validationResult = Joi.validate({
+    id: id,
+    voided: voided,
+    format: options.format,
+    translate: options.translate,
+    resolve: options.resolve
+  }, validationSchema);
+
+  if (validationResult.error) {
+    return callback({code: 400, msg: validationResult.error.details[0].message});
+  }
+
+  var formatError = getFormatError(options.format, options.translate);
+  if (formatError) {
+    return callback(formatError);
+  }
+
+  // Caliper event ids are stored without their URN prefix
+  id = id.replace(/^urn:uuid:/, '');
+
+  // A voided statement can only be retrieved as a voided statement and vice versa
+  var visibleStatementsQuery = getVisibleStatementsQuery(ctx);
+  var sqlQuery = visibleStatementsQuery.sqlQuery;
+  sqlQuery += ' AND s.uuid = ? AND s.voided = ?';
+
+  var queryOptions = {
+    model: DB.Statement,
+    replacements: visibleStatementsQuery.replacements.concat([id, voided]),
+    type: 'SELECT'
+  };
+
+  DB.getSequelize().query(sqlQuery, queryOptions).complete(function(err, statements) {
+    if (err) {
+      log.error({err: err, id: id}, 'An error occurred when getting a learning activity statement');
+      return callback({code: 500, msg: err.message});
+    } else if (statements.length === 0) {
+      return callback({code: 404, msg: 'Could not find a learning activity statement'});
+    }
+
+    var statement = statements[0];
+    var getStatementEntities = function(done) {
+      if (!LRSUtil.getBooleanParam(options.resolve, false) || statement.statement_type !== CALIPER) {
+        return done(null, null);
+      }
+
+      StatementEntities.getEntities(ctx.auth.tenant_id, [ statement.statement ], done);
+    };
+
+    getStatementEntities(function(err, entities) {
+      if (err) {
+        return callback(err);
+      }
+
+      // Only xAPI statements have a canonical format
+      var formattedStatement = formatStatement(statement, options.translate, options.format, entities);
+      var isXAPI = statement.statement_type === XAPI || TRANSLATION_FORMATS[options.translate] === XAPI;
+      getCanonicalStatements(ctx, [ formattedStatement ], isXAPI ? options.format : null, function(err, formattedStatements) {
+        if (err) {
+          return callback(err);
+        }
+
+        return callback(null, formattedStatements[0]);
+      });
+    });
+  });
+};
+
+/**
+ * Get the xAPI Activity object for an activity, containing the latest canonical definition that has been
+ * seen for the activity. Activities without a known definition are returned with only their id
+ *
+ * @param  {Object}           ctx                   Context containing the read credentials
+ * @param  {String}           activityId            The IRI of the activity to retrieve
+ * @param  {Function}         callback              Standard callback function
+ * @param  {Object}           callback.err          An error that occurred, if any
+ * @param  {Object}           callback.activity     The xAPI Activity object
+ */
+var getActivity = module.exports.getActivity = function(ctx, activityId, callback) {
+  // Parameter validation
+  var validationSchema = Joi.object().keys({
+    activityId: Joi.string().uri().required()
+  });
+
+  var validationResult = Joi.validate({
+    activityId: activityId
+  }, validationSchema);
+
+  if (validationResult.error) {
+    return callback({code: 400, msg: validationResult.error.details[0].message});
+  }
+
+  var options = {
+    where: {
+      tenant_id: ctx.auth.tenant_id,
+      activity_id: activityId
+    }
+  };
+
+  DB.Activity.findOne(options).complete(function(err, activity) {
+    if (err) {
+      log.error({err: err, id: activityId}, 'An error occurred when getting an activity');
+      return callback({code: 500, msg: err.message});
+    }
+
+    var result = {
+      objectType: 'Activity',
+      id: activityId
+    };
+    if (activity) {
+      result.definition = activity.definition;
+    }
+
+    return callback(null, result);
+  });
+};
+
+/**
+ * Convert a stored learning activity statement into the statement object that is returned by
+ * the read APIs. xAPI statements are enhanced with their `stored` and `authority` properties.
+ * The original statement is kept as it was stored, translations are made when reading
+ *
+ * @param  {Statement}        statement             The stored learning activity statement, including the `credential_name` and `credential_key` of the credential that stored it
+ * @param  {String}           [translate]           `xapi` or `caliper` to translate the statement into that format
+ * @param  {String}           [format]              `ids` to only keep the identifiers of the agents, activities and verbs of an xAPI statement
+ * @param  {Object}           [entities]            The latest description of the entities referenced by a Caliper event, keyed by IRI. When provided, the references are resolved before translating
+ * @return {Object}                                 The original or the translated learning activity statement
+ */
+var formatStatement = module.exports.formatStatement = function(statement, translate, format, entities) {
+  var formattedStatement = _.clone(statement.statement);
+  var statementType = statement.statement_type;
+  if (entities && statementType === CALIPER) {
+    formattedStatement = StatementEntities.resolveReferences(formattedStatement, entities);
+  }
+
+  if (TRANSLATION_FORMATS[translate] === CALIPER && statementType === XAPI) {
+    return StatementTranslate.toCaliper(formattedStatement);
+  } else if (TRANSLATION_FORMATS[translate] === XAPI && statementType === CALIPER) {
+    formattedStatement = StatementTranslate.toXAPI(formattedStatement);
+    formattedStatement.id = statement.uuid;
+    statementType = XAPI;
+  }
+
+  if (statementType === XAPI) {
+    formattedStatement.stored = formattedStatement.stored || statement.created_at.toISOString();
+    formattedStatement.authority = formattedStatement.authority || StatementUtil.getCredentialAuthority({
+      name: statement.get('credential_name'),
+      key: statement.get('credential_key')
+    });
+
+    if (format === 'ids') {
+      formattedStatement = getIdsStatement(formattedStatement);
+    }
+  }
+  return formattedStatement;
+};
+
+/**
+ * Replace the definitions of the activities in a set of xAPI statements with the canonical definitions the
+ * Learning Record Store has for them. Activities without a known definition are kept as they are
+ *
+ * @param  {Object}           ctx                   Context containing the read credentials
+ * @param  {Object[]}         statements            The formatted xAPI statements
+ * @param  {String}           [format]              The requested xAPI format. The statements are only changed for the `canonical` format
+ * @param  {Function}         callback              Standard callback function
+ * @param  {Object}           callback.err          An error that occurred, if any
+ * @param  {Object[]}         callback.statements   The statements with the canonical definitions of their activities
+ * @api private
+ */
+var getCanonicalStatements = function(ctx, statements, format, callback) {
+  if (format !== 'canonical') {
+    return callback(null, statements);
+  }
+
+  statements = _.cloneDeep(statements);
+  var activities = _.flatten(_.map(statements, getStatementActivities));
+  if (!activities.length) {
+    return callback(null, statements);
+  }
+
+  var options = {
+    where: {
+      tenant_id: ctx.auth.tenant_id,
+      activity_id: _.uniq(_.map(activities, 'id'))
+    }
+  };
+
+  DB.Activity.findAll(options).complete(function(err, canonicalActivities) {
+    if (err) {
+      log.error({err: err}, 'An error occurred when getting the canonical definitions of activities');
+      return callback({code: 500, msg: err.message});
+    }
+
+    var definitions = {};
+    _.each(canonicalActivities, function(canonicalActivity) {
+      if (canonicalActivity.definition) {
+        definitions[canonicalActivity.activity_id] = canonicalActivity.definition;
+      }
+    });
+
+    _.each(activities, function(activity) {
+      if (definitions[activity.id]) {
+        activity.definition = definitions[activity.id];
+      }
+    });
+
+    return callback(null, statements);
+  });
+};
+
+/**
+ * Get the activities that are referenced by an xAPI statement, including the activities in its context and
+ * in a SubStatement
+ *
+ * @param  {Object}           statement             The xAPI statement or SubStatement
+ * @return {Object[]}                               The activity objects of the statement
+ * @api private
+ */
+var getStatementActivities = function(statement) {
+  var activities = [];
+  var object = statement.object;
+  if (object && object.objectType === 'SubStatement') {
+    activities = getStatementActivities(object);
+  } else if (object && (!object.objectType || object.objectType === 'Activity')) {
+    activities.push(object);
+  }
+
+  _.each(_.get(statement, 'context.contextActivities'), function(contextActivities) {
+    activities = activities.concat(_.castArray(contextActivities));
+  });
+
+  return activities;
+};
+
+/**
+ * Reduce an xAPI statement to the `ids` format, in which agents, groups, activities and verbs are
+ * only described by their identifiers
+ *
+ * @param  {Object}           statement             The xAPI statement or SubStatement
+ * @return {Object}                                 The statement in the `ids` format
+ * @api private
+ */
+var getIdsStatement = function(statement) {
+  var idsStatement = _.extend({}, statement, {
+    actor: getIdsAgent(statement.actor),
+    verb: _.pick(statement.verb, 'id'),
+    object: getIdsObject(statement.object)
+  });
+
+  if (statement.authority) {
+    idsStatement.authority = getIdsAgent(statement.authority);
+  }
+
+  var context = statement.context;
+  if (context) {
+    idsStatement.context = _.clone(context);
+    if (context.instructor) {
+      idsStatement.context.instructor = getIdsAgent(context.instructor);
+    }
+    if (context.team) {
+      idsStatement.context.team = getIdsAgent(context.team);
+    }
+    if (context.contextActivities) {
+      idsStatement.context.contextActivities = _.mapValues(context.contextActivities, function(contextActivities) {
+        return _.map(_.castArray(contextActivities), getIdsObject);
+      });
+    }
+  }
+
+  return idsStatement;
+};
+
+/**
+ * Reduce the object of an xAPI statement to the `ids` format
+ *
+ * @param  {Object}           object                The activity, agent, group, statement reference or SubStatement
+ * @return {Object}                                 The object in the `ids` format
+ * @api private
+ */
+var getIdsObject = function(object) {
+  if (object.objectType === 'Agent' || object.objectType === 'Group') {
+    return getIdsAgent(object);
+  } else if (object.objectType === 'SubStatement') {
+    return getIdsStatement(object);
+  }
+
+  return _.pick(object, ['objectType', 'id']);
+};
+
+/**
+ * Reduce an xAPI agent or group to the `ids` format. Anonymous groups are described by the identifiers
+ * of their members
+ *
+ * @param  {Object}           agent                 The xAPI agent or group
+ * @return {Object}                                 The agent or group in the `ids` format
+ * @api private
+ */
+var getIdsAgent = function(agent) {
+  var idsAgent = _.pick(agent, [ 'objectType' ].concat(AGENT_IFIS));
+  var identified = _.some(AGENT_IFIS, function(key) {
+    return agent[key];
+  });
+  if (agent.objectType === 'Group' && !identified) {
+    idsAgent.member = _.map(agent.member, getIdsAgent);
+  }
+
+  return idsAgent;
+};
+
+/**
+ * Check whether an xAPI format can be combined with a translation
+ *
+ * @param  {String}           [format]              The requested xAPI format
+ * @param  {String}           [translate]           The format the statements should be translated into
+ * @return {Object}                                 An error when the format can not be combined with the translation. `null` otherwise
+ * @api private
+ */
+var getFormatError = function(format, translate) {
+  if (TRANSLATION_FORMATS[translate] === CALIPER && format && format !== 'exact') {
+    return {code: 400, msg: 'The ' + format + ' format can not be combined with a translation into Caliper'};
+  }
+
+  return null;
+};
+
+/**
+ * Get the SQL condition for a statement query filter. When Caliper events are included in the results,
+ * xAPI statements are matched on their own properties and Caliper events on the properties their
+ * translation is derived from
+ *
+ * @param  {Boolean}          translate             Whether Caliper events are included in the results
+ * @param  {Object}           xapiCondition         The `sql` condition and its `replacements` that match xAPI statements
+ * @param  {Object}           [caliperCondition]    The `sql` condition and its `replacements` that match Caliper events. When omitted, no Caliper event matches the filter
+ * @return {Object}                                 The `sql` condition and its `replacements`
+ * @api private
+ */
+var getFilterCondition = function(translate, xapiCondition, caliperCondition) {
+  if (!translate) {
+    return xapiCondition;
+  }
+
+  var sql = '(s.statement_type = ? AND ' + xapiCondition.sql + ')';
+  var replacements = [ XAPI ].concat(xapiCondition.replacements);
+  if (caliperCondition) {
+    sql = '(' + sql + ' OR (s.statement_type = ? AND ' + caliperCondition.sql + '))';
+    replacements = replacements.concat(CALIPER, caliperCondition.replacements);
+  }
+
+  return {
+    sql: sql,
+    replacements: replacements
+  };
+};
+
+/**
+ * Get the SQL condition that matches a Caliper event on the IRI of one of its entities. The entity can
+ * be described in the event or referenced by its IRI
+ *
+ * @param  {String}           property              The property of the event that holds the entity
+ * @param  {String}           iri                   The IRI of the entity
+ * @return {Object}                                 The `sql` condition and its `replacements`
+ * @api private
+ */
+var getCaliperEntityCondition = function(property, iri) {
+  return {
+    sql: '(s.statement->\'' + property + '\'->>\'id\' = ? OR s.statement->>\'' + property + '\' = ?)',
+    replacements: [iri, iri]
+  };
+};
+
+/**
+ * Get the base query for the learning activity statements that are visible to the current credential.
+ * Statements are scoped to the tenant of the credential and statements about users that have opted
+ * out of the credential are excluded
+ *
+ * @param  {Object}           ctx                           Context containing the read credentials
+ * @return {Object}                                         The `sqlQuery` and its `replacements`. The statements table is aliased as `s`
+ * @api private
+ */
+var getVisibleStatementsQuery = function(ctx) {
+  var sqlQuery = 'SELECT s.*, c.name AS credential_name, c.key AS credential_key';
+  sqlQuery += ' FROM statements s';
+  sqlQuery += ' INNER JOIN credentials c ON c.id = s.credential_id';
+  sqlQuery += ' WHERE s.tenant_id = ?';
+  sqlQuery += ' AND (s.user_id IS NULL OR s.user_id NOT IN (SELECT user_id FROM opt_outs WHERE credential_id = ?))';
+
+  return {
+    sqlQuery: sqlQuery,
+    replacements: [ctx.auth.tenant_id, ctx.auth.id]
+  };
+};
+
+/**
+ * Extract the inverse functional identifier of a JSON encoded xAPI agent
+ *
+ * @param  {String}           agentJSON             The JSON encoded xAPI agent
+ * @return {Object}                                 An object containing the inverse functional identifier of the agent. `null` if the agent could not be parsed or has no identifier
+ * @api private
+ */
+var getAgentIdentifier = function(agentJSON) {
+  var agent = null;
+  try {
+    agent = JSON.parse(agentJSON);
+  } catch (err) {
+    return null;
+  }
+
+  if (!_.isPlainObject(agent)) {
+    return null;
+  }
+
+  var ifi = _.find(AGENT_IFIS, function(key) {
+    return agent[key];
+  });
+  if (!ifi) {
+    return null;
+  }
+
+  var identifier = {};
+  identifier[ifi] = agent[ifi];
+  return identifier;
+};
+
+/**
+ * Determine whether a learning activity statement is in the xAPI or the Caliper format
+ *
+ * @param  {Object}           statement             The learning activity statement to determine the type of
+ * @return {String}                                 `CALIPER` or `XAPI`. `null` if the statement is in neither format
+ * @api private
+ */
+var getStatementType = function(statement) {
+  if (!_.isPlainObject(statement)) {
+    return null;
+  } else if (_.has(statement, 'id') && _.has(statement, '@context') && _.has(statement, 'eventTime') && _.has(statement, 'actor') && _.has(statement, 'object')) {
+    return CALIPER;
+  } else if (_.has(statement, 'actor') && _.has(statement, 'verb') && _.has(statement, 'object')) {
+    return XAPI;
+  }
+
+  return null;
+};
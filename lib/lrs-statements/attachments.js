@@ -0,0 +1,357 @@
+/**
+ * Copyright ©2018. The Regents of the University of California (Regents). All Rights Reserved.
+ *
+ * Permission to use, copy, modify, and distribute this software and its documentation
+ * for educational, research, and not-for-profit purposes, without fee and without a
+ * signed licensing agreement, is hereby granted, provided that the above copyright
+ * notice, this paragraph and the following two paragraphs appear in all copies,
+ * modifications, and distributions.
+ *
+ * Contact The Office of Technology Licensing, UC Berkeley, 2150 Shattuck Avenue,
+ * Suite 510, Berkeley, CA 94720-1620, (510) 643-7201, otl@berkeley.edu,
+ * http://ipira.berkeley.edu/industry-info for commercial licensing opportunities.
+ *
+ * IN NO EVENT SHALL REGENTS BE LIABLE TO ANY PARTY FOR DIRECT, INDIRECT, SPECIAL,
+ * INCIDENTAL, OR CONSEQUENTIAL DAMAGES, INCLUDING LOST PROFITS, ARISING OUT OF
+ * THE USE OF THIS SOFTWARE AND ITS DOCUMENTATION, EVEN IF REGENTS HAS BEEN ADVISED
+ * OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * REGENTS SPECIFICALLY DISCLAIMS ANY WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE. THE
+ * SOFTWARE AND ACCOMPANYING DOCUMENTATION, IF ANY, PROVIDED HEREUNDER IS PROVIDED
+ * "AS IS". REGENTS HAS NO OBLIGATION TO PROVIDE MAINTENANCE, SUPPORT, UPDATES,
+ * ENHANCEMENTS, OR MODIFICATIONS.
+ */
+
+var _ = require('lodash');
+var async = require('async');
+var bodyParser = require('body-parser');
+var config = require('config');
+var crypto = require('crypto');
+var Joi = require('joi');
+var uuid = require('uuid');
+
+var DB = require('../lrs-core/db');
+var log = require('../lrs-core/logger')('lrs-statements');
+
+const CRLF = '\r\n';
+const HASH_HEADER = 'x-experience-api-hash';
+
+// The attachments that can be declared by a learning activity statement
+const DECLARATIONS_SCHEMA = Joi.array().items(Joi.object().keys({
+  usageType: Joi.string().uri().required(),
+  display: Joi.object().required(),
+  description: Joi.object().optional(),
+  contentType: Joi.string().required(),
+  length: Joi.number().integer().min(0).required(),
+  sha2: Joi.string().required(),
+  fileUrl: Joi.string().uri().optional()
+}));
+
+// Reads the raw body of multipart/mixed requests so it can be split into its parts
+var rawBodyParser = bodyParser.raw({
+  type: 'multipart/mixed',
+  limit: config.get('app.requestSizeLimit')
+});
+
+/**
+ * Express middleware that parses `multipart/mixed` statement requests. The first part of the request contains the
+ * learning activity statements and replaces the request body. The other parts contain the attachment payloads and are
+ * made available as `req.attachments`. Requests with a different content type are left untouched
+ *
+ * @param  {Request}          req                       The express request
+ * @param  {Response}         res                       The express response
+ * @param  {Function}         next                      The next express middleware
+ */
+var parseMultipartRequest = module.exports.parseMultipartRequest = function(req, res, next) {
+  if (!req.is('multipart/mixed')) {
+    return next();
+  }
+
+  rawBodyParser(req, res, function(err) {
+    if (err) {
+      return next(err);
+    }
+
+    var result = parseMultipart(req.body, req.get('Content-Type'));
+    if (result.error) {
+      log.warn({err: result.error}, 'Invalid multipart/mixed learning activity statement request');
+      return res.status(result.error.code).send(result.error.msg);
+    }
+
+    req.body = result.statements;
+    req.attachments = result.attachments;
+    return next();
+  });
+};
+
+/**
+ * Verify the attachment payloads of a request against the attachments that are declared by its learning activity
+ * statements. Every payload should be declared by a statement and match the declared `sha2` and `length`, and every
+ * declared attachment without a `fileUrl` should have a payload
+ *
+ * @param  {Object[]}         statements                The learning activity statements of the request
+ * @param  {Object[]}         attachments               The attachment payloads of the request
+ * @return {Object}                                     An error object when the attachments are invalid, `null` otherwise
+ */
+var validateAttachments = module.exports.validateAttachments = function(statements, attachments) {
+  // Validate the declarations before they are used
+  var invalidIndex = _.findIndex(statements, function(statement) {
+    return Joi.validate(statement.attachments, DECLARATIONS_SCHEMA).error;
+  });
+  if (invalidIndex !== -1) {
+    return {code: 400, msg: 'Statement ' + invalidIndex + ' has invalid attachment declarations'};
+  }
+
+  var declarations = {};
+  var required = [];
+  _.each(statements, function(statement) {
+    _.each(statement.attachments, function(declaration) {
+      declarations[declaration.sha2] = declaration;
+      if (!declaration.fileUrl) {
+        required.push(declaration.sha2);
+      }
+    });
+  });
+
+  for (var i = 0; i < attachments.length; i++) {
+    var attachment = attachments[i];
+    var declaration = declarations[attachment.sha2];
+    if (!declaration) {
+      return {code: 400, msg: 'Attachment ' + attachment.sha2 + ' is not declared by any statement'};
+    } else if (getHash(attachment.content) !== attachment.sha2) {
+      return {code: 400, msg: 'The content of attachment ' + attachment.sha2 + ' does not match its sha2 hash'};
+    } else if (attachment.content.length !== declaration.length) {
+      return {code: 400, msg: 'The content of attachment ' + attachment.sha2 + ' does not match its declared length'};
+    }
+  }
+
+  var missing = _.difference(required, _.map(attachments, 'sha2'));
+  if (missing.length) {
+    return {code: 400, msg: 'Attachment ' + missing[0] + ' has no fileUrl and was not included in the request'};
+  }
+
+  return null;
+};
+
+/**
+ * Store attachment payloads. Attachments are stored by their sha2 hash within the tenant of the credential, so a
+ * payload that has already been stored in the tenant will not be stored again
+ *
+ * @param  {Object}           ctx                       Context containing write credentials and the current transaction, if any
+ * @param  {Object[]}         attachments               The attachment payloads to store
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any
+ */
+var saveAttachments = module.exports.saveAttachments = function(ctx, attachments, callback) {
+  async.eachSeries(attachments || [], function(attachment, done) {
+    var options = {
+      where: {
+        tenant_id: ctx.auth.tenant_id,
+        sha2: attachment.sha2
+      },
+      defaults: {
+        tenant_id: ctx.auth.tenant_id,
+        sha2: attachment.sha2,
+        content: attachment.content,
+        content_type: attachment.contentType,
+        length: attachment.content.length
+      },
+      transaction: ctx.transaction
+    };
+
+    DB.Attachment.findOrCreate(options).complete(function(err) {
+      if (err) {
+        log.error({err: err, sha2: attachment.sha2}, 'Failed to store an attachment');
+        return done({code: 500, msg: err.message});
+      }
+
+      return done();
+    });
+  }, callback);
+};
+
+/**
+ * Get the stored attachment payloads that are declared by learning activity statements. Only the payloads that
+ * have been stored in the tenant of the credential are returned
+ *
+ * @param  {Object}           ctx                       Context containing the read credentials
+ * @param  {Object[]}         statements                The learning activity statements to get the attachments for
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any
+ * @param  {Attachment[]}     callback.attachments      The stored attachments that are declared by the statements
+ */
+var getAttachments = module.exports.getAttachments = function(ctx, statements, callback) {
+  var hashes = _.chain(statements)
+    .map('attachments')
+    .flatten()
+    .compact()
+    .map('sha2')
+    .uniq()
+    .value();
+
+  if (!hashes.length) {
+    return callback(null, []);
+  }
+
+  var options = {
+    where: {
+      tenant_id: ctx.auth.tenant_id,
+      sha2: hashes
+    }
+  };
+
+  DB.Attachment.findAll(options).complete(function(err, attachments) {
+    if (err) {
+      log.error({err: err}, 'Failed to retrieve attachments');
+      return callback({code: 500, msg: err.message});
+    }
+
+    return callback(null, attachments);
+  });
+};
+
+/**
+ * Create a `multipart/mixed` response body containing a JSON document followed by attachment payloads
+ *
+ * @param  {Object}           json                      The JSON document that should be the first part of the body
+ * @param  {Attachment[]}     attachments               The stored attachments that should follow the JSON document
+ * @return {Object}                                     An object containing the `contentType` and the raw `body` of the response
+ */
+var createMultipartResponse = module.exports.createMultipartResponse = function(json, attachments) {
+  var boundary = uuid.v4().replace(/-/g, '');
+  var delimiter = '--' + boundary + CRLF;
+
+  var chunks = [ Buffer.from(delimiter + 'Content-Type: application/json' + CRLF + CRLF + JSON.stringify(json) + CRLF) ];
+  _.each(attachments, function(attachment) {
+    var headers = 'Content-Type: ' + attachment.content_type + CRLF +
+      'Content-Transfer-Encoding: binary' + CRLF +
+      'X-Experience-API-Hash: ' + attachment.sha2 + CRLF;
+    chunks.push(Buffer.from(delimiter + headers + CRLF));
+    chunks.push(attachment.content);
+    chunks.push(Buffer.from(CRLF));
+  });
+  chunks.push(Buffer.from('--' + boundary + '--'));
+
+  return {
+    contentType: 'multipart/mixed; boundary=' + boundary,
+    body: Buffer.concat(chunks)
+  };
+};
+
+/**
+ * Parse a `multipart/mixed` statement request body
+ *
+ * @param  {Buffer}           body                      The raw body of the request
+ * @param  {String}           contentType               The content type of the request, including its boundary
+ * @return {Object}                                     An object containing the parsed `statements` and `attachments`, or an `error` when the body is invalid
+ * @api private
+ */
+var parseMultipart = function(body, contentType) {
+  var boundary = (/boundary="?([^";]+)"?/i).exec(contentType);
+  if (!boundary) {
+    return {error: {code: 400, msg: 'A multipart/mixed request should specify a boundary'}};
+  }
+
+  var parts = splitParts(body, boundary[1]);
+  if (!parts || !parts.length) {
+    return {error: {code: 400, msg: 'The multipart/mixed request body could not be parsed'}};
+  }
+
+  // The first part contains the learning activity statements
+  var statementPart = parts.shift();
+  if (!(/^application\/json/i).test(statementPart.headers['content-type'] || '')) {
+    return {error: {code: 400, msg: 'The first part of a multipart/mixed request should contain the statements as JSON'}};
+  }
+
+  var statements = null;
+  try {
+    statements = JSON.parse(statementPart.content.toString('utf8'));
+  } catch (err) {
+    return {error: {code: 400, msg: 'The statements in the multipart/mixed request are not valid JSON'}};
+  }
+
+  // All other parts contain attachment payloads
+  var attachments = [];
+  for (var i = 0; i < parts.length; i++) {
+    var part = parts[i];
+    if (!part.headers[HASH_HEADER]) {
+      return {error: {code: 400, msg: 'Every attachment part should have an X-Experience-API-Hash header'}};
+    } else if ((part.headers['content-transfer-encoding'] || '').toLowerCase() !== 'binary') {
+      return {error: {code: 400, msg: 'Every attachment part should have a binary Content-Transfer-Encoding'}};
+    }
+
+    attachments.push({
+      sha2: part.headers[HASH_HEADER].toLowerCase(),
+      contentType: part.headers['content-type'] || 'application/octet-stream',
+      content: part.content
+    });
+  }
+
+  return {
+    statements: statements,
+    attachments: attachments
+  };
+};
+
+/**
+ * Split a multipart body into its parts
+ *
+ * @param  {Buffer}           body                      The raw multipart body
+ * @param  {String}           boundary                  The boundary that separates the parts
+ * @return {Object[]}                                   The parts of the body, each containing lower-cased `headers` and its raw `content`, or `null` when the body is malformed
+ * @api private
+ */
+var splitParts = function(body, boundary) {
+  var delimiter = Buffer.from('--' + boundary);
+  var nextDelimiter = Buffer.from(CRLF + '--' + boundary);
+
+  var position = body.indexOf(delimiter);
+  if (position === -1) {
+    return null;
+  }
+
+  var parts = [];
+  position += delimiter.length;
+
+  // The closing delimiter is followed by two dashes
+  while (body.slice(position, position + 2).toString() !== '--') {
+    var headersEnd = body.indexOf(CRLF + CRLF, position);
+    if (headersEnd === -1) {
+      return null;
+    }
+
+    var contentEnd = body.indexOf(nextDelimiter, headersEnd);
+    if (contentEnd === -1) {
+      return null;
+    }
+
+    var headers = {};
+    var lines = body.slice(position, headersEnd).toString('utf8').split(CRLF);
+    for (var i = 0; i < lines.length; i++) {
+      var separator = lines[i].indexOf(':');
+      if (separator > 0) {
+        headers[lines[i].slice(0, separator).trim().toLowerCase()] = lines[i].slice(separator + 1).trim();
+      }
+    }
+
+    parts.push({
+      headers: headers,
+      content: body.slice(headersEnd + 4, contentEnd)
+    });
+    position = contentEnd + nextDelimiter.length;
+  }
+
+  return parts;
+};
+
+/**
+ * Get the SHA-256 hash of a payload
+ *
+ * @param  {Buffer}           content                   The payload to hash
+ * @return {String}                                     The hex encoded SHA-256 hash of the payload
+ * @api private
+ */
+var getHash = function(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+};
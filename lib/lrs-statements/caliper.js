@@ -24,26 +24,41 @@
  */
 
 var _ = require('lodash');
+var async = require('async');
 var Joi = require('joi');
 
+var CourseAPI = require('../lrs-course/api');
 var DB = require('../lrs-core/db');
 var log = require('../lrs-core/logger')('lrs-statements');
-// TODO Caliper packaging is still a work in progress. This module will need to be installed
-// manually and the path may need to be changed.
-var caliperValidator = require('caliperjs/src/validators/validator');
+var StatementActors = require('./actors');
+var StatementEntities = require('./entities');
+var StatementIdentity = require('./identity');
+var StatementTranslate = require('./translate');
+var StatementProfiles = require('./profiles');
+var StatementUtil = require('./util');
 
 const CALIPER = 'CALIPER';
-const CALIPER_VERSION = 'v1p1';
+const CALIPER_VERSION = 'v1p2';
+
+// The Caliper context of an event is followed by the Caliper version, e.g. `http://purl.imsglobal.org/ctx/caliper/v1p2`
+const CALIPER_CONTEXT = 'http://purl.imsglobal.org/ctx/caliper/';
+
+// The Caliper versions, as found at the end of the `@context` of an event, that are accepted
+const SUPPORTED_VERSIONS = module.exports.SUPPORTED_VERSIONS = ['v1p1', 'v1p2'];
+
+// The Caliper versions for which events are validated against the rules of their metric profile
+const PROFILE_VERSIONS = [ 'v1p2' ];
 
 /**
  * Get a learning activity statement by its uuid
  *
+ * @param  {Object}           ctx                   Context containing the current transaction, if any
  * @param  {String}           id                    The uuid by which to retrieve the learning activity statement
  * @param  {Function}         callback              Standard callback function
  * @param  {Object}           callback.err          An error that occurred, if any
  * @param  {Statement}        callback.statement    The requested learning activity statement
  */
-var getStatement = module.exports.getStatement = function(id, callback) {
+var getStatement = module.exports.getStatement = function(ctx, id, callback) {
   // Parameter validation
   var validationSchema = Joi.object().keys({
     id: Joi.string().required()
@@ -57,7 +72,7 @@ var getStatement = module.exports.getStatement = function(id, callback) {
     return callback({code: 400, msg: validationResult.error.details[0].message});
   }
 
-  DB.Statement.findByPk(id).complete(function(err, statement) {
+  DB.Statement.findByPk(id, {transaction: ctx.transaction}).complete(function(err, statement) {
     if (err) {
       log.error({err: err, id: id}, 'An error occurred when getting a learning activity statement');
       return callback({code: 500, msg: err.message});
@@ -85,16 +100,23 @@ var saveStatement = module.exports.saveStatement = function(ctx, statement, call
 
   validateStatement(statement, function(err, statement) {
     if (err) {
-      log.error('The caliper statement had validation errors');
-      return callback({code: err.code, msg: err.msg});
+      log.warn('The caliper statement had validation errors');
+      return callback(err);
     }
 
     var uuid = statement.id.split(':').pop();
 
-    getStatement(uuid, function(err, retrievedStatement) {
+    getStatement(ctx, uuid, function(err, retrievedStatement) {
       if (retrievedStatement) {
-        log.error({id: uuid}, 'Attempted to save a learning activity statement that already exists');
-        return callback({code: 400, msg: 'Attempted to save a learning activity statement that already exists'});
+        // Resubmitting an equivalent statement is not an error and will not store the statement again
+        var conflict = StatementUtil.getConflict(ctx, statement, retrievedStatement);
+        if (conflict) {
+          log.warn({id: uuid}, 'Attempted to save a conflicting learning activity statement');
+          return callback(conflict);
+        }
+
+        log.debug({id: uuid}, 'Learning activity statement has already been stored');
+        return callback(null, retrievedStatement);
       } else if (err && err.code !== 404) {
         log.error({id: uuid}, 'Unable to verify if learning activity statement already exists');
         return callback(err);
@@ -107,47 +129,77 @@ var saveStatement = module.exports.saveStatement = function(ctx, statement, call
 
       // Derive statement type and version from context
       var statementType = CALIPER;
-      var statementVersion = statement['@context'].split('/').pop() || CALIPER_VERSION;
+      var statementVersion = getCaliperVersion(statement) || CALIPER_VERSION;
 
       // Setting voided to false by default. Change the flag as necessary
       var voided = false;
       var userId = null;
 
-      // Get the user associated to this learning activity. If the user
-      // doesn't exist yet, it will be created
-      getOrCreateUser(ctx, statement, function(err, user) {
+      // Actors that are only referenced by their IRI are resolved through the entity registry
+      getStatementActor(ctx, statement, function(err, statementActor) {
         if (err) {
           log.error({err: err}, 'An error occured while getting the learning activity statement actor');
           return callback(err);
         }
 
-        if (user) {
-          userId = user.id;
-        }
-        // Store the learning activity statement in the DB
-        var storedStatement = {
-          uuid: uuid,
-          statement: JSON.stringify(statement),
-          verb: statement.type.toString(),
-          timestamp: statement.eventTime,
-          activity_type: statement.action.toString(),
-          voided: voided,
-          tenant_id: ctx.auth.tenant_id,
-          user_id: userId,
-          actor_type: statement.actor.type.toString(),
-          statement_type: statementType,
-          statement_version: statementVersion,
-          credential_id: ctx.auth.id
-        };
-
-        DB.Statement.create(storedStatement).complete(function(err, statement) {
+        var resolvedStatement = _.extend({}, statement, {actor: statementActor});
+
+        // Get the user associated to this learning activity. If the user
+        // doesn't exist yet, it will be created
+        getOrCreateUser(ctx, resolvedStatement, function(err, user) {
           if (err) {
-            log.error({err: err}, 'Failed to store a new learning activity statement');
-            return callback({code: 500, msg: err.message});
+            log.error({err: err}, 'An error occured while getting the learning activity statement actor');
+            return callback(err);
+          }
+
+          if (user) {
+            userId = user.id;
           }
 
-          log.info({statementId: statement.uuid}, 'Successfully stored learning activity statement');
-          return callback(null, statement);
+          // Get the non-person actor associated to this learning activity, if any
+          getOrCreateActor(ctx, resolvedStatement, function(err, actor) {
+            if (err) {
+              log.error({err: err}, 'An error occured while getting the learning activity statement actor');
+              return callback(err);
+            }
+
+            // Get the course in which the learning activity took place, if any
+            getStatementCourse(ctx, statement, function(err, course) {
+              if (err) {
+                log.error({err: err}, 'An error occured while getting the course of the learning activity statement');
+                return callback(err);
+              }
+
+              // Store the learning activity statement in the DB
+              var storedStatement = {
+                uuid: uuid,
+                statement: statement,
+                verb: statement.type.toString(),
+                timestamp: statement.eventTime,
+                activity_type: StatementTranslate.getActivityType(CALIPER, statement),
+                voided: voided,
+                tenant_id: ctx.auth.tenant_id,
+                user_id: userId,
+                actor_id: actor ? actor.id : null,
+                course_id: course ? course.id : null,
+                actor_type: _.isPlainObject(statementActor) ? statementActor.type.toString() : null,
+                statement_type: statementType,
+                statement_version: statementVersion,
+                sensor: ctx.sensor || null,
+                credential_id: ctx.auth.id
+              };
+
+              DB.Statement.create(storedStatement, {transaction: ctx.transaction}).complete(function(err, statement) {
+                if (err) {
+                  log.error({err: err}, 'Failed to store a new learning activity statement');
+                  return callback({code: 500, msg: err.message});
+                }
+
+                log.info({statementId: statement.uuid}, 'Successfully stored learning activity statement');
+                return callback(null, statement);
+              });
+            });
+          });
         });
       });
     });
@@ -155,157 +207,215 @@ var saveStatement = module.exports.saveStatement = function(ctx, statement, call
 };
 
 /**
-* Retrieve the user that corresponds to the actor on a learning activity statement.
-* If the user doesn't exist, it will be created.
-*
-* @param  {Object}           ctx                       Context containing write credentials
-* @param  {Object}           statement                 The learning activity statement to extract the actor from
-* @param  {Function}         callback                  Standard callback function
-* @param  {Object}           callback.err              An error that occurred, if any
-* @param  {Object}           callback.user             The requested user, or the generated user if the user didn't exist
-* @api private
-*/
-var getOrCreateUser = function(ctx, statement, callback) {
-  // Extract the user's external id & name if available from the actor object
-  // TODO : RegEx is tailored for UCB requirements. Revisit JSON parser to make it generic
-  var name = null;
-  var external_id = null;
-
-  // TODO : Add support for other actor types like Organizations based on examples from Caliper spec.
-  if (statement.actor.hasOwnProperty('type') && statement.actor.hasOwnProperty('id') && statement.actor.type === 'Person') {
+ * Get the actor of a learning activity statement as an entity. Actors that are only referenced by their IRI are
+ * resolved to their description in the entity registry. Actors that haven't been described are kept as their IRI
+ *
+ * @param  {Object}           ctx                       Context containing write credentials
+ * @param  {Object}           statement                 The learning activity statement to get the actor of
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any
+ * @param  {Object|String}    callback.actor            The actor of the learning activity statement, or its IRI if it hasn't been described
+ * @api private
+ */
+var getStatementActor = function(ctx, statement, callback) {
+  if (!_.isString(statement.actor)) {
+    return callback(null, statement.actor);
+  }
 
-    if (statement.actor.hasOwnProperty('extensions')) {
-      external_id = _.values(statement.actor.extensions)[0].user_login;
+  StatementEntities.getEntity(ctx, statement.actor, function(err, entity) {
+    if (err) {
+      return callback(err);
     }
 
-  } else if (statement.actor.hasOwnProperty('type') && statement.actor.type === 'SoftwareApplication') {
-    try {
-      if (statement.object.actor.hasOwnProperty('id') && statement.object.actor.hasOwnProperty('type') && statement.object.actor.type === 'Person') {
-
-        if (statement.object.actor.hasOwnProperty('extensions')) {
-          external_id = _.values(statement.actor.extensions)[0].user_login;
-        }
+    return callback(null, entity || statement.actor);
+  });
+};
 
-      }
-    } catch (err) {
-      external_id = null;
-    }
+/**
+ * Retrieve the user that corresponds to the actor on a learning activity statement. The user is identified through
+ * the identity mapping rules of the client. Software applications that act on behalf of a person provide that person
+ * as the actor of the object of the event. If the user doesn't exist, it will be created
+ *
+ * @param  {Object}           ctx                       Context containing write credentials
+ * @param  {Object}           statement                 The learning activity statement to extract the actor from
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any
+ * @param  {Object}           callback.user             The requested user, the generated user if the user didn't exist or `null` if the actor can't be mapped to a user
+ * @api private
+ */
+var getOrCreateUser = function(ctx, statement, callback) {
+  var identity = StatementIdentity.getIdentity(ctx, statement.actor);
+  if (!identity && _.get(statement, 'actor.type') === 'SoftwareApplication') {
+    identity = StatementIdentity.getIdentity(ctx, _.get(statement, 'object.actor'));
   }
 
-  // TODO: SOme events(Outcome Events) with Software application as actors does not have
-  // extensions field from which user login Id can be derived. Such statements are not accepted.
-  // This is a bug in Instructures stream. Expect some modifications to the function.
-
-  if (!external_id) {
-    log.error({statement: statement}, 'Unable to extract user from statement');
+  if (!identity) {
+    log.warn({id: statement.id}, 'Unable to extract user from statement');
     return callback(null, null);
   }
 
-  var profileInfo = {
-    external_id: external_id
-  };
+  return getOrCreateIdentityUser(ctx, identity, callback);
+};
 
+/**
+ * Retrieve the user that corresponds to an identity extracted from a Caliper actor. If the user doesn't exist, it
+ * will be created
+ *
+ * @param  {Object}           ctx                       Context containing write credentials
+ * @param  {Object}           identity                  The `name` and `external_id` of the user
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any
+ * @param  {Object}           callback.user             The requested user, or the generated user if the user didn't exist
+ * @api private
+ */
+var getOrCreateIdentityUser = function(ctx, identity, callback) {
   // Get the user from the DB or create it if it doesn't exist yet
-  options = {
+  var options = {
     where: {
       tenant_id: ctx.auth.tenant_id,
-      external_id: external_id
+      external_id: identity.external_id
     },
     defaults: {
       tenant_id: ctx.auth.tenant_id,
-      external_id: external_id,
-      name: name
-    }
+      external_id: identity.external_id,
+      name: identity.name
+    },
+    transaction: ctx.transaction
   };
 
   DB.User.findOrCreate(options).complete(function(err, data) {
     if (err) {
       log.error({err: err}, 'Failed to get or create a user');
-      return callback(null, null);
+      return callback({code: 500, msg: err.message});
     }
 
     var user = data[0];
     var wasCreated = data[1];
-
     if (wasCreated) {
       log.info({id: user.id}, 'Created a new user');
-      return callback(null, user);
+    }
 
-      // If the user already exists, we update its profile values with the
-      // values supplied by Canvas
-    } else {
-      user.update(profileInfo).complete(function(err, user) {
-        if (err) {
-          log.error({err: err}, 'Failed to update a user');
-          return callback({code: 500, msg: err.message});
-        }
+    return callback(null, user);
+  });
+};
 
-        return callback(null, user);
-      });
+/**
+ * Retrieve the non-person actor of a learning activity statement, such as an organization, a group or a software
+ * application, and record the users that correspond to its members. Persons are not stored as actors
+ *
+ * @param  {Object}           ctx                       Context containing write credentials
+ * @param  {Object}           statement                 The learning activity statement to extract the actor from
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any
+ * @param  {Actor}            callback.actor            The requested actor, the generated actor if the actor didn't exist or `null` if the actor is a person
+ * @api private
+ */
+var getOrCreateActor = function(ctx, statement, callback) {
+  var actor = statement.actor;
+  if (!_.isPlainObject(actor) || actor.type === 'Person') {
+    return callback(null, null);
+  }
+
+  // Organizations and groups list the persons that are their members
+  var identities = _.compact(_.map(actor.members, function(member) {
+    return StatementIdentity.getIdentity(ctx, member);
+  }));
+
+  async.mapSeries(identities, function(identity, done) {
+    getOrCreateIdentityUser(ctx, identity, done);
+  }, function(err, users) {
+    if (err) {
+      return callback(err);
     }
+
+    var storedActor = {
+      type: actor.type,
+      identifier: actor.id,
+      name: actor.name,
+      definition: actor
+    };
+    StatementActors.getOrCreateActor(ctx, storedActor, users, callback);
   });
 };
 
 /**
-* Check required Event properties against set of user-supplied values
-* @param  {Object}           statement                 Caliper event to be validated
-* @param  {Object}           callback.err              An error that occurred, if any
-* @param  {Object}           callback.statement        The statement that passed validation
-*/
-var validateStatement = module.exports.validateStatement = function(statement, callback) {
-  var validationError = null;
-  Object.keys(statement).forEach(function(key) {
-    switch (key) {
-      case '@context':
-        if (!caliperValidator.hasCaliperContext(statement)) {
-          validationError += '\nRequired context not provided.';
-        }
-        break;
-      case 'type':
-        if (!caliperValidator.hasType(statement)) {
-          validationError += '\nRequired type not provided.';
-        }
-        break;
-      case 'id':
-        if (!caliperValidator.hasUuidUrn(statement)) {
-          validationError += '\nUUID URN is missing.';
-
-          // TODO: Normally if uuid id not present or wrong we generate one for statement consumption
-          // IMS Caliper Working group mentioned there will be changes to the uuid spec in coming days.
-          // statement.uuid = uuid.v4();
-          // console.log('UUID provided is not valid. Replacing it with a proper uuid.');
-        }
-        break;
-      case 'actor':
-        if (!caliperValidator.hasActor(statement)) {
-          validationError += '\nRequired actor not provided.';
-        }
-        break;
-      case 'action':
-        if (!caliperValidator.hasAction(statement)) {
-          validationError += '\nRequired action not provided.';
-        }
-        break;
-      case 'object':
-        if (!caliperValidator.hasObject(statement)) {
-          validationError += '\nRequired object not provided.';
-        }
-        break;
-      case 'eventTime':
-        if (!caliperValidator.hasEventTime(statement)) {
-          validationError += '\nRequired ISO 8601 formatted eventTime not provided.';
-        }
-        break;
-      default:
-        break;
-    }
+ * Get the course in which a Caliper learning activity took place. The course offering that is the `group` of the event,
+ * or that the course section that is the `group` of the event is part of, is created as a course if it doesn't exist yet
+ *
+ * @param  {Object}           ctx                       Context containing write credentials
+ * @param  {Object}           statement                 The learning activity statement to get the course of
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any
+ * @param  {Course}           callback.course           The course of the learning activity, or `null` if it didn't take place in a course offering
+ * @api private
+ */
+var getStatementCourse = function(ctx, statement, callback) {
+  var group = statement.group;
+  if (_.get(group, 'type') === 'CourseSection') {
+    group = group.subOrganizationOf;
+  }
+
+  if (!_.isPlainObject(group) || group.type !== 'CourseOffering' || !_.isString(group.id)) {
+    return callback(null, null);
+  }
+
+  var context = {
+    iri: group.id,
+    type: group.type
+  };
+  if (group.name && _.isString(group.name)) {
+    context.name = group.name;
+  }
+
+  return CourseAPI.getOrCreateContextCourse(ctx, context, callback);
+};
+
+/**
+ * Get the Caliper version of an event from its Caliper context. Events that use extension contexts provide their
+ * `@context` as an array that includes the Caliper context
+ *
+ * @param  {Object}           statement                 The Caliper event to get the version of
+ * @return {String}                                     The Caliper version of the event, or `null` if the event has no Caliper context
+ */
+var getCaliperVersion = module.exports.getCaliperVersion = function(statement) {
+  var context = _.find(_.castArray(statement['@context']), function(context) {
+    return _.isString(context) && _.startsWith(context, CALIPER_CONTEXT);
   });
 
-  if (validationError) {
-    log.error('Validation errors found in Caliper statement');
-    return callback({code: 400, msg: validationError});
-  } else {
-    log.info('Caliper statement passed basic validation');
-    return callback(null, statement);
+  return context ? context.substring(CALIPER_CONTEXT.length) : null;
+};
+
+/**
+ * Validate a Caliper event. Every event is required to have the properties of a Caliper event, and Caliper 1.2 events
+ * are validated against the rules of the metric profile of their event type. Every rule that fails is reported
+ *
+ * @param  {Object}           statement                 Caliper event to be validated
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any. The `errors` of the error list every failed rule
+ * @param  {Object}           callback.statement        The statement that passed validation
+ */
+var validateStatement = module.exports.validateStatement = function(statement, callback) {
+  var errors = StatementProfiles.validateEvent(statement);
+
+  var version = getCaliperVersion(statement);
+  if (_.has(statement, '@context') && !_.includes(SUPPORTED_VERSIONS, version)) {
+    errors.push({rule: 'context', property: '@context', msg: 'The Caliper context is not one of the supported Caliper versions ' + SUPPORTED_VERSIONS.join(', ')});
   }
+
+  // Metric profile rules only make sense for events that have the properties of a Caliper event
+  if (_.isEmpty(errors) && _.includes(PROFILE_VERSIONS, version)) {
+    errors = StatementProfiles.validateProfile(statement);
+  }
+
+  if (!_.isEmpty(errors)) {
+    log.warn({errors: errors}, 'Validation errors found in Caliper statement');
+    return callback({
+      code: 400,
+      msg: 'The Caliper event failed validation: ' + _.map(errors, 'msg').join('; '),
+      errors: errors
+    });
+  }
+
+  log.info('Caliper statement passed validation');
+  return callback(null, statement);
 };
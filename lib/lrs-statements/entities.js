@@ -0,0 +1,234 @@
+/**
+ * Copyright ©2018. The Regents of the University of California (Regents). All Rights Reserved.
+ *
+ * Permission to use, copy, modify, and distribute this software and its documentation
+ * for educational, research, and not-for-profit purposes, without fee and without a
+ * signed licensing agreement, is hereby granted, provided that the above copyright
+ * notice, this paragraph and the following two paragraphs appear in all copies,
+ * modifications, and distributions.
+ *
+ * Contact The Office of Technology Licensing, UC Berkeley, 2150 Shattuck Avenue,
+ * Suite 510, Berkeley, CA 94720-1620, (510) 643-7201, otl@berkeley.edu,
+ * http://ipira.berkeley.edu/industry-info for commercial licensing opportunities.
+ *
+ * IN NO EVENT SHALL REGENTS BE LIABLE TO ANY PARTY FOR DIRECT, INDIRECT, SPECIAL,
+ * INCIDENTAL, OR CONSEQUENTIAL DAMAGES, INCLUDING LOST PROFITS, ARISING OUT OF
+ * THE USE OF THIS SOFTWARE AND ITS DOCUMENTATION, EVEN IF REGENTS HAS BEEN ADVISED
+ * OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * REGENTS SPECIFICALLY DISCLAIMS ANY WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE. THE
+ * SOFTWARE AND ACCOMPANYING DOCUMENTATION, IF ANY, PROVIDED HEREUNDER IS PROVIDED
+ * "AS IS". REGENTS HAS NO OBLIGATION TO PROVIDE MAINTENANCE, SUPPORT, UPDATES,
+ * ENHANCEMENTS, OR MODIFICATIONS.
+ */
+
+var _ = require('lodash');
+
+var DB = require('../lrs-core/db');
+var log = require('../lrs-core/logger')('lrs-statements');
+
+// The properties of a Caliper event that can reference an entity in the entity registry
+const REFERENCE_PROPERTIES = [
+  'object',
+  'group',
+  'membership',
+  'edApp'
+];
+
+/**
+ * Save the description of a Caliper entity in the entity registry. A new version of the entity is recorded when its
+ * description differs from its latest description
+ *
+ * @param  {Object}           ctx                       Context containing write credentials and the sensor that sent the description, if any
+ * @param  {Object}           entity                    The description of the Caliper entity
+ * @param  {String}           entity.id                 The IRI of the entity
+ * @param  {String}           entity.type               The Caliper type of the entity
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any
+ * @param  {Entity}           callback.entity           The stored entity
+ */
+var saveEntity = module.exports.saveEntity = function(ctx, entity, callback) {
+  if (!_.isPlainObject(entity) || !_.isString(entity.id) || !_.isString(entity.type)) {
+    return callback({code: 400, msg: 'An entity should have an id and a type'});
+  }
+
+  var options = {
+    where: {
+      tenant_id: ctx.auth.tenant_id,
+      iri: entity.id
+    },
+    defaults: {
+      tenant_id: ctx.auth.tenant_id,
+      iri: entity.id,
+      type: entity.type,
+      properties: entity,
+      version: 1
+    },
+    transaction: ctx.transaction
+  };
+
+  DB.Entity.findOrCreate(options).complete(function(err, data) {
+    if (err) {
+      log.error({err: err, id: entity.id}, 'Failed to get or create an entity');
+      return callback({code: 500, msg: err.message});
+    }
+
+    var storedEntity = data[0];
+    var wasCreated = data[1];
+    if (wasCreated) {
+      return saveEntityVersion(ctx, storedEntity, callback);
+    } else if (_.isEqual(storedEntity.properties, entity)) {
+      return callback(null, storedEntity);
+    }
+
+    var update = {
+      type: entity.type,
+      properties: entity,
+      version: storedEntity.version + 1
+    };
+    storedEntity.update(update, {transaction: ctx.transaction}).complete(function(err) {
+      if (err) {
+        log.error({err: err, id: entity.id}, 'Failed to update an entity');
+        return callback({code: 500, msg: err.message});
+      }
+
+      return saveEntityVersion(ctx, storedEntity, callback);
+    });
+  });
+};
+
+/**
+ * Get the latest description of an entity in the entity registry
+ *
+ * @param  {Object}           ctx                       Context containing the current transaction, if any
+ * @param  {String}           iri                       The IRI of the entity
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any
+ * @param  {Object}           callback.entity           The latest description of the entity or `null` if the entity hasn't been described
+ */
+var getEntity = module.exports.getEntity = function(ctx, iri, callback) {
+  var options = {
+    where: {
+      tenant_id: ctx.auth.tenant_id,
+      iri: iri
+    },
+    transaction: ctx.transaction
+  };
+
+  DB.Entity.findOne(options).complete(function(err, entity) {
+    if (err) {
+      log.error({err: err, id: iri}, 'An error occurred when getting an entity');
+      return callback({code: 500, msg: err.message});
+    }
+
+    return callback(null, entity ? entity.properties : null);
+  });
+};
+
+/**
+ * Get the latest descriptions of the entities that are referenced by a set of Caliper events
+ *
+ * @param  {Number}           tenantId                  The id of the tenant the events belong to
+ * @param  {Object[]}         events                    The Caliper events to get the referenced entities for
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any
+ * @param  {Object}           callback.entities         The latest description of every referenced entity that has been described, keyed by IRI
+ */
+var getEntities = module.exports.getEntities = function(tenantId, events, callback) {
+  var iris = _.uniq(_.compact(_.flatMap(events, function(event) {
+    return _.map(REFERENCE_PROPERTIES, function(property) {
+      return getReferencedIRI(event[property]);
+    });
+  })));
+  if (_.isEmpty(iris)) {
+    return callback(null, {});
+  }
+
+  var options = {
+    where: {
+      tenant_id: tenantId,
+      iri: iris
+    }
+  };
+
+  DB.Entity.findAll(options).complete(function(err, entities) {
+    if (err) {
+      log.error({err: err}, 'An error occurred when getting the referenced entities');
+      return callback({code: 500, msg: err.message});
+    }
+
+    var descriptions = {};
+    _.each(entities, function(entity) {
+      descriptions[entity.iri] = entity.properties;
+    });
+
+    return callback(null, descriptions);
+  });
+};
+
+/**
+ * Resolve the `object`, `group`, `membership` and `edApp` references of a Caliper event to the latest descriptions of
+ * the referenced entities. Properties that the event itself provides for an entity take precedence
+ *
+ * @param  {Object}           event                     The Caliper event to resolve the references of
+ * @param  {Object}           entities                  The latest description of the referenced entities, keyed by IRI
+ * @return {Object}                                     A copy of the event in which the references have been resolved
+ */
+var resolveReferences = module.exports.resolveReferences = function(event, entities) {
+  var resolvedEvent = _.clone(event);
+  _.each(REFERENCE_PROPERTIES, function(property) {
+    var description = entities[getReferencedIRI(event[property])];
+    if (!description) {
+      return;
+    }
+
+    resolvedEvent[property] = _.isString(event[property]) ? description : _.defaults({}, event[property], description);
+  });
+
+  return resolvedEvent;
+};
+
+/**
+ * Record the latest description of an entity as a version in its history
+ *
+ * @param  {Object}           ctx                       Context containing write credentials and the sensor that sent the description, if any
+ * @param  {Entity}           entity                    The entity to record the latest description of
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any
+ * @param  {Entity}           callback.entity           The entity
+ * @api private
+ */
+var saveEntityVersion = function(ctx, entity, callback) {
+  var entityVersion = {
+    entity_id: entity.id,
+    version: entity.version,
+    properties: entity.properties,
+    sensor: ctx.sensor || null
+  };
+
+  DB.EntityVersion.create(entityVersion, {transaction: ctx.transaction}).complete(function(err) {
+    if (err) {
+      log.error({err: err, id: entity.iri}, 'Failed to record a version of an entity');
+      return callback({code: 500, msg: err.message});
+    }
+
+    log.info({id: entity.iri, version: entity.version}, 'Recorded a new version of an entity');
+    return callback(null, entity);
+  });
+};
+
+/**
+ * Get the IRI of an entity that is referenced by a Caliper event, either by its IRI or as an embedded entity
+ *
+ * @param  {Object|String}    [reference]               The reference to the entity
+ * @return {String}                                     The IRI of the referenced entity, if any
+ * @api private
+ */
+var getReferencedIRI = function(reference) {
+  if (_.isString(reference)) {
+    return reference;
+  }
+
+  return _.get(reference, 'id', null);
+};
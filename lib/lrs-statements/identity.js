@@ -0,0 +1,117 @@
+/**
+ * Copyright ©2018. The Regents of the University of California (Regents). All Rights Reserved.
+ *
+ * Permission to use, copy, modify, and distribute this software and its documentation
+ * for educational, research, and not-for-profit purposes, without fee and without a
+ * signed licensing agreement, is hereby granted, provided that the above copyright
+ * notice, this paragraph and the following two paragraphs appear in all copies,
+ * modifications, and distributions.
+ *
+ * Contact The Office of Technology Licensing, UC Berkeley, 2150 Shattuck Avenue,
+ * Suite 510, Berkeley, CA 94720-1620, (510) 643-7201, otl@berkeley.edu,
+ * http://ipira.berkeley.edu/industry-info for commercial licensing opportunities.
+ *
+ * IN NO EVENT SHALL REGENTS BE LIABLE TO ANY PARTY FOR DIRECT, INDIRECT, SPECIAL,
+ * INCIDENTAL, OR CONSEQUENTIAL DAMAGES, INCLUDING LOST PROFITS, ARISING OUT OF
+ * THE USE OF THIS SOFTWARE AND ITS DOCUMENTATION, EVEN IF REGENTS HAS BEEN ADVISED
+ * OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * REGENTS SPECIFICALLY DISCLAIMS ANY WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE. THE
+ * SOFTWARE AND ACCOMPANYING DOCUMENTATION, IF ANY, PROVIDED HEREUNDER IS PROVIDED
+ * "AS IS". REGENTS HAS NO OBLIGATION TO PROVIDE MAINTENANCE, SUPPORT, UPDATES,
+ * ENHANCEMENTS, OR MODIFICATIONS.
+ */
+
+var _ = require('lodash');
+var config = require('config');
+
+var log = require('../lrs-core/logger')('lrs-statements');
+
+/**
+ * Get the identity mapping rules that apply to the client that is storing or retrieving learning activity statements.
+ * The rules of the credential take precedence over the rules of its tenant, which take precedence over the rules in
+ * the `identity.mapping` configuration
+ *
+ * @param  {Object}           ctx                       Context containing the credentials of the client
+ * @return {Object[]}                                   The identity mapping rules, in the order in which they should be tried
+ * @api private
+ */
+var getMappingRules = function(ctx) {
+  var credential = _.get(ctx, 'auth');
+  if (_.get(credential, 'identity_mapping')) {
+    return credential.identity_mapping;
+  } else if (_.get(credential, 'tenant.identity_mapping')) {
+    return credential.tenant.identity_mapping;
+  }
+
+  return config.get('identity.mapping');
+};
+
+/**
+ * Apply an identity mapping rule to an actor. A rule consists of a JSON `path` into the actor and an optional regular
+ * expression `pattern`. When a pattern is provided, its first capturing group, or the whole match when it has no
+ * capturing group, is used as the external id
+ *
+ * @param  {Object}           rule                      The identity mapping rule to apply
+ * @param  {String}           rule.path                 The JSON path into the actor at which the external id can be found, e.g. `account.name`
+ * @param  {String}           [rule.pattern]            The regular expression the value at the JSON path should match
+ * @param  {Object}           actor                     The xAPI agent or Caliper actor to apply the rule to
+ * @return {String}                                     The external id the rule maps the actor to, or `null` if the rule doesn't apply to the actor
+ * @api private
+ */
+var applyMappingRule = function(rule, actor) {
+  var value = _.get(actor, rule.path);
+  if (_.isNumber(value)) {
+    value = value.toString();
+  }
+  if (!_.isString(value) || !value) {
+    return null;
+  } else if (!rule.pattern) {
+    return value;
+  }
+
+  var match = null;
+  try {
+    match = new RegExp(rule.pattern).exec(value);
+  } catch (err) {
+    log.warn({err: err, rule: rule}, 'Ignoring an identity mapping rule with an invalid pattern');
+    return null;
+  }
+
+  if (!match) {
+    return null;
+  }
+
+  return match[1] || match[0];
+};
+
+/**
+ * Extract the name and external id of the user that corresponds to an xAPI agent or a Caliper actor. The identity
+ * mapping rules that apply to the client are tried in order and the first rule that yields a value determines
+ * the external id of the user
+ *
+ * @param  {Object}           ctx                       Context containing the credentials of the client
+ * @param  {Object}           actor                     The xAPI agent or Caliper actor to extract the user identity from
+ * @return {Object}                                     An object containing the `name` and `external_id` of the user or `null` when the actor can't be mapped to a user
+ */
+var getIdentity = module.exports.getIdentity = function(ctx, actor) {
+  if (!_.isPlainObject(actor)) {
+    return null;
+  }
+
+  var external_id = null;
+  _.find(getMappingRules(ctx), function(rule) {
+    external_id = applyMappingRule(rule, actor);
+    return external_id;
+  });
+
+  if (!external_id) {
+    return null;
+  }
+
+  return {
+    name: actor.name || _.get(actor, 'account.name') || null,
+    external_id: external_id
+  };
+};
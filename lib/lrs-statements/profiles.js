@@ -0,0 +1,516 @@
+/**
+ * Copyright ©2018. The Regents of the University of California (Regents). All Rights Reserved.
+ *
+ * Permission to use, copy, modify, and distribute this software and its documentation
+ * for educational, research, and not-for-profit purposes, without fee and without a
+ * signed licensing agreement, is hereby granted, provided that the above copyright
+ * notice, this paragraph and the following two paragraphs appear in all copies,
+ * modifications, and distributions.
+ *
+ * Contact The Office of Technology Licensing, UC Berkeley, 2150 Shattuck Avenue,
+ * Suite 510, Berkeley, CA 94720-1620, (510) 643-7201, otl@berkeley.edu,
+ * http://ipira.berkeley.edu/industry-info for commercial licensing opportunities.
+ *
+ * IN NO EVENT SHALL REGENTS BE LIABLE TO ANY PARTY FOR DIRECT, INDIRECT, SPECIAL,
+ * INCIDENTAL, OR CONSEQUENTIAL DAMAGES, INCLUDING LOST PROFITS, ARISING OUT OF
+ * THE USE OF THIS SOFTWARE AND ITS DOCUMENTATION, EVEN IF REGENTS HAS BEEN ADVISED
+ * OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * REGENTS SPECIFICALLY DISCLAIMS ANY WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE. THE
+ * SOFTWARE AND ACCOMPANYING DOCUMENTATION, IF ANY, PROVIDED HEREUNDER IS PROVIDED
+ * "AS IS". REGENTS HAS NO OBLIGATION TO PROVIDE MAINTENANCE, SUPPORT, UPDATES,
+ * ENHANCEMENTS, OR MODIFICATIONS.
+ */
+
+var _ = require('lodash');
+
+// Caliper events identify their id as a UUID URN
+const UUID_URN_REGEX = /^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Caliper timestamps are ISO 8601 date times in UTC
+const EVENT_TIME_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// The properties every Caliper event is required to have
+const REQUIRED_PROPERTIES = [
+  '@context',
+  'id',
+  'type',
+  'actor',
+  'action',
+  'object',
+  'eventTime'
+];
+
+// Entity types that are used by the rules of the metric profiles
+const PERSON = [ 'Person' ];
+const SOFTWARE_APPLICATION = [ 'SoftwareApplication' ];
+const AGENTS = ['Person', 'SoftwareApplication'];
+const MEDIA_OBJECTS = [
+  'MediaObject',
+  'AudioObject',
+  'ImageObject',
+  'VideoObject'
+];
+const DIGITAL_RESOURCES = MEDIA_OBJECTS.concat([
+  'DigitalResource',
+  'DigitalResourceCollection',
+  'AssignableDigitalResource',
+  'Assessment',
+  'AssessmentItem',
+  'Chapter',
+  'Document',
+  'Forum',
+  'Frame',
+  'MediaLocation',
+  'Message',
+  'Page',
+  'Questionnaire',
+  'QuestionnaireItem',
+  'Thread',
+  'WebPage'
+]);
+
+// The actions of the Caliper 1.2 action vocabulary, which a generic `Event` can use
+const ACTIONS = [
+  'Abandoned',
+  'Accepted',
+  'Activated',
+  'Added',
+  'Archived',
+  'Attached',
+  'Bookmarked',
+  'ChangedResolution',
+  'ChangedSize',
+  'ChangedSpeed',
+  'ChangedVolume',
+  'Classified',
+  'ClosedPopout',
+  'Commented',
+  'Completed',
+  'Copied',
+  'Created',
+  'Deactivated',
+  'Declined',
+  'Deleted',
+  'Described',
+  'DisabledClosedCaptioning',
+  'Disliked',
+  'Downloaded',
+  'EnabledClosedCaptioning',
+  'Ended',
+  'EnteredFullScreen',
+  'ExitedFullScreen',
+  'ForwardedTo',
+  'Graded',
+  'Hid',
+  'Highlighted',
+  'Identified',
+  'JumpedTo',
+  'Launched',
+  'Liked',
+  'Linked',
+  'LoggedIn',
+  'LoggedOut',
+  'MarkedAsRead',
+  'MarkedAsUnread',
+  'Modified',
+  'Muted',
+  'NavigatedTo',
+  'OpenedPopout',
+  'OptedIn',
+  'OptedOut',
+  'Paused',
+  'Posted',
+  'Printed',
+  'Published',
+  'Questioned',
+  'Ranked',
+  'Recommended',
+  'Removed',
+  'Reset',
+  'Restarted',
+  'Restored',
+  'Resumed',
+  'Retrieved',
+  'Returned',
+  'Reviewed',
+  'Rewound',
+  'Saved',
+  'Searched',
+  'Sent',
+  'Shared',
+  'Showed',
+  'Skipped',
+  'Started',
+  'Submitted',
+  'Subscribed',
+  'Tagged',
+  'TimedOut',
+  'Unarchived',
+  'Unmuted',
+  'Unpublished',
+  'Unsubscribed',
+  'Uploaded',
+  'Used',
+  'Viewed'
+];
+
+/**
+ * The rules of the Caliper 1.2 metric profiles, by event type. Every rule lists the actions an event type supports
+ * and the types of actor and object an event with one of those actions requires. A rule without actor or object
+ * types accepts an entity of any type
+ */
+const EVENT_PROFILES = {
+  Event: {
+    profile: 'Basic',
+    rules: [
+      {
+        actions: ACTIONS
+      }
+    ]
+  },
+  AnnotationEvent: {
+    profile: 'Annotation',
+    rules: [
+      {
+        actions: [
+          'Bookmarked',
+          'Highlighted',
+          'Shared',
+          'Tagged'
+        ],
+        actorTypes: PERSON,
+        objectTypes: DIGITAL_RESOURCES
+      }
+    ]
+  },
+  AssessmentEvent: {
+    profile: 'Assessment',
+    rules: [
+      {
+        actions: [
+          'Started',
+          'Paused',
+          'Resumed',
+          'Restarted',
+          'Reset',
+          'Submitted'
+        ],
+        actorTypes: PERSON,
+        objectTypes: [ 'Assessment' ]
+      }
+    ]
+  },
+  AssessmentItemEvent: {
+    profile: 'Assessment',
+    rules: [
+      {
+        actions: ['Started', 'Skipped', 'Completed'],
+        actorTypes: PERSON,
+        objectTypes: [ 'AssessmentItem' ]
+      }
+    ]
+  },
+  AssignableEvent: {
+    profile: 'Assignable',
+    rules: [
+      {
+        actions: [
+          'Activated',
+          'Deactivated',
+          'Started',
+          'Completed',
+          'Submitted',
+          'Reviewed'
+        ],
+        actorTypes: PERSON,
+        objectTypes: ['AssignableDigitalResource', 'Assessment']
+      }
+    ]
+  },
+  FeedbackEvent: {
+    profile: 'Feedback',
+    rules: [
+      {
+        actions: ['Commented', 'Ranked'],
+        actorTypes: PERSON
+      }
+    ]
+  },
+  ForumEvent: {
+    profile: 'Forum',
+    rules: [
+      {
+        actions: ['Subscribed', 'Unsubscribed'],
+        actorTypes: PERSON,
+        objectTypes: [ 'Forum' ]
+      }
+    ]
+  },
+  ThreadEvent: {
+    profile: 'Forum',
+    rules: [
+      {
+        actions: ['MarkedAsRead', 'MarkedAsUnread'],
+        actorTypes: PERSON,
+        objectTypes: [ 'Thread' ]
+      }
+    ]
+  },
+  MessageEvent: {
+    profile: 'Forum',
+    rules: [
+      {
+        actions: ['Posted', 'MarkedAsRead', 'MarkedAsUnread'],
+        actorTypes: PERSON,
+        objectTypes: [ 'Message' ]
+      }
+    ]
+  },
+  GradeEvent: {
+    profile: 'Grading',
+    rules: [
+      {
+        actions: [ 'Graded' ],
+        actorTypes: AGENTS,
+        objectTypes: [ 'Attempt' ]
+      }
+    ]
+  },
+  MediaEvent: {
+    profile: 'Media',
+    rules: [
+      {
+        actions: [
+          'Started',
+          'Ended',
+          'Paused',
+          'Resumed',
+          'Restarted',
+          'ForwardedTo',
+          'JumpedTo',
+          'ChangedResolution',
+          'ChangedSize',
+          'ChangedSpeed',
+          'ChangedVolume',
+          'EnabledClosedCaptioning',
+          'DisabledClosedCaptioning',
+          'EnteredFullScreen',
+          'ExitedFullScreen',
+          'Muted',
+          'Unmuted',
+          'OpenedPopout',
+          'ClosedPopout'
+        ],
+        actorTypes: PERSON,
+        objectTypes: MEDIA_OBJECTS
+      }
+    ]
+  },
+  NavigationEvent: {
+    profile: 'Reading',
+    rules: [
+      {
+        actions: [ 'NavigatedTo' ],
+        actorTypes: PERSON,
+        objectTypes: DIGITAL_RESOURCES.concat(SOFTWARE_APPLICATION)
+      }
+    ]
+  },
+  ViewEvent: {
+    profile: 'Reading',
+    rules: [
+      {
+        actions: [ 'Viewed' ],
+        actorTypes: PERSON,
+        objectTypes: DIGITAL_RESOURCES
+      }
+    ]
+  },
+  SessionEvent: {
+    profile: 'Session',
+    rules: [
+      {
+        actions: ['LoggedIn', 'LoggedOut'],
+        actorTypes: PERSON,
+        objectTypes: SOFTWARE_APPLICATION
+      },
+      {
+        actions: [ 'TimedOut' ],
+        actorTypes: SOFTWARE_APPLICATION,
+        objectTypes: [ 'Session' ]
+      }
+    ]
+  },
+  ResourceManagementEvent: {
+    profile: 'Resource Management',
+    rules: [
+      {
+        actions: [
+          'Archived',
+          'Copied',
+          'Created',
+          'Deleted',
+          'Described',
+          'Downloaded',
+          'Modified',
+          'Printed',
+          'Published',
+          'Restored',
+          'Retrieved',
+          'Saved',
+          'Unarchived',
+          'Unpublished',
+          'Uploaded'
+        ],
+        actorTypes: PERSON,
+        objectTypes: DIGITAL_RESOURCES
+      }
+    ]
+  },
+  ToolLaunchEvent: {
+    profile: 'Tool Launch',
+    rules: [
+      {
+        actions: ['Launched', 'Returned'],
+        actorTypes: PERSON,
+        objectTypes: SOFTWARE_APPLICATION
+      }
+    ]
+  },
+  ToolUseEvent: {
+    profile: 'Tool Use',
+    rules: [
+      {
+        actions: [ 'Used' ],
+        actorTypes: PERSON,
+        objectTypes: SOFTWARE_APPLICATION
+      }
+    ]
+  },
+  SearchEvent: {
+    profile: 'Search',
+    rules: [
+      {
+        actions: [ 'Searched' ],
+        actorTypes: PERSON,
+        objectTypes: DIGITAL_RESOURCES.concat(SOFTWARE_APPLICATION)
+      }
+    ]
+  },
+  SurveyInvitationEvent: {
+    profile: 'Survey',
+    rules: [
+      {
+        actions: ['Accepted', 'Declined', 'Sent'],
+        actorTypes: PERSON,
+        objectTypes: [ 'SurveyInvitation' ]
+      }
+    ]
+  },
+  SurveyEvent: {
+    profile: 'Survey',
+    rules: [
+      {
+        actions: ['OptedIn', 'OptedOut'],
+        actorTypes: PERSON,
+        objectTypes: [ 'Survey' ]
+      }
+    ]
+  },
+  QuestionnaireEvent: {
+    profile: 'Survey',
+    rules: [
+      {
+        actions: ['Started', 'Submitted'],
+        actorTypes: PERSON,
+        objectTypes: [ 'Questionnaire' ]
+      }
+    ]
+  },
+  QuestionnaireItemEvent: {
+    profile: 'Survey',
+    rules: [
+      {
+        actions: ['Started', 'Skipped', 'Completed'],
+        actorTypes: PERSON,
+        objectTypes: [ 'QuestionnaireItem' ]
+      }
+    ]
+  }
+};
+
+/**
+ * Validate the properties every Caliper event is required to have, whatever its Caliper version
+ *
+ * @param  {Object}           event                     The Caliper event to validate
+ * @return {Object[]}                                   The failed rules, each with the name of the `rule` and a `msg` describing the failure
+ */
+var validateEvent = module.exports.validateEvent = function(event) {
+  var errors = [];
+  _.each(REQUIRED_PROPERTIES, function(property) {
+    if (_.isNil(event[property]) || event[property] === '') {
+      errors.push({rule: 'required', property: property, msg: 'Required property ' + property + ' not provided'});
+    }
+  });
+
+  if (_.has(event, 'id') && !UUID_URN_REGEX.test(event.id)) {
+    errors.push({rule: 'id', property: 'id', msg: 'The id is not a UUID URN'});
+  }
+  if (_.has(event, 'type') && !_.isString(event.type)) {
+    errors.push({rule: 'type', property: 'type', msg: 'The type is not a string'});
+  }
+  if (_.has(event, 'action') && !_.isString(event.action)) {
+    errors.push({rule: 'action', property: 'action', msg: 'The action is not a string'});
+  }
+  if (_.has(event, 'eventTime') && !EVENT_TIME_REGEX.test(event.eventTime)) {
+    errors.push({rule: 'eventTime', property: 'eventTime', msg: 'The eventTime is not an ISO 8601 date time in UTC'});
+  }
+  _.each(['actor', 'object'], function(property) {
+    var entity = event[property];
+    if (_.has(event, property) && !_.isString(entity) && !(_.isPlainObject(entity) && entity.id && entity.type)) {
+      errors.push({rule: 'entity', property: property, msg: 'The ' + property + ' is neither an IRI nor an entity with an id and a type'});
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Validate a Caliper 1.2 event against the rules of the metric profile of its event type. Entities that are only
+ * referenced by their IRI are not checked against the entity types a rule requires. A generic `Event` can use any action
+ * of the Caliper action vocabulary and event types that are not part of Caliper 1.2 are rejected
+ *
+ * @param  {Object}           event                     The Caliper event to validate
+ * @return {Object[]}                                   The failed rules, each with the name of the `rule`, the `profile` it belongs to and a `msg` describing the failure
+ */
+var validateProfile = module.exports.validateProfile = function(event) {
+  var eventProfile = EVENT_PROFILES[event.type];
+  if (!eventProfile) {
+    return [ {rule: 'type', property: 'type', msg: 'Unknown event type ' + event.type} ];
+  }
+
+  var errors = [];
+  var profileError = function(rule, property, msg) {
+    errors.push({rule: rule, profile: eventProfile.profile, property: property, msg: msg});
+  };
+
+  var rule = _.find(eventProfile.rules, function(rule) {
+    return _.includes(rule.actions, event.action);
+  });
+  if (!rule) {
+    var actions = _.flatMap(eventProfile.rules, 'actions');
+    profileError('action', 'action', 'A ' + event.type + ' does not support the ' + event.action + ' action. Supported actions are ' + actions.join(', '));
+    return errors;
+  }
+
+  if (rule.actorTypes && _.isPlainObject(event.actor) && !_.includes(rule.actorTypes, event.actor.type)) {
+    profileError('actorType', 'actor', 'The actor of a ' + event.type + ' must be a ' + rule.actorTypes.join(' or '));
+  }
+  if (rule.objectTypes && _.isPlainObject(event.object) && !_.includes(rule.objectTypes, event.object.type)) {
+    profileError('objectType', 'object', 'The object of a ' + event.type + ' with the ' + event.action + ' action must be a ' + rule.objectTypes.join(' or '));
+  }
+
+  return errors;
+};
@@ -23,16 +23,71 @@
  * ENHANCEMENTS, OR MODIFICATIONS.
 */
 
+var _ = require('lodash');
+
+var AuthAPI = require('../lrs-auth/api');
 var CloudLRS = require('../lrs-core');
-var StatementXAPI = require('./xapi');
-var StatementCaliper = require('./caliper');
-var log = require('../lrs-core/logger')('lrs-statements');
+var Version = require('../lrs-core/version');
+var StatementAttachments = require('./attachments');
+var StatementsAPI = require('./api');
 
-const CALIPER = 'CALIPER';
-const XAPI = 'XAPI';
+/**
+ * Send an error that occurred while storing learning activity statements. Errors that list the validation rules a
+ * statement failed are sent as JSON
+ *
+ * @param  {Response}         res                   The express response object
+ * @param  {Object}           err                   The error that occurred
+ * @api private
+ */
+var sendSaveError = function(res, err) {
+  if (err.errors) {
+    return res.status(err.code).send(_.pick(err, ['msg', 'errors']));
+  }
+
+  return res.status(err.code).send(err.msg);
+};
 
 /**
- * Store a new learning activity statement
+ * Send the result of storing the Caliper events in an envelope. The envelope is only accepted when none of its events
+ * failed to be stored
+ *
+ * @param  {Response}         res                   The express response object
+ * @param  {Object}           result                The result of storing the envelope, with the result of every event
+ * @api private
+ */
+var sendEnvelopeResult = function(res, result) {
+  var failures = _.filter(result.results, {status: 'failed'});
+  var serverFailure = _.find(failures, function(failure) {
+    return failure.code >= 500;
+  });
+  if (serverFailure) {
+    return res.status(500).send(result);
+  } else if (failures.length) {
+    return res.status(400).send(result);
+  }
+
+  return res.status(200).send(result);
+};
+
+/**
+ * Negotiate the xAPI version of a request that stores learning activity statements. Caliper data is not sent
+ * through the xAPI, so it doesn't require an xAPI version
+ *
+ * @param  {Request}          req                   The express request object
+ * @param  {Response}         res                   The express response object
+ * @param  {Function}         next                  The next middleware in the chain
+ * @api private
+ */
+var negotiateStoreVersion = function(req, res, next) {
+  if (StatementsAPI.isCaliperPayload(req.body)) {
+    return next();
+  }
+
+  return Version.requireVersion(req, res, next);
+};
+
+/**
+ * Store one or more new learning activity statements
  */
 var processStatement = function(req, res) {
   // Verify credentials has write permissions on LRS
@@ -40,65 +95,179 @@ var processStatement = function(req, res) {
     return res.status(403).send('Incorrect write credentials');
   }
 
-  // Determine if statement is of type XAPI or Caliper.
-  getStatementType(req.body, function(err, statementType) {
+  // Statements without a version are stored with the negotiated xAPI version
+  var ctx = _.extend({}, req.ctx, {version: req.xapiVersion, attachments: req.attachments});
+
+  // Caliper sensors send their events in an envelope, for which the result of every event is reported
+  if (StatementsAPI.isCaliperEnvelope(req.body)) {
+    return StatementsAPI.saveCaliperEnvelope(ctx, req.body, function(err, result) {
+      if (err) {
+        return sendSaveError(res, err);
+      }
+
+      return sendEnvelopeResult(res, result);
+    });
+  }
+
+  StatementsAPI.saveStatements(ctx, req.body, function(err, ids) {
+    if (err) {
+      return sendSaveError(res, err);
+    }
+
+    return res.status(200).send(ids);
+  });
+};
+
+/**
+ * Store the Caliper events in an envelope sent by a Caliper sensor. Sensors authenticate with an API key as a Bearer
+ * token and are answered with the status codes that are recommended by the Caliper Sensor API. Sensors can resend an
+ * envelope that wasn't accepted, as events that have already been stored are not stored again
+ */
+var processCaliperEnvelope = function(req, res) {
+  AuthAPI.verifyBearerAuth(req, function(err) {
     if (err) {
-      log.error({err: err}, 'Statement not in xAPI or Caliper format');
+      res.set('WWW-Authenticate', 'Bearer');
       return res.status(err.code).send(err.msg);
     }
 
-    // Process and save XAPI and Caliper statements appropriately.
-    switch (statementType) {
-      case 'XAPI':
-        StatementXAPI.saveStatement(req.ctx, req.body, function(err, statement) {
-          if (err) {
-            return res.status(err.code).send(err.msg);
-          }
-
-          log.info('XAPI statement processing successful with uuid : ' + statement.uuid);
-          return res.sendStatus(201);
-        });
-        break;
-
-      case 'CALIPER':
-        StatementCaliper.saveStatement(req.ctx, req.body, function(err, statement) {
-          if (err) {
-            return res.status(err.code).send(err.msg);
-          }
-
-          log.info('Caliper statement processing successful with uuid: ' + statement.uuid);
-          return res.sendStatus(201);
-        });
-        break;
-      default:
-        break;
+    // Verify credentials has write permissions on LRS
+    if (!req.ctx.auth.write_permission) {
+      return res.status(403).send('Incorrect write credentials');
+    } else if (!req.is('application/json')) {
+      return res.status(415).send('Caliper envelopes should be sent as application/json');
+    } else if (!StatementsAPI.isCaliperEnvelope(req.body)) {
+      return res.status(400).send('The request body is not a Caliper envelope');
+    }
+
+    StatementsAPI.saveCaliperEnvelope(req.ctx, req.body, function(err, result) {
+      if (err) {
+        return sendSaveError(res, err);
+      }
+
+      return sendEnvelopeResult(res, result);
+    });
+  });
+};
+
+/**
+ * Store a new learning activity statement under the id provided through the `statementId` parameter
+ */
+var putStatement = function(req, res) {
+  // Verify credentials has write permissions on LRS
+  if (!req.ctx.auth.write_permission) {
+    return res.status(403).send('Incorrect write credentials');
+  }
+
+  // Statements without a version are stored with the negotiated xAPI version
+  var ctx = _.extend({}, req.ctx, {version: req.xapiVersion, attachments: req.attachments});
+  StatementsAPI.putStatement(ctx, req.query.statementId, req.body, function(err) {
+    if (err) {
+      return sendSaveError(res, err);
+    }
+
+    return res.sendStatus(204);
+  });
+};
+
+/**
+ * Query the stored xAPI learning activity statements or retrieve a single learning activity statement
+ * through the `statementId` or `voidedStatementId` parameter
+ */
+var getStatements = function(req, res) {
+  // Check if the credentials authenticated has sufficient read permissions
+  if (!req.ctx.auth.read_permission) {
+    return res.status(403).send('Incorrect read credentials');
+  }
+
+  // Retrieve a single learning activity statement when its id has been provided
+  var statementId = req.query.statementId || req.query.voidedStatementId;
+  if (statementId) {
+    var otherParameters = _.without(_.keys(req.query), 'statementId', 'voidedStatementId', 'attachments', 'format', 'translate', 'resolve');
+    if (otherParameters.length || req.query.statementId && req.query.voidedStatementId) {
+      return res.status(400).send('Only the attachments, format, translate and resolve parameters can be combined with statementId or voidedStatementId');
     }
 
+    var voided = !!req.query.voidedStatementId;
+    var options = _.pick(req.query, ['format', 'translate', 'resolve']);
+    return StatementsAPI.getStatementById(req.ctx, statementId, voided, options, function(err, statement) {
+      if (err) {
+        return res.status(err.code).send(err.msg);
+      }
+
+      res.set('Last-Modified', new Date(statement.stored || statement.timestamp || statement.eventTime).toUTCString());
+      return sendStatements(req, res, statement, [ statement ]);
+    });
+  }
+
+  var consistentThrough = new Date().toISOString();
+  StatementsAPI.getStatements(req.ctx, req.query, function(err, result) {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    res.set('X-Experience-API-Consistent-Through', consistentThrough);
+    return sendStatements(req, res, result, result.statements);
   });
 };
 
 /**
- * Check and extract the statement type from the request to be processed.
+ * Send retrieved learning activity statements. When the `attachments` parameter is set, the response is a
+ * `multipart/mixed` body in which the statements are followed by the payloads of their attachments
  *
- * @param  {Object}           statement                   The learning activity statement to be validated for statement type
- * @param  {Object}           callback.err                An error that occurred, if any
- * @param  {String}           callback.statementType      The statement type identified
+ * @param  {Request}          req                       The express request
+ * @param  {Response}         res                       The express response
+ * @param  {Object}           result                    The statement or StatementResult object to send
+ * @param  {Object[]}         statements                The statements contained in the result
+ * @api private
  */
-var getStatementType = function(statement, callback) {
-  var statementType = '';
-  if (statement.hasOwnProperty('id') && statement.hasOwnProperty('@context') && statement.hasOwnProperty('eventTime') && statement.hasOwnProperty('actor') && statement.hasOwnProperty('object') && statement.hasOwnProperty('object')) {
-    statementType = CALIPER;
-    log.info('Statement is in caliper format');
-  } else if (statement.hasOwnProperty('id') && statement.hasOwnProperty('actor') && statement.hasOwnProperty('verb') && statement.hasOwnProperty('object') && statement.hasOwnProperty('timestamp')) {
-    statementType = XAPI;
-    log.info('Statement is in xAPI format');
-  } else {
-    log.error('Statement not in xAPI or Caliper format');
-    return callback({code: '400', msg: 'Statement not in xAPI or Caliper format'});
+var sendStatements = function(req, res, result, statements) {
+  if (req.query.attachments !== 'true') {
+    return res.status(200).send(result);
   }
 
-  return callback(null, statementType);
+  StatementAttachments.getAttachments(req.ctx, statements, function(err, attachments) {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    var response = StatementAttachments.createMultipartResponse(result, attachments);
+    res.set('Content-Type', response.contentType);
+    return res.status(200).send(response.body);
+  });
 };
 
-CloudLRS.apiRouter.post('/statements', processStatement);
-CloudLRS.apiRouter.put('/statements', processStatement);
+/* !
+ * Describe the capabilities of the Learning Record Store. This doesn't require authentication
+ */
+CloudLRS.addSafePathPrefix('/api/about');
+CloudLRS.publicRouter.get('/about', Version.negotiateVersion, function(req, res) {
+  return res.status(200).send(StatementsAPI.getAbout());
+});
+
+/* !
+ * Store the Caliper events sent by a Caliper sensor. Sensors authenticate with a Bearer token rather than Basic auth
+ */
+CloudLRS.addSafePathPrefix('/api/caliper');
+CloudLRS.publicRouter.post('/caliper', processCaliperEnvelope);
+
+/* !
+ * Get the xAPI Activity object for the requested activity
+ */
+CloudLRS.apiRouter.get('/activities', Version.requireVersion, function(req, res) {
+  // Check if the credentials authenticated has sufficient read permissions
+  if (!req.ctx.auth.read_permission) {
+    return res.status(403).send('Incorrect read credentials');
+  }
+
+  StatementsAPI.getActivity(req.ctx, req.query.activityId, function(err, activity) {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    return res.status(200).send(activity);
+  });
+});
+
+CloudLRS.apiRouter.get('/statements', Version.requireVersion, getStatements);
+CloudLRS.apiRouter.post('/statements', StatementAttachments.parseMultipartRequest, negotiateStoreVersion, processStatement);
+CloudLRS.apiRouter.put('/statements', StatementAttachments.parseMultipartRequest, Version.requireVersion, putStatement);
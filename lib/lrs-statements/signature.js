@@ -0,0 +1,214 @@
+/**
+ * Copyright ©2018. The Regents of the University of California (Regents). All Rights Reserved.
+ *
+ * Permission to use, copy, modify, and distribute this software and its documentation
+ * for educational, research, and not-for-profit purposes, without fee and without a
+ * signed licensing agreement, is hereby granted, provided that the above copyright
+ * notice, this paragraph and the following two paragraphs appear in all copies,
+ * modifications, and distributions.
+ *
+ * Contact The Office of Technology Licensing, UC Berkeley, 2150 Shattuck Avenue,
+ * Suite 510, Berkeley, CA 94720-1620, (510) 643-7201, otl@berkeley.edu,
+ * http://ipira.berkeley.edu/industry-info for commercial licensing opportunities.
+ *
+ * IN NO EVENT SHALL REGENTS BE LIABLE TO ANY PARTY FOR DIRECT, INDIRECT, SPECIAL,
+ * INCIDENTAL, OR CONSEQUENTIAL DAMAGES, INCLUDING LOST PROFITS, ARISING OUT OF
+ * THE USE OF THIS SOFTWARE AND ITS DOCUMENTATION, EVEN IF REGENTS HAS BEEN ADVISED
+ * OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * REGENTS SPECIFICALLY DISCLAIMS ANY WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE. THE
+ * SOFTWARE AND ACCOMPANYING DOCUMENTATION, IF ANY, PROVIDED HEREUNDER IS PROVIDED
+ * "AS IS". REGENTS HAS NO OBLIGATION TO PROVIDE MAINTENANCE, SUPPORT, UPDATES,
+ * ENHANCEMENTS, OR MODIFICATIONS.
+ */
+
+var _ = require('lodash');
+var config = require('config');
+var crypto = require('crypto');
+var forge = require('node-forge');
+
+var log = require('../lrs-core/logger')('lrs-statements');
+var StatementUtil = require('./util');
+
+const SIGNATURE_USAGE_TYPE = 'http://adlnet.gov/expapi/attachments/signature';
+const SIGNATURE_CONTENT_TYPE = 'application/octet-stream';
+
+// The JWS algorithms that can be used to sign xAPI statements, mapped to their node.js digest names
+const ALGORITHMS = {
+  RS256: 'RSA-SHA256',
+  RS384: 'RSA-SHA384',
+  RS512: 'RSA-SHA512'
+};
+
+/**
+ * Verify the JWS signature of a signed xAPI statement. The decoded payload of the signature should match the
+ * statement and, when the signature embeds an x5c certificate chain, the signature should be valid for the first
+ * certificate in the chain and every certificate should be issued by the next one. A statement is only `verified` when
+ * its certificate chain is currently valid and has been issued by one of the `statements.trustedCertificates`.
+ * Statements without a signature, signatures that are only referenced through a `fileUrl` and signatures without a
+ * certificate chain are not verified
+ *
+ * @param  {Object}           statement                 The xAPI statement to verify
+ * @param  {Object[]}         attachments               The attachment payloads that were sent with the statement
+ * @return {Object}                                     An object containing whether the statement is `verified`, or an `error` when the signature is invalid
+ */
+var verifyStatement = module.exports.verifyStatement = function(statement, attachments) {
+  var declaration = _.find(statement.attachments, {usageType: SIGNATURE_USAGE_TYPE});
+  if (!declaration) {
+    return {verified: false};
+  } else if (declaration.contentType !== SIGNATURE_CONTENT_TYPE) {
+    return {error: {code: 400, msg: 'The signature of a signed statement should have the ' + SIGNATURE_CONTENT_TYPE + ' content type'}};
+  }
+
+  var attachment = _.find(attachments, {sha2: declaration.sha2});
+  if (!attachment) {
+    return {verified: false};
+  }
+
+  var jws = parseJWS(attachment.content.toString('utf8').trim());
+  if (!jws) {
+    return {error: {code: 400, msg: 'The signature of a signed statement is not a valid JWS'}};
+  } else if (!isSignedStatement(statement, jws.payload)) {
+    return {error: {code: 400, msg: 'The signed payload does not match the statement'}};
+  } else if (!jws.header.x5c) {
+    return {verified: false};
+  }
+
+  var certificates = parseCertificateChain(jws.header.x5c);
+  if (!certificates) {
+    return {error: {code: 400, msg: 'The x5c certificate chain of the signature could not be verified'}};
+  }
+
+  var publicKey = forge.pki.publicKeyToPem(certificates[0].publicKey);
+  var verifier = crypto.createVerify(ALGORITHMS[jws.header.alg]);
+  verifier.update(jws.signingInput);
+  if (!verifier.verify(publicKey, jws.signature)) {
+    return {error: {code: 400, msg: 'The signature does not match the x5c certificate chain'}};
+  }
+
+  return {verified: isTrustedCertificateChain(certificates)};
+};
+
+/**
+ * Parse a JWS in compact serialization
+ *
+ * @param  {String}           jws                       The JWS to parse
+ * @return {Object}                                     The decoded `header` and `payload`, the `signingInput` and the raw `signature`, or `null` when the JWS is malformed
+ * @api private
+ */
+var parseJWS = function(jws) {
+  var parts = jws.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  var header = null;
+  var payload = null;
+  try {
+    header = JSON.parse(decodeBase64URL(parts[0]).toString('utf8'));
+    payload = JSON.parse(decodeBase64URL(parts[1]).toString('utf8'));
+  } catch (err) {
+    log.warn({err: err}, 'Unable to decode a JWS');
+    return null;
+  }
+
+  if (!_.isPlainObject(header) || !_.isPlainObject(payload) || !ALGORITHMS[header.alg]) {
+    return null;
+  }
+
+  return {
+    header: header,
+    payload: payload,
+    signingInput: parts[0] + '.' + parts[1],
+    signature: decodeBase64URL(parts[2])
+  };
+};
+
+/**
+ * Check whether the decoded payload of a signature matches a statement. The signature attachment itself can't be
+ * part of the payload, so attachments are not considered
+ *
+ * @param  {Object}           statement                 The xAPI statement
+ * @param  {Object}           payload                   The decoded payload of the signature
+ * @return {Boolean}                                    Whether the payload matches the statement
+ * @api private
+ */
+var isSignedStatement = function(statement, payload) {
+  // The Learning Record Store generates an id for statements that were signed without one
+  var ignoredProperties = _.has(payload, 'id') ? [ 'attachments' ] : ['attachments', 'id'];
+  return StatementUtil.isEquivalentStatement(_.omit(payload, ignoredProperties), _.omit(statement, ignoredProperties));
+};
+
+/**
+ * Parse an x5c certificate chain and verify that every certificate has been issued by the next certificate in the chain
+ *
+ * @param  {String[]}         x5c                       The base64 encoded DER certificates of the chain
+ * @return {Certificate[]}                              The parsed certificates, or `null` when the chain is invalid
+ * @api private
+ */
+var parseCertificateChain = function(x5c) {
+  if (!_.isArray(x5c) || !x5c.length) {
+    return null;
+  }
+
+  try {
+    var certificates = _.map(x5c, function(certificate) {
+      var der = forge.util.decode64(certificate);
+      return forge.pki.certificateFromAsn1(forge.asn1.fromDer(der));
+    });
+
+    for (var i = 0; i < certificates.length - 1; i++) {
+      if (!certificates[i + 1].verify(certificates[i])) {
+        return null;
+      }
+    }
+
+    return certificates;
+  } catch (err) {
+    log.warn({err: err}, 'Unable to verify an x5c certificate chain');
+    return null;
+  }
+};
+
+/**
+ * Check whether a certificate chain has been issued by one of the trusted certificates of the Learning Record Store
+ * and whether every certificate in the chain is valid at this time
+ *
+ * @param  {Certificate[]}    certificates              The certificates of the chain, starting with the signing certificate
+ * @return {Boolean}                                    Whether the certificate chain can be trusted
+ * @api private
+ */
+var isTrustedCertificateChain = function(certificates) {
+  var trustedCertificates = config.get('statements.trustedCertificates');
+  if (_.isEmpty(trustedCertificates)) {
+    return false;
+  }
+
+  try {
+    var caStore = forge.pki.createCaStore(trustedCertificates);
+
+    // An x5c certificate chain doesn't need to include the root certificate that issued it
+    var chain = certificates;
+    var lastCertificate = _.last(certificates);
+    if (!caStore.hasCertificate(lastCertificate) && caStore.getIssuer(lastCertificate)) {
+      chain = certificates.concat(caStore.getIssuer(lastCertificate));
+    }
+
+    return forge.pki.verifyCertificateChain(caStore, chain);
+  } catch (err) {
+    log.info({err: err}, 'A signed statement has an untrusted x5c certificate chain');
+    return false;
+  }
+};
+
+/**
+ * Decode a base64url encoded string
+ *
+ * @param  {String}           value                     The base64url encoded string
+ * @return {Buffer}                                     The decoded value
+ * @api private
+ */
+var decodeBase64URL = function(value) {
+  return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+};
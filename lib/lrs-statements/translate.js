@@ -0,0 +1,375 @@
+/**
+ * Copyright ©2018. The Regents of the University of California (Regents). All Rights Reserved.
+ *
+ * Permission to use, copy, modify, and distribute this software and its documentation
+ * for educational, research, and not-for-profit purposes, without fee and without a
+ * signed licensing agreement, is hereby granted, provided that the above copyright
+ * notice, this paragraph and the following two paragraphs appear in all copies,
+ * modifications, and distributions.
+ *
+ * Contact The Office of Technology Licensing, UC Berkeley, 2150 Shattuck Avenue,
+ * Suite 510, Berkeley, CA 94720-1620, (510) 643-7201, otl@berkeley.edu,
+ * http://ipira.berkeley.edu/industry-info for commercial licensing opportunities.
+ *
+ * IN NO EVENT SHALL REGENTS BE LIABLE TO ANY PARTY FOR DIRECT, INDIRECT, SPECIAL,
+ * INCIDENTAL, OR CONSEQUENTIAL DAMAGES, INCLUDING LOST PROFITS, ARISING OUT OF
+ * THE USE OF THIS SOFTWARE AND ITS DOCUMENTATION, EVEN IF REGENTS HAS BEEN ADVISED
+ * OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * REGENTS SPECIFICALLY DISCLAIMS ANY WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE. THE
+ * SOFTWARE AND ACCOMPANYING DOCUMENTATION, IF ANY, PROVIDED HEREUNDER IS PROVIDED
+ * "AS IS". REGENTS HAS NO OBLIGATION TO PROVIDE MAINTENANCE, SUPPORT, UPDATES,
+ * ENHANCEMENTS, OR MODIFICATIONS.
+ */
+
+var _ = require('lodash');
+var config = require('config');
+var url = require('url');
+
+const CALIPER_CONTEXT = 'http://purl.imsglobal.org/ctx/caliper/v1p2';
+
+// Caliper actions and entity types without an xAPI counterpart are expressed in the IMS Caliper vocabulary
+const CALIPER_ACTION_BASE = 'http://purl.imsglobal.org/vocab/caliper/action#';
+const CALIPER_TYPE_BASE = 'http://purl.imsglobal.org/caliper/';
+
+/**
+ * The xAPI verbs that correspond to Caliper actions. The first action that maps to a verb is used when translating the
+ * verb back into a Caliper action. Mappings can be added or overridden through the `translation.actions` configuration
+ */
+const DEFAULT_ACTIONS = {
+  Bookmarked: 'http://id.tincanapi.com/verb/bookmarked',
+  Commented: 'http://adlnet.gov/expapi/verbs/commented',
+  Completed: 'http://adlnet.gov/expapi/verbs/completed',
+  Graded: 'http://adlnet.gov/expapi/verbs/scored',
+  LoggedIn: 'https://w3id.org/xapi/adl/verbs/logged-in',
+  LoggedOut: 'https://w3id.org/xapi/adl/verbs/logged-out',
+  NavigatedTo: 'http://adlnet.gov/expapi/verbs/experienced',
+  Paused: 'https://w3id.org/xapi/video/verbs/paused',
+  Posted: 'http://adlnet.gov/expapi/verbs/shared',
+  Resumed: 'http://adlnet.gov/expapi/verbs/resumed',
+  Skipped: 'http://id.tincanapi.com/verb/skipped',
+  Started: 'http://adlnet.gov/expapi/verbs/attempted',
+  Submitted: 'http://activitystrea.ms/schema/1.0/submit',
+  Tagged: 'http://id.tincanapi.com/verb/tagged',
+  Viewed: 'http://id.tincanapi.com/verb/viewed',
+  Voided: 'http://adlnet.gov/expapi/verbs/voided'
+};
+
+/**
+ * The xAPI activity types that correspond to Caliper entity types. The first entity type that maps to an activity
+ * type is used when translating the activity type back into a Caliper entity type. Mappings can be added or
+ * overridden through the `translation.types` configuration
+ */
+const DEFAULT_TYPES = {
+  Assessment: 'http://adlnet.gov/expapi/activities/assessment',
+  AssessmentItem: 'http://adlnet.gov/expapi/activities/question',
+  CourseOffering: 'http://adlnet.gov/expapi/activities/course',
+  CourseSection: 'http://adlnet.gov/expapi/activities/module',
+  DigitalResource: 'http://id.tincanapi.com/activitytype/resource',
+  Document: 'http://id.tincanapi.com/activitytype/document',
+  Forum: 'http://id.tincanapi.com/activitytype/discussion',
+  MediaObject: 'http://adlnet.gov/expapi/activities/media',
+  Message: 'http://id.tincanapi.com/activitytype/forum-reply',
+  Questionnaire: 'http://id.tincanapi.com/activitytype/survey',
+  SoftwareApplication: 'http://activitystrea.ms/schema/1.0/application',
+  VideoObject: 'https://w3id.org/xapi/video/activity-type/video',
+  WebPage: 'http://activitystrea.ms/schema/1.0/page'
+};
+
+/**
+ * Get a mapping table, including the mappings that have been added or overridden through the configuration
+ *
+ * @param  {Object}           defaults                  The default mapping table
+ * @param  {String}           name                      The name of the mapping table in the `translation` configuration
+ * @return {Object}                                     The mapping table
+ * @api private
+ */
+var getMapping = function(defaults, name) {
+  var key = 'translation.' + name;
+  return _.extend({}, defaults, config.has(key) ? config.get(key) : {});
+};
+
+/**
+ * Get the Caliper action that corresponds to an xAPI verb. Verbs that are not in the mapping table are expressed as
+ * the last segment of their IRI
+ *
+ * @param  {String}           verbId                    The IRI of the xAPI verb
+ * @return {String}                                     The corresponding Caliper action
+ */
+var getAction = module.exports.getAction = function(verbId) {
+  var action = _.findKey(getMapping(DEFAULT_ACTIONS, 'actions'), function(mappedVerb) {
+    return mappedVerb === verbId;
+  });
+  if (action) {
+    return action;
+  } else if (_.startsWith(verbId, CALIPER_ACTION_BASE)) {
+    return verbId.substring(CALIPER_ACTION_BASE.length);
+  }
+
+  return _.upperFirst(_.camelCase(_.last(verbId.split(/[/#]/))));
+};
+
+/**
+ * Get the xAPI verb that corresponds to a Caliper action
+ *
+ * @param  {String}           action                    The Caliper action
+ * @return {String}                                     The IRI of the corresponding xAPI verb
+ */
+var getVerb = module.exports.getVerb = function(action) {
+  return getMapping(DEFAULT_ACTIONS, 'actions')[action] || CALIPER_ACTION_BASE + action;
+};
+
+/**
+ * Get the summary of the kind of learning activity a statement describes. The summary of both xAPI statements
+ * and Caliper events is the Caliper action of the statement
+ *
+ * @param  {String}           statementType             `CALIPER` or `XAPI`
+ * @param  {Object}           statement                 The learning activity statement
+ * @return {String}                                     The summary of the kind of learning activity
+ */
+var getActivityType = module.exports.getActivityType = function(statementType, statement) {
+  if (statementType === 'CALIPER') {
+    return statement.action.toString();
+  }
+
+  return getAction(statement.verb.id);
+};
+
+/**
+ * Translate a Caliper event into an xAPI statement. Caliper entities are identified through xAPI accounts whose
+ * name is the IRI of the entity
+ *
+ * @param  {Object}           event                     The Caliper event to translate
+ * @return {Object}                                     The corresponding xAPI statement
+ */
+var toXAPI = module.exports.toXAPI = function(event) {
+  var statement = {
+    id: _.isString(event.id) ? event.id.replace(/^urn:uuid:/, '') : null,
+    actor: toXAPIAgent(event.actor),
+    verb: {
+      id: getVerb(event.action),
+      display: {'en-US': event.action}
+    },
+    object: toXAPIActivity(event.object),
+    timestamp: event.eventTime
+  };
+
+  // The course offering an event took place in provides its context
+  var group = event.group;
+  if (group) {
+    statement.context = {
+      contextActivities: {
+        grouping: [ toXAPIActivity(group) ]
+      }
+    };
+  }
+
+  return statement;
+};
+
+/**
+ * Translate an xAPI statement into a Caliper event. Agents are identified by the IRI form of their inverse functional
+ * identifier
+ *
+ * @param  {Object}           statement                 The xAPI statement to translate
+ * @return {Object}                                     The corresponding Caliper event
+ */
+var toCaliper = module.exports.toCaliper = function(statement) {
+  var event = {
+    '@context': CALIPER_CONTEXT,
+    id: 'urn:uuid:' + statement.id,
+    type: 'Event',
+    actor: toCaliperEntity(statement.actor),
+    action: getAction(statement.verb.id),
+    object: toCaliperEntity(statement.object),
+    eventTime: statement.timestamp
+  };
+
+  var grouping = _.get(statement, 'context.contextActivities.grouping[0]') || _.get(statement, 'context.contextActivities.parent[0]');
+  if (grouping) {
+    event.group = toCaliperEntity(grouping);
+  }
+
+  return event;
+};
+
+/**
+ * Get the IRI of the Caliper entity an xAPI agent or group has been translated from
+ *
+ * @param  {Object}           agent                     The xAPI agent or group
+ * @return {String}                                     The IRI of the Caliper entity. `null` if the agent can not be the translation of a Caliper entity
+ */
+var getEntityId = module.exports.getEntityId = function(agent) {
+  var account = agent.account;
+  if (!account || !_.isString(account.name) || account.homePage !== getHomePage(account.name)) {
+    return null;
+  }
+
+  return account.name;
+};
+
+/**
+ * Translate a Caliper entity into an xAPI agent or group
+ *
+ * @param  {Object|String}    entity                    The Caliper entity, or its IRI
+ * @return {Object}                                     The corresponding xAPI agent or group
+ * @api private
+ */
+var toXAPIAgent = function(entity) {
+  var id = _.isString(entity) ? entity : entity.id;
+  var agent = {
+    objectType: _.includes(['Group', 'Organization'], entity.type) ? 'Group' : 'Agent',
+    account: {
+      homePage: getHomePage(id),
+      name: id
+    }
+  };
+  if (entity.name) {
+    agent.name = entity.name;
+  }
+
+  return agent;
+};
+
+/**
+ * Translate a Caliper entity into an xAPI activity
+ *
+ * @param  {Object|String}    entity                    The Caliper entity, or its IRI
+ * @return {Object}                                     The corresponding xAPI activity
+ * @api private
+ */
+var toXAPIActivity = function(entity) {
+  if (_.isString(entity)) {
+    return {objectType: 'Activity', id: entity};
+  }
+
+  var activity = {
+    objectType: 'Activity',
+    id: entity.id,
+    definition: {
+      type: getMapping(DEFAULT_TYPES, 'types')[entity.type] || CALIPER_TYPE_BASE + entity.type
+    }
+  };
+  if (entity.name) {
+    activity.definition.name = {'en-US': entity.name};
+  }
+  if (entity.description) {
+    activity.definition.description = {'en-US': entity.description};
+  }
+
+  return activity;
+};
+
+/**
+ * Translate an xAPI agent, group or activity into a Caliper entity
+ *
+ * @param  {Object}           object                    The xAPI agent, group, activity or statement reference
+ * @return {Object}                                     The corresponding Caliper entity
+ * @api private
+ */
+var toCaliperEntity = function(object) {
+  if (object.objectType === 'StatementRef') {
+    return {id: 'urn:uuid:' + object.id, type: 'Event'};
+  } else if (object.objectType === 'Agent' || object.objectType === 'Group' || !object.objectType && !object.id) {
+    var person = {
+      id: getAgentIRI(object),
+      type: object.objectType === 'Group' ? 'Group' : 'Person'
+    };
+    if (object.name) {
+      person.name = object.name;
+    }
+
+    return person;
+  }
+
+  var entity = {
+    id: object.id,
+    type: getEntityType(_.get(object, 'definition.type'))
+  };
+  var name = getLanguageMapValue(_.get(object, 'definition.name'));
+  if (name) {
+    entity.name = name;
+  }
+  var description = getLanguageMapValue(_.get(object, 'definition.description'));
+  if (description) {
+    entity.description = description;
+  }
+
+  return entity;
+};
+
+/**
+ * Get the Caliper entity type that corresponds to an xAPI activity type. Activities without a known type are
+ * considered to be digital resources
+ *
+ * @param  {String}           [activityType]            The IRI of the xAPI activity type
+ * @return {String}                                     The corresponding Caliper entity type
+ * @api private
+ */
+var getEntityType = function(activityType) {
+  if (!activityType) {
+    return 'DigitalResource';
+  } else if (_.startsWith(activityType, CALIPER_TYPE_BASE)) {
+    return activityType.substring(CALIPER_TYPE_BASE.length);
+  }
+
+  var type = _.findKey(getMapping(DEFAULT_TYPES, 'types'), function(mappedType) {
+    return mappedType === activityType;
+  });
+  return type || 'DigitalResource';
+};
+
+/**
+ * Get the IRI form of the inverse functional identifier of an xAPI agent or group. Agents that have been translated
+ * from Caliper keep the IRI of their Caliper entity
+ *
+ * @param  {Object}           agent                     The xAPI agent or group
+ * @return {String}                                     The IRI that identifies the agent
+ * @api private
+ */
+var getAgentIRI = function(agent) {
+  if (agent.mbox) {
+    return agent.mbox;
+  } else if (agent.mbox_sha1sum) {
+    return 'urn:sha1:' + agent.mbox_sha1sum;
+  } else if (agent.openid) {
+    return agent.openid;
+  } else if (agent.account && (/^[a-z][a-z0-9+.-]*:/i).test(agent.account.name)) {
+    return agent.account.name;
+  } else if (agent.account) {
+    return _.trimEnd(agent.account.homePage, '/') + '/' + encodeURIComponent(agent.account.name);
+  }
+
+  return null;
+};
+
+/**
+ * Get the home page of the system that issued an IRI
+ *
+ * @param  {String}           iri                       The IRI to get the home page for
+ * @return {String}                                     The origin of the IRI, or the IRI itself if it has no origin
+ * @api private
+ */
+var getHomePage = function(iri) {
+  var parsedIRI = url.parse(iri);
+  if (!parsedIRI.protocol || !parsedIRI.host) {
+    return iri;
+  }
+
+  return parsedIRI.protocol + '//' + parsedIRI.host;
+};
+
+/**
+ * Get the value of a language map, preferring American English
+ *
+ * @param  {Object}           [languageMap]             The xAPI language map
+ * @return {String}                                     The preferred value of the language map, if any
+ */
+var getLanguageMapValue = module.exports.getLanguageMapValue = function(languageMap) {
+  if (!languageMap) {
+    return null;
+  }
+
+  return languageMap['en-US'] || _.first(_.values(languageMap)) || null;
+};
@@ -0,0 +1,94 @@
+/**
+ * Copyright ©2018. The Regents of the University of California (Regents). All Rights Reserved.
+ *
+ * Permission to use, copy, modify, and distribute this software and its documentation
+ * for educational, research, and not-for-profit purposes, without fee and without a
+ * signed licensing agreement, is hereby granted, provided that the above copyright
+ * notice, this paragraph and the following two paragraphs appear in all copies,
+ * modifications, and distributions.
+ *
+ * Contact The Office of Technology Licensing, UC Berkeley, 2150 Shattuck Avenue,
+ * Suite 510, Berkeley, CA 94720-1620, (510) 643-7201, otl@berkeley.edu,
+ * http://ipira.berkeley.edu/industry-info for commercial licensing opportunities.
+ *
+ * IN NO EVENT SHALL REGENTS BE LIABLE TO ANY PARTY FOR DIRECT, INDIRECT, SPECIAL,
+ * INCIDENTAL, OR CONSEQUENTIAL DAMAGES, INCLUDING LOST PROFITS, ARISING OUT OF
+ * THE USE OF THIS SOFTWARE AND ITS DOCUMENTATION, EVEN IF REGENTS HAS BEEN ADVISED
+ * OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * REGENTS SPECIFICALLY DISCLAIMS ANY WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE. THE
+ * SOFTWARE AND ACCOMPANYING DOCUMENTATION, IF ANY, PROVIDED HEREUNDER IS PROVIDED
+ * "AS IS". REGENTS HAS NO OBLIGATION TO PROVIDE MAINTENANCE, SUPPORT, UPDATES,
+ * ENHANCEMENTS, OR MODIFICATIONS.
+ */
+
+var _ = require('lodash');
+var config = require('config');
+
+// The statement properties that are set by the Learning Record Store rather than by the producer of the statement
+const LRS_PROPERTIES = ['stored', 'authority', 'version'];
+
+/**
+ * Check whether two learning activity statements are equivalent. Properties that are set by the Learning Record
+ * Store (`stored`, `authority` and `version`) are not considered. When either statement has no timestamp, the
+ * timestamps are not considered either, as the Learning Record Store generates a timestamp for such statements
+ *
+ * @param  {Object}           statement                 The learning activity statement to compare
+ * @param  {Object}           otherStatement            The learning activity statement to compare against
+ * @return {Boolean}                                    `true` if both learning activity statements are equivalent, `false` otherwise
+ */
+var isEquivalentStatement = module.exports.isEquivalentStatement = function(statement, otherStatement) {
+  var ignoredProperties = LRS_PROPERTIES;
+  if (!_.has(statement, 'timestamp') || !_.has(otherStatement, 'timestamp')) {
+    ignoredProperties = ignoredProperties.concat('timestamp');
+  }
+
+  return _.isEqual(_.omit(statement, ignoredProperties), _.omit(otherStatement, ignoredProperties));
+};
+
+/**
+ * Check whether a learning activity statement that is being saved conflicts with a learning activity statement
+ * that has already been stored under the same id. Resubmitting an equivalent statement is not a conflict
+ *
+ * @param  {Object}           ctx                       Context containing write credentials
+ * @param  {Object}           statement                 The learning activity statement that is being saved
+ * @param  {Statement}        storedStatement           The learning activity statement that has already been stored under the same id
+ * @return {Object}                                     A `409` error when the statements conflict. `null` when the statement is a resubmission
+ */
+var getConflict = module.exports.getConflict = function(ctx, statement, storedStatement) {
+  if (storedStatement.tenant_id === ctx.auth.tenant_id && isEquivalentStatement(statement, storedStatement.statement)) {
+    return null;
+  }
+
+  return {code: 409, msg: 'A different learning activity statement with the same id already exists'};
+};
+
+/**
+ * Get the xAPI agent that represents a credential as the authority of the statements it stores
+ *
+ * @param  {Credential}       credential                The credential to get the authority for
+ * @return {Object}                                     The xAPI agent representing the credential
+ */
+var getCredentialAuthority = module.exports.getCredentialAuthority = function(credential) {
+  return {
+    objectType: 'Agent',
+    name: credential.name,
+    account: {
+      homePage: config.get('statements.authorityHomePage'),
+      name: credential.key
+    }
+  };
+};
+
+/**
+ * Get the authority of a stored learning activity statement. Statements that were stored without an authority,
+ * such as Caliper events, are attributed to the credential that stored them
+ *
+ * @param  {Statement}        storedStatement           The stored learning activity statement
+ * @param  {Credential}       credential                The credential that stored the learning activity statement
+ * @return {Object}                                     The xAPI agent or group that asserted the learning activity statement
+ */
+var getStatementAuthority = module.exports.getStatementAuthority = function(storedStatement, credential) {
+  return storedStatement.statement.authority || getCredentialAuthority(credential);
+};
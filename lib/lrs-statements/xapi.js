@@ -23,25 +23,39 @@
  * ENHANCEMENTS, OR MODIFICATIONS.
  */
 
+var _ = require('lodash');
+var async = require('async');
+var crypto = require('crypto');
 var Joi = require('joi');
 var uuid = require('uuid');
 var xapiValidator = require('xapi-validator');
 
+var CourseAPI = require('../lrs-course/api');
 var DB = require('../lrs-core/db');
 var log = require('../lrs-core/logger')('lrs-statements');
+var Version = require('../lrs-core/version');
+var Signature = require('./signature');
+var StatementActors = require('./actors');
+var StatementIdentity = require('./identity');
+var StatementTranslate = require('./translate');
+var StatementUtil = require('./util');
 
 const XAPI = 'XAPI';
-const XAPI_VERSION = '1.0.2';
+const VOIDED_VERB = 'http://adlnet.gov/expapi/verbs/voided';
+
+// The activity type of the xAPI activities that represent a course
+const COURSE_ACTIVITY_TYPE = 'http://adlnet.gov/expapi/activities/course';
 
 /**
  * Get a learning activity statement by its uuid
  *
+ * @param  {Object}           ctx                   Context containing the current transaction, if any
  * @param  {String}           id                    The uuid by which to retrieve the learning activity statement
  * @param  {Function}         callback              Standard callback function
  * @param  {Object}           callback.err          An error that occurred, if any
  * @param  {Statement}        callback.statement    The requested learning activity statement
  */
-var getStatement = module.exports.getStatement = function(id, callback) {
+var getStatement = module.exports.getStatement = function(ctx, id, callback) {
   // Parameter validation
   var validationSchema = Joi.object().keys({
     id: Joi.string().required()
@@ -55,7 +69,7 @@ var getStatement = module.exports.getStatement = function(id, callback) {
     return callback({code: 400, msg: validationResult.error.details[0].message});
   }
 
-  DB.Statement.findByPk(id).complete(function(err, statement) {
+  DB.Statement.findByPk(id, {transaction: ctx.transaction}).complete(function(err, statement) {
     if (err) {
       log.error({err: err, id: id}, 'An error occurred when getting a learning activity statement');
       return callback({code: 500, msg: err.message});
@@ -81,25 +95,59 @@ var saveStatement = module.exports.saveStatement = function(ctx, statement, call
     return callback({code: 500, msg: 'Prevented storing a learning activity without authentication'});
   }
 
+  // When no uuid has been included, generate one
+  statement.id = statement.id || uuid.v4();
+
   // Verify that no other learning activity statement with the same uuid already exists
-  getStatement(statement.id, function(err, retrievedStatement) {
+  getStatement(ctx, statement.id, function(err, retrievedStatement) {
     if (retrievedStatement) {
-      log.warn({id: statement.id}, 'Attempted to save a learning activity statement that already exists');
-      return callback({code: 400, msg: 'Attempted to save a learning activity statement that already exists'});
+      // Resubmitting an equivalent statement is not an error and will not store the statement again
+      var conflict = StatementUtil.getConflict(ctx, statement, retrievedStatement);
+      if (conflict) {
+        log.warn({id: statement.id}, 'Attempted to save a conflicting learning activity statement');
+        return callback(conflict);
+      }
+
+      log.debug({id: statement.id}, 'Learning activity statement has already been stored');
+      return callback(null, retrievedStatement);
     } else if (err && err.code !== 404) {
       log.error({id: statement.id}, 'Unable to verify if learning activity statement already exists');
       return callback(err);
     }
 
+    // Determine the xAPI version of the statement and validate the rules that are specific to that version
+    var versionResult = Version.getStatementVersion(ctx.version, statement);
+    if (versionResult.error) {
+      log.warn({id: statement.id, version: statement.version}, 'Invalid learning activity statement version');
+      return callback(versionResult.error);
+    }
+
+    var statementVersion = versionResult.version;
+    var versionErrors = Version.validateVersionRules(statementVersion, statement);
+    if (versionErrors.length > 0) {
+      log.warn({id: statement.id, errors: versionErrors}, 'Invalid learning activity statement');
+      return callback({code: 400, msg: versionErrors.join('\n')});
+    }
+
+    // The version and the xAPI 2.0 context agents and groups have already been validated
+    var validatedStatement = _.omit(statement, 'version');
+    if (statement.context) {
+      validatedStatement.context = _.omit(statement.context, ['contextAgents', 'contextGroups']);
+    }
+
     // Validate the xAPI statement
-    xapiValidator.validate(statement, function(err) {
+    xapiValidator.validate(validatedStatement, function(err) {
       if (err) {
         log.warn({err: err}, 'Invalid learning activity statement');
-        return callback({code: 500, msg: err});
+        return callback({code: 400, msg: err});
       }
 
-      // When no uuid has been included, generate one
-      statement.id = statement.id || uuid.v4();
+      // Verify the signature of signed statements before the Learning Record Store changes the statement
+      var signatureResult = Signature.verifyStatement(statement, ctx.attachments || []);
+      if (signatureResult.error) {
+        log.warn({id: statement.id, err: signatureResult.error}, 'Invalid learning activity statement signature');
+        return callback(signatureResult.error);
+      }
 
       var currentTimestamp = new Date().toISOString();
 
@@ -109,66 +157,104 @@ var saveStatement = module.exports.saveStatement = function(ctx, statement, call
       // Add the stored timestamp
       statement.stored = currentTimestamp;
 
-      // Set statement type and version. Currently all XAPI feeds are coming from in house apps running 1.0.2 version.
-      // TODO: For future integrations these variables can be derived to accomodate different versions. Currently, setting it to default.
+      // Statements are stored with the version they were sent with
+      statement.version = statementVersion;
+
+      // The authority is derived from the credential, unless the credential is trusted to assert the authority itself
+      if (!statement.authority || !ctx.auth.authority_permission) {
+        statement.authority = StatementUtil.getCredentialAuthority(ctx.auth);
+      }
+
       var statementType = XAPI;
-      var statementVersion = XAPI_VERSION;
       var voided = false;
 
+      // A voiding statement should always refer to the statement it voids
+      var isVoiding = statement.verb.id === VOIDED_VERB;
+      if (isVoiding && !(statement.object && statement.object.objectType === 'StatementRef')) {
+        log.warn({id: statement.id}, 'Attempted to save a voiding statement without a statement reference');
+        return callback({code: 400, msg: 'A voiding statement should have a StatementRef as its object'});
+      }
+
       // Get the learning activity statement that's referenced in the current
       // learning activity statement, if any
-      getStatementRef(statement, function(err, refStatement) {
+      getStatementRef(ctx, statement, function(err, refStatement) {
         if (err) {
           log.error({err: err}, 'An error occured while getting the referenced learning activity statement');
           return callback(err);
         }
 
-        // Create the activity type summary (verb_objecttype)
-        var activityType = statement.verb.id.split('/').pop();
-        if (statement.object && statement.object.definition && statement.object.definition.type) {
-          activityType += '_' + statement.object.definition.type.split('/').pop();
-        } else if (refStatement && refStatement.object && refStatement.object.definition && refStatement.object.definition.type) {
-          activityType += '_' + refStatement.object.definition.type.split('/').pop();
+        if (isVoiding && refStatement && refStatement.verb === VOIDED_VERB) {
+          log.warn({id: statement.id, ref: refStatement.uuid}, 'Attempted to void a voiding statement');
+          return callback({code: 400, msg: 'A voiding statement cannot be voided'});
         }
-        activityType = activityType.toLowerCase();
 
-        // Get the user associated to this learning activity. If the user
-        // doesn't exist yet, it will be created
-        getOrCreateUser(ctx, statement, function(err, user) {
+        // Summarize the kind of learning activity the same way for xAPI statements and Caliper events
+        var activityType = StatementTranslate.getActivityType(XAPI, statement);
+
+        // Get the user or group associated to this learning activity. If the user
+        // or group doesn't exist yet, it will be created
+        getStatementActor(ctx, statement, function(err, actor) {
           if (err) {
             log.error({err: err}, 'An error occured while getting the learning activity statement actor');
             return callback(err);
           }
 
-          var actorType = null;
-          if (user) {
-            actorType = 'Person';
-          }
-
-          // Store the learning activity statement in the DB
-          var storedStatement = {
-            uuid: statement.id,
-            statement: JSON.stringify(statement),
-            verb: statement.verb.id,
-            timestamp: statement.timestamp,
-            activity_type: activityType,
-            voided: voided,
-            tenant_id: ctx.auth.tenant_id,
-            user_id: user.id,
-            actor_type: actorType,
-            statement_type: statementType,
-            statement_version: statementVersion,
-            credential_id: ctx.auth.id
-          };
-
-          DB.Statement.create(storedStatement).complete(function(err, statement) {
+          // Get the course in which the learning activity took place, if any
+          getStatementCourse(ctx, statement, function(err, course) {
             if (err) {
-              log.error({err: err}, 'Failed to store a new learning activity statement');
-              return callback({code: 500, msg: err.message});
+              log.error({err: err}, 'An error occured while getting the course of the learning activity statement');
+              return callback(err);
             }
 
-            log.debug({statement: statement}, 'Sucessfully stored learning activity statement');
-            return callback(null, statement);
+            // Store the learning activity statement in the DB
+            var storedStatement = {
+              uuid: statement.id,
+              statement: statement,
+              verb: statement.verb.id,
+              timestamp: statement.timestamp,
+              activity_type: activityType,
+              voided: voided,
+              verified: signatureResult.verified,
+              tenant_id: ctx.auth.tenant_id,
+              user_id: actor.user_id,
+              actor_id: actor.actor_id,
+              course_id: course ? course.id : null,
+              actor_type: actor.actor_type,
+              statement_type: statementType,
+              statement_version: statementVersion,
+              credential_id: ctx.auth.id
+            };
+
+            // Keep track of the latest definition of the activity the statement is about
+            saveActivity(ctx, statement.object, function(err) {
+              if (err) {
+                return callback(err);
+              }
+
+              DB.Statement.create(storedStatement, {transaction: ctx.transaction}).complete(function(err, statement) {
+                if (err) {
+                  log.error({err: err}, 'Failed to store a new learning activity statement');
+                  return callback({code: 500, msg: err.message});
+                }
+
+                log.debug({statement: statement}, 'Sucessfully stored learning activity statement');
+
+                // Flag the statement that is voided by this statement so it drops out of the read APIs
+                if (!isVoiding || !refStatement) {
+                  return callback(null, statement);
+                }
+
+                refStatement.update({voided: true}, {transaction: ctx.transaction}).complete(function(err) {
+                  if (err) {
+                    log.error({err: err, id: refStatement.uuid}, 'Failed to void a learning activity statement');
+                    return callback({code: 500, msg: err.message});
+                  }
+
+                  log.info({id: refStatement.uuid, voidedBy: statement.uuid}, 'Voided a learning activity statement');
+                  return callback(null, statement);
+                });
+              });
+            });
           });
         });
       });
@@ -178,30 +264,144 @@ var saveStatement = module.exports.saveStatement = function(ctx, statement, call
 
 /**
  * Get a learning activity statement that's referenced in a different learning
- * activity statement's object, if any
+ * activity statement's object, if any. Only statements within the tenant of the current
+ * credential can be referenced
  *
+ * @param  {Object}           ctx                       Context containing write credentials
  * @param  {Object}           statement                 The learning activity statement to check for referenced learning activities
  * @param  {Function}         callback                  Standard callback function
  * @param  {Object}           callback.err              An error that occurred, if any
  * @param  {Statement}        callback.refStatement     The learning activity statement referenced in the provided learning activity statement
  * @api private
  */
-var getStatementRef = function(statement, callback) {
+var getStatementRef = function(ctx, statement, callback) {
   // The statement doesn't contain a statement reference
   if (!statement.object || !(statement.object.objectType === 'StatementRef' && statement.object.id)) {
     return callback();
   }
 
-  getStatement(statement.object.id, function(err, refStatement) {
+  getStatement(ctx, statement.object.id, function(err, refStatement) {
     if (err && err.code !== 404) {
-      log.info({id: id}, 'Could not find a referenced learning activity statement');
+      log.info({id: statement.object.id}, 'Could not find a referenced learning activity statement');
       return callback(err);
+    } else if (!refStatement || refStatement.tenant_id !== ctx.auth.tenant_id) {
+      return callback();
     }
 
     return callback(null, refStatement);
   });
 };
 
+/**
+ * Retrieve the user or group that is the actor of a learning activity statement. Groups are stored as non-person
+ * actors, and the users that correspond to their members are recorded as members of the group
+ *
+ * @param  {Object}           ctx                       Context containing write credentials
+ * @param  {Object}           statement                 The learning activity statement to extract the actor from
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any
+ * @param  {Object}           callback.actor            The `actor_type` of the statement and the `user_id` or `actor_id` of its actor
+ * @api private
+ */
+var getStatementActor = function(ctx, statement, callback) {
+  if (statement.actor.objectType !== 'Group') {
+    return getOrCreateUser(ctx, statement, function(err, user) {
+      if (err) {
+        return callback(err);
+      }
+
+      return callback(null, {actor_type: 'Person', user_id: user.id, actor_id: null});
+    });
+  }
+
+  getOrCreateGroup(ctx, statement.actor, function(err, group) {
+    if (err) {
+      return callback(err);
+    }
+
+    return callback(null, {actor_type: 'Group', user_id: null, actor_id: group.id});
+  });
+};
+
+/**
+ * Get the course in which an xAPI learning activity took place. A course activity among the `grouping` and `parent`
+ * context activities of the statement is created as a course if it doesn't exist yet. Otherwise the statement is
+ * attached to the course that is known under one of those context activities, if any
+ *
+ * @param  {Object}           ctx                       Context containing write credentials
+ * @param  {Object}           statement                 The learning activity statement to get the course of
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any
+ * @param  {Course}           callback.course           The course of the learning activity, or `null` if it didn't take place in a known course
+ * @api private
+ */
+var getStatementCourse = function(ctx, statement, callback) {
+  var contextActivities = _.get(statement, 'context.contextActivities', {});
+  var activities = _.filter(_.concat(_.castArray(contextActivities.grouping || []), _.castArray(contextActivities.parent || [])), 'id');
+
+  var courseActivity = _.find(activities, {definition: {type: COURSE_ACTIVITY_TYPE}});
+  if (!courseActivity) {
+    return CourseAPI.getContextCourse(ctx, _.map(activities, 'id'), callback);
+  }
+
+  var context = {
+    iri: courseActivity.id,
+    type: COURSE_ACTIVITY_TYPE
+  };
+  var name = StatementTranslate.getLanguageMapValue(courseActivity.definition.name);
+  if (name) {
+    context.name = name;
+  }
+
+  return CourseAPI.getOrCreateContextCourse(ctx, context, callback);
+};
+
+/**
+ * Retrieve the non-person actor that corresponds to an xAPI group and record the users that correspond to its members.
+ * Identified groups are identified by their inverse functional identifier, anonymous groups by the identifiers of
+ * their members. Members that can't be mapped to a user are not recorded
+ *
+ * @param  {Object}           ctx                       Context containing write credentials
+ * @param  {Object}           group                     The xAPI group
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any
+ * @param  {Actor}            callback.actor            The requested actor, or the generated actor if the group didn't exist
+ * @api private
+ */
+var getOrCreateGroup = function(ctx, group, callback) {
+  var members = _.filter(group.member, function(member) {
+    return StatementIdentity.getIdentity(ctx, member);
+  });
+
+  var identifier = null;
+  var groupIdentifier = _.first(getAgentIdentifiers(group));
+  if (groupIdentifier) {
+    identifier = _.compact([groupIdentifier.type, groupIdentifier.home_page, groupIdentifier.value]).join(' ');
+  } else {
+    var memberIdentifiers = _.map(_.flatMap(group.member, getAgentIdentifiers), function(memberIdentifier) {
+      return _.compact([memberIdentifier.type, memberIdentifier.home_page, memberIdentifier.value]).join(' ');
+    });
+    var hash = crypto.createHash('sha1').update(_.sortBy(_.uniq(memberIdentifiers)).join('\n')).digest('hex');
+    identifier = 'anonymous ' + hash;
+  }
+
+  async.mapSeries(members, function(member, done) {
+    getOrCreateAgentUser(ctx, member, done);
+  }, function(err, users) {
+    if (err) {
+      return callback(err);
+    }
+
+    var actor = {
+      type: 'Group',
+      identifier: identifier,
+      name: group.name,
+      definition: group
+    };
+    StatementActors.getOrCreateActor(ctx, actor, users, callback);
+  });
+};
+
 /**
  * Retrieve the user that corresponds to the actor on a learning activity statement.
  * If the user doesn't exist, it will be created.
@@ -214,39 +414,41 @@ var getStatementRef = function(statement, callback) {
  * @api private
  */
 var getOrCreateUser = function(ctx, statement, callback) {
-  // Extract the user's name
-  var name = null;
-  var external_id = null;
-
-  if (statement.actor.name) {
-    name = statement.actor.name;
-  } else if (statement.actor.account && statement.actor.account.name) {
-    name = statement.actor.account.name;
+  if (!StatementIdentity.getIdentity(ctx, statement.actor)) {
+    log.error({statement: statement}, 'Unable to extract user from statement');
+    return callback({code: 500, msg: 'Unable to extract user from statement'});
   }
 
-  // Extract the user's external id
-  if (statement.actor.mbox) {
-    external_id = statement.actor.mbox;
-  } else if (statement.actor.account && statement.actor.account.name) {
-    external_id = statement.actor.account.name;
-  }
+  return getOrCreateAgentUser(ctx, statement.actor, callback);
+};
 
-  if (!external_id) {
-    log.error({statement: statement}, 'Unable to extract user from statement');
-    return callback({code: 500, msg: 'Unable to extract user from statement'});
+/**
+ * Retrieve the user that corresponds to an xAPI agent. If the user doesn't exist, it will be created
+ *
+ * @param  {Object}           ctx                       Context containing write credentials
+ * @param  {Object}           agent                     The xAPI agent to retrieve the user for
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any
+ * @param  {Object}           callback.user             The requested user, or the generated user if the user didn't exist
+ */
+var getOrCreateAgentUser = module.exports.getOrCreateAgentUser = function(ctx, agent, callback) {
+  var identity = StatementIdentity.getIdentity(ctx, agent);
+  if (!identity) {
+    return callback({code: 400, msg: 'Unable to extract user from agent'});
   }
 
   // Get the user from the DB or create it if it doesn't exist yet
-  options = {
+  var options = {
     where: {
       tenant_id: ctx.auth.tenant_id,
-      external_id: external_id
+      external_id: identity.external_id
     },
     defaults: {
       tenant_id: ctx.auth.tenant_id,
-      external_id: external_id,
-      name: name
-    }
+      external_id: identity.external_id,
+      name: identity.name
+    },
+    transaction: ctx.transaction
   };
 
   DB.User.findOrCreate(options).complete(function(err, data) {
@@ -255,7 +457,161 @@ var getOrCreateUser = function(ctx, statement, callback) {
       return callback({code: 500, msg: err.message});
     }
 
+    // Keep track of the identifiers of the agent so they can be combined into a Person object
     var user = data[0];
+    saveAgentIdentifiers(ctx, user, agent, function(err) {
+      if (err) {
+        return callback(err);
+      }
+
+      return callback(null, user);
+    });
+  });
+};
+
+/**
+ * Retrieve the user that corresponds to an xAPI agent without creating it
+ *
+ * @param  {Object}           ctx                       Context containing read credentials
+ * @param  {Object}           agent                     The xAPI agent to retrieve the user for
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any
+ * @param  {Object}           callback.user             The requested user, or `null` when no user is known for the agent or the identity rules can't map the agent to a user
+ */
+var getAgentUser = module.exports.getAgentUser = function(ctx, agent, callback) {
+  var identity = StatementIdentity.getIdentity(ctx, agent);
+  if (!identity) {
+    return callback(null, null);
+  }
+
+  var options = {
+    where: {
+      tenant_id: ctx.auth.tenant_id,
+      external_id: identity.external_id
+    }
+  };
+
+  DB.User.findOne(options).complete(function(err, user) {
+    if (err) {
+      log.error({err: err}, 'Failed to get a user');
+      return callback({code: 500, msg: err.message});
+    }
+
     return callback(null, user);
   });
 };
+
+/**
+ * Get the xAPI inverse functional identifiers of an agent
+ *
+ * @param  {Object}           agent                     The xAPI agent to extract the identifiers from
+ * @return {Object[]}                                   The identifiers of the agent, each containing a `type`, a `value` and, for accounts, a `home_page`
+ */
+var getAgentIdentifiers = module.exports.getAgentIdentifiers = function(agent) {
+  var identifiers = [];
+  _.each(['mbox', 'mbox_sha1sum', 'openid'], function(type) {
+    if (agent[type]) {
+      identifiers.push({type: type, value: agent[type], home_page: null});
+    }
+  });
+
+  if (agent.account && agent.account.name) {
+    identifiers.push({type: 'account', value: agent.account.name, home_page: agent.account.homePage || null});
+  }
+
+  return identifiers;
+};
+
+/**
+ * Record the inverse functional identifiers of an agent for the user that corresponds to the agent
+ *
+ * @param  {Object}           ctx                       Context containing write credentials
+ * @param  {User}             user                      The user that corresponds to the agent
+ * @param  {Object}           agent                     The xAPI agent to record the identifiers of
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any
+ * @api private
+ */
+var saveAgentIdentifiers = function(ctx, user, agent, callback) {
+  async.eachSeries(getAgentIdentifiers(agent), function(identifier, done) {
+    // An identifier belongs to the first user it has been seen for
+    var options = {
+      where: _.extend({
+        tenant_id: ctx.auth.tenant_id
+      }, identifier),
+      defaults: {
+        user_id: user.id,
+        name: agent.name || null
+      },
+      transaction: ctx.transaction
+    };
+
+    DB.AgentIdentifier.findOrCreate(options).complete(function(err) {
+      if (err) {
+        log.error({err: err}, 'Failed to record an agent identifier');
+        return done({code: 500, msg: err.message});
+      }
+
+      return done();
+    });
+  }, callback);
+};
+
+/**
+ * Keep track of the latest definition of an activity that is the object of a learning activity statement. Names
+ * and descriptions are merged per language, all other properties are replaced by the latest definition
+ *
+ * @param  {Object}           ctx                       Context containing write credentials
+ * @param  {Object}           object                    The object of the learning activity statement
+ * @param  {Function}         callback                  Standard callback function
+ * @param  {Object}           callback.err              An error that occurred, if any
+ * @api private
+ */
+var saveActivity = function(ctx, object, callback) {
+  // Only activities carry a definition
+  if (!object || object.objectType && object.objectType !== 'Activity' || !object.definition) {
+    return callback();
+  }
+
+  var options = {
+    where: {
+      tenant_id: ctx.auth.tenant_id,
+      activity_id: object.id
+    },
+    defaults: {
+      tenant_id: ctx.auth.tenant_id,
+      activity_id: object.id,
+      definition: object.definition
+    },
+    transaction: ctx.transaction
+  };
+
+  DB.Activity.findOrCreate(options).complete(function(err, data) {
+    if (err) {
+      log.error({err: err, id: object.id}, 'Failed to get or create an activity');
+      return callback({code: 500, msg: err.message});
+    }
+
+    var activity = data[0];
+    var created = data[1];
+    if (created) {
+      return callback();
+    }
+
+    var definition = _.extend({}, activity.definition, object.definition);
+    _.each(['name', 'description'], function(languageMap) {
+      if (activity.definition[languageMap] || object.definition[languageMap]) {
+        definition[languageMap] = _.extend({}, activity.definition[languageMap], object.definition[languageMap]);
+      }
+    });
+
+    activity.update({definition: definition}, {transaction: ctx.transaction}).complete(function(err) {
+      if (err) {
+        log.error({err: err, id: object.id}, 'Failed to update the definition of an activity');
+        return callback({code: 500, msg: err.message});
+      }
+
+      return callback();
+    });
+  });
+};
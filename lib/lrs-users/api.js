@@ -30,10 +30,18 @@ var moment = require('moment');
 var DB = require('../lrs-core/db');
 var log = require('../lrs-core/logger')('lrs-users');
 var LRSUtil = require('../lrs-core/util');
+var StatementEntities = require('../lrs-statements/entities');
+var StatementUtil = require('../lrs-statements/util');
+var StatementXAPI = require('../lrs-statements/xapi');
 var Sequelize = require('sequelize');
 
 const Op = Sequelize.Op;
 
+const CALIPER = 'CALIPER';
+
+// The non-person actors, such as groups and teams, a user is a member of. Their statements are part of the user's activity
+const USER_ACTORS_QUERY = 'SELECT actor_id FROM actor_members WHERE user_id = ?';
+
 /**
 * Get a user by its external id (UCB User login ID)
 *
@@ -84,6 +92,115 @@ var getUserByExternalId = module.exports.getUserByExternalId = function(external
   });
 };
 
+/**
+* Get the xAPI Person object for an agent. The Person object combines all identifiers that have been seen for
+* the user that corresponds to the agent. Users that have opted out of the current credential are treated as unknown
+*
+* @param  {Object}           ctx                       Context containing the read credentials
+* @param  {String}           agent                     The JSON encoded xAPI agent to get the Person object for
+* @param  {Function}         callback                  Standard callback function
+* @param  {Object}           callback.err              An error that occurred, if any
+* @param  {Object}           callback.person           The xAPI Person object for the agent
+*/
+var getPerson = module.exports.getPerson = function(ctx, agent, callback) {
+  // Parameter validation
+  var validationSchema = Joi.object().keys({
+    agent: Joi.string().required()
+  });
+
+  var validationResult = Joi.validate({
+    agent: agent
+  }, validationSchema);
+
+  if (validationResult.error) {
+    return callback({code: 400, msg: validationResult.error.details[0].message});
+  }
+
+  try {
+    agent = JSON.parse(agent);
+  } catch (err) {
+    return callback({code: 400, msg: 'The agent parameter should be a JSON encoded xAPI agent'});
+  }
+
+  // The identifiers of the requested agent are always part of its Person object
+  var identifiers = StatementXAPI.getAgentIdentifiers(agent);
+  if (!identifiers.length) {
+    return callback({code: 400, msg: 'The agent parameter should contain an inverse functional identifier'});
+  }
+  var names = [ agent.name ];
+
+  StatementXAPI.getAgentUser(ctx, agent, function(err, user) {
+    if (err) {
+      return callback(err);
+    } else if (!user) {
+      return callback(null, toPerson(names, identifiers));
+    }
+
+    isStudentOptedOut(user.id, ctx.auth.id, function(err, optOutRecord) {
+      if (err) {
+        return callback(err);
+      } else if (optOutRecord) {
+        log.info('Consumer with credential ID ' + ctx.auth.id + ' attempted to get the Person object of opted-out user ID ' + user.id);
+        return callback(null, toPerson(names, identifiers));
+      }
+
+      var options = {
+        where: {
+          tenant_id: ctx.auth.tenant_id,
+          user_id: user.id
+        },
+        order: [ 'id' ]
+      };
+
+      DB.AgentIdentifier.findAll(options).complete(function(err, userIdentifiers) {
+        if (err) {
+          log.error({err: err, user_id: user.id}, 'An error occurred when getting the identifiers of a user');
+          return callback({code: 500, msg: err.message});
+        }
+
+        names.push(user.name);
+        _.each(userIdentifiers, function(identifier) {
+          names.push(identifier.name);
+          identifiers.push({type: identifier.type, value: identifier.value, home_page: identifier.home_page});
+        });
+
+        return callback(null, toPerson(names, identifiers));
+      });
+    });
+  });
+};
+
+/**
+* Combine names and agent identifiers into an xAPI Person object
+*
+* @param  {String[]}         names                     The names of the person
+* @param  {Object[]}         identifiers               The identifiers of the person
+* @return {Object}                                     The xAPI Person object
+* @api private
+*/
+var toPerson = function(names, identifiers) {
+  var person = {
+    objectType: 'Person'
+  };
+
+  names = _.uniq(_.compact(names));
+  if (names.length) {
+    person.name = names;
+  }
+
+  _.each(_.uniqWith(identifiers, _.isEqual), function(identifier) {
+    var value = identifier.value;
+    if (identifier.type === 'account') {
+      value = {homePage: identifier.home_page, name: identifier.value};
+    }
+
+    person[identifier.type] = person[identifier.type] || [];
+    person[identifier.type].push(value);
+  });
+
+  return person;
+};
+
 
 /**
 * Get the most recent learning activity statements for the current user
@@ -107,17 +224,17 @@ var getUserStatements = module.exports.getUserStatements = function(ctx, limit,
 
   // Get the most recent activities from the DB
   var options = {
-    where: {
+    where: _.extend({
       tenant_id: ctx.user.tenant_id,
-      user_id: ctx.user.id
-    },
+      voided: false
+    }, getUserActorsCondition(ctx.user)),
     limit: limit,
     offset: offset,
     order: [ Sequelize.literal('timestamp DESC') ],
     include: [
       {
         model: DB.Credential,
-        attributes: [ 'name' ]
+        attributes: ['name', 'key']
       }
     ]
   };
@@ -128,15 +245,32 @@ var getUserStatements = module.exports.getUserStatements = function(ctx, limit,
       return callback({code: 500, msg: err.message});
     }
 
-    var data = {
-      offset: offset,
-      total: result.count,
-      results: _.map(result.rows, function(activity) {
-        return activity.toJSON();
-      })
-    };
+    // Caliper events are returned with their entity references resolved to the latest description of the entities
+    var events = _.map(_.filter(result.rows, {statement_type: CALIPER}), 'statement');
+    StatementEntities.getEntities(ctx.user.tenant_id, events, function(err, entities) {
+      if (err) {
+        return callback(err);
+      }
 
-    return callback(null, data);
+      var data = {
+        offset: offset,
+        total: result.count,
+        results: _.map(result.rows, function(activity) {
+          var statement = activity.statement;
+          if (activity.statement_type === CALIPER) {
+            statement = StatementEntities.resolveReferences(statement, entities);
+          }
+
+          // Expose which integration asserted the learning activity
+          return _.extend(activity.toJSON(), {
+            statement: statement,
+            authority: StatementUtil.getStatementAuthority(activity, activity.credential)
+          });
+        })
+      };
+
+      return callback(null, data);
+    });
   });
 };
 
@@ -156,13 +290,13 @@ var getTotalActivities = module.exports.getTotalActivities = function(ctx, callb
 
   var sqlQuery = 'SELECT EXTRACT(year FROM timestamp) AS year, EXTRACT(month FROM timestamp) AS month, count(*)::int AS total';
   sqlQuery += ' FROM statements';
-  sqlQuery += ' WHERE USER_ID = ? AND TENANT_ID = ?';
+  sqlQuery += ' WHERE (USER_ID = ? OR ACTOR_ID IN (' + USER_ACTORS_QUERY + ')) AND TENANT_ID = ? AND VOIDED = false';
   sqlQuery += ' GROUP BY year, month';
   sqlQuery += ' ORDER BY year, month ASC';
 
   var options = {
     model: DB.Statement,
-    replacements: [ctx.user.id, ctx.user.tenant_id],
+    replacements: [ctx.user.id, ctx.user.id, ctx.user.tenant_id],
     type: 'SELECT'
   };
 
@@ -227,10 +361,10 @@ var getTopActivities = module.exports.getTopActivities = function(ctx, callback)
 
   // Get the top activities from the DB
   var options = {
-    where: {
+    where: _.extend({
       tenant_id: ctx.user.tenant_id,
-      user_id: ctx.user.id
-    },
+      voided: false
+    }, getUserActorsCondition(ctx.user)),
     attributes: [['activity_type', 'activity'], [DB.getSequelize().fn('count', DB.getSequelize().col('uuid')), 'total']],
     group: [ 'activity_type' ],
     order: [ Sequelize.literal('total DESC') ]
@@ -268,7 +402,7 @@ var getDataSources = module.exports.getDataSources = function(ctx, callback) {
   var sqlQuery = 'SELECT s.total, w.name FROM (';
   sqlQuery += ' SELECT credential_id, COUNT(*)::int AS total';
   sqlQuery += ' FROM statements';
-  sqlQuery += ' WHERE USER_ID = ? AND TENANT_ID = ?';
+  sqlQuery += ' WHERE (USER_ID = ? OR ACTOR_ID IN (' + USER_ACTORS_QUERY + ')) AND TENANT_ID = ? AND VOIDED = false';
   sqlQuery += ' GROUP BY credential_id';
   sqlQuery += ' ORDER BY credential_id DESC';
   sqlQuery += ') s';
@@ -276,7 +410,7 @@ var getDataSources = module.exports.getDataSources = function(ctx, callback) {
 
   var options = {
     model: DB.Statement,
-    replacements: [ctx.user.id, ctx.user.tenant_id],
+    replacements: [ctx.user.id, ctx.user.id, ctx.user.tenant_id],
     type: 'SELECT'
   };
 
@@ -531,3 +665,25 @@ var getOrCreateUser = module.exports.getOrCreateUser = function(externalId, tena
     return callback(null, user);
   });
 };
+
+/**
+ * Get the condition that matches the learning activity statements of a user, which include the statements of the
+ * groups and teams the user is a member of
+ *
+ * @param  {User}             user                      The user to get the statements condition for
+ * @return {Object}                                     The condition that matches the statements of the user
+ * @api private
+ */
+var getUserActorsCondition = function(user) {
+  var userActorsQuery = USER_ACTORS_QUERY.replace('?', DB.getSequelize().escape(user.id));
+  return {
+    [Op.or]: [
+      {
+        user_id: user.id
+      },
+      {
+        actor_id: {[Op.in]: Sequelize.literal('(' + userActorsQuery + ')')}
+      }
+    ]
+  };
+};
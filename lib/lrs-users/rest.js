@@ -25,6 +25,7 @@
 
 var CloudLRS = require('../lrs-core');
 var log = require('../lrs-core/logger')('lrs-users');
+var Version = require('../lrs-core/version');
 var UsersAPI = require('./api');
 
 var getUserContext = function(req, callback) {
@@ -251,3 +252,21 @@ CloudLRS.apiRouter.get('/user/:userId', function(req, res) {
   });
 
 });
+
+/* !
+ * Get the xAPI Person object for the requested agent
+ */
+CloudLRS.apiRouter.get('/agents', Version.requireVersion, function(req, res) {
+  // Check if the credentials authenticated has sufficient read permissions
+  if (!req.ctx.auth.read_permission) {
+    return res.status(403).send('Incorrect read credentials');
+  }
+
+  UsersAPI.getPerson(req.ctx, req.query.agent, function(err, person) {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    return res.status(200).send(person);
+  });
+});
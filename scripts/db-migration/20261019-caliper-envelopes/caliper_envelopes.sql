@@ -0,0 +1,9 @@
+/* Adds the statements.sensor column, which records the IRI of the Caliper sensor that sent a statement in a Caliper
+ * envelope.
+ */
+
+BEGIN;
+
+ALTER TABLE statements ADD COLUMN sensor character varying(2048);
+
+COMMIT;
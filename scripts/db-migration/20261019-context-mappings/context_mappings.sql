@@ -0,0 +1,14 @@
+/* Adds the credentials.admin_permission column, which gives a client access to the administrative APIs of its tenant,
+ * and the courses.sis_id column, which identifies contexts that are defined by the SIS.
+ *
+ * NOTE: The context_mappings table is created when the Learning Record Store starts with `db.sync` enabled.
+ */
+
+BEGIN;
+
+ALTER TABLE credentials ADD COLUMN admin_permission boolean DEFAULT false NOT NULL;
+
+ALTER TABLE courses ADD COLUMN sis_id character varying(255);
+CREATE UNIQUE INDEX courses_tenant_id_context_type_sis_id ON courses (tenant_id, context_type, sis_id);
+
+COMMIT;
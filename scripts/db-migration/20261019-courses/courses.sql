@@ -0,0 +1,28 @@
+/* Links statements to the course they took place in through the statements.course_id column.
+ *
+ * Environments that were set up with the la94 migration already have a courses table. That table is brought in line
+ * with the course model: courses no longer need a Canvas course id and can be identified by the IRI that statements
+ * use to refer to them. In other environments, the courses table is created when the Learning Record Store starts
+ * with `db.sync` enabled. Run this script once the courses table exists.
+ */
+
+BEGIN;
+
+-- Changes to the courses table. Courses without a tenant should be assigned to their tenant first
+ALTER TABLE courses ALTER COLUMN canvas_course_id DROP NOT NULL;
+ALTER TABLE courses ALTER COLUMN tenant_id SET NOT NULL;
+ALTER TABLE courses
+  ADD COLUMN IF NOT EXISTS context_iri character varying(2048),
+  ADD COLUMN IF NOT EXISTS context_type character varying(255),
+  ADD COLUMN IF NOT EXISTS credential_id integer REFERENCES credentials (id) ON DELETE SET NULL ON UPDATE CASCADE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS courses_tenant_id_canvas_course_id ON courses (tenant_id, canvas_course_id);
+CREATE UNIQUE INDEX IF NOT EXISTS courses_tenant_id_context_iri ON courses (tenant_id, context_iri);
+
+-- Changes to the statements table
+ALTER TABLE statements ADD COLUMN course_id integer REFERENCES courses (id) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Per-course read paths
+CREATE INDEX statements_course_id_timestamp ON statements (course_id, timestamp);
+
+COMMIT;
@@ -0,0 +1,31 @@
+/* Adds the identity_mapping columns to the tenants and credentials tables. They hold the rules that map actors to
+ * users for a tenant or a single client. When neither is set, the `identity.mapping` configuration is used.
+ *
+ * Makes the identifiers in the agent_identifiers table unique within their tenant. The table is created by the
+ * server on startup, so it is only changed when it already exists.
+ */
+
+BEGIN;
+
+ALTER TABLE tenants ADD COLUMN identity_mapping jsonb;
+ALTER TABLE credentials ADD COLUMN identity_mapping jsonb;
+
+DO $$
+BEGIN
+  IF to_regclass('agent_identifiers') IS NOT NULL THEN
+    -- Remove the duplicates that concurrent requests may have recorded, keeping the identifier that was seen first
+    DELETE FROM agent_identifiers a USING agent_identifiers b
+      WHERE a.id > b.id
+      AND a.tenant_id = b.tenant_id
+      AND a.type = b.type
+      AND a.value = b.value
+      AND a.home_page IS NOT DISTINCT FROM b.home_page;
+
+    -- As null values are never equal in a unique index, identifiers without a home page have their own unique index
+    CREATE UNIQUE INDEX agent_identifiers_tenant_id_type_value_home_page ON agent_identifiers (tenant_id, type, value, home_page) WHERE home_page IS NOT NULL;
+    CREATE UNIQUE INDEX agent_identifiers_tenant_id_type_value ON agent_identifiers (tenant_id, type, value) WHERE home_page IS NULL;
+  END IF;
+END
+$$;
+
+COMMIT;
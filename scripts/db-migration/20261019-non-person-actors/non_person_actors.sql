@@ -0,0 +1,12 @@
+/* Adds the statements.actor_id column, which links the statements of groups, teams, organizations and software
+ * applications to their non-person actor.
+ *
+ * NOTE: The actors and actor_members tables are created when the Learning Record Store starts with `db.sync` enabled.
+ * Run this script once these tables exist.
+ */
+
+BEGIN;
+
+ALTER TABLE statements ADD COLUMN actor_id integer REFERENCES actors (id) ON DELETE CASCADE ON UPDATE CASCADE;
+
+COMMIT;
@@ -0,0 +1,8 @@
+/* Adds the credentials.api_key column, which holds the API key that Caliper sensors use for Bearer authentication.
+ */
+
+BEGIN;
+
+ALTER TABLE credentials ADD COLUMN api_key character varying(255) UNIQUE;
+
+COMMIT;
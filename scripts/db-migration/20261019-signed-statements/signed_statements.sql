@@ -0,0 +1,9 @@
+/* Adds the statements.verified column, which records whether the signature of a signed xAPI statement has been
+ * verified against a trusted certificate chain.
+ */
+
+BEGIN;
+
+ALTER TABLE statements ADD COLUMN verified boolean DEFAULT false NOT NULL;
+
+COMMIT;
@@ -0,0 +1,9 @@
+/* Adds the credentials.authority_permission column, which records whether a client is trusted to assert the authority
+ * of the statements it writes. The authority of the statements of other clients is derived from their credential.
+ */
+
+BEGIN;
+
+ALTER TABLE credentials ADD COLUMN authority_permission boolean DEFAULT false NOT NULL;
+
+COMMIT;
@@ -0,0 +1,43 @@
+/* Migrates the statements.statement column from character varying(65000) to jsonb, so large Caliper events are no
+ * longer truncated and statements can be queried and indexed on their content.
+ *
+ * NOTE: Converting the column rewrites the statements table and holds an exclusive lock on it. Stop the ingestion of
+ * statements while the migration runs.
+ */
+
+-- Statements that are not valid JSON, such as truncated events, can't be converted. List them before migrating and
+-- remove or repair them
+CREATE FUNCTION pg_temp.is_json(value text) RETURNS boolean AS $$
+BEGIN
+  PERFORM value::jsonb;
+  RETURN true;
+EXCEPTION WHEN others THEN
+  RETURN false;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+SELECT uuid, credential_id, created_at FROM statements WHERE NOT pg_temp.is_json(statement);
+
+BEGIN;
+
+-- Convert the existing rows
+ALTER TABLE statements ALTER COLUMN statement TYPE jsonb USING statement::jsonb;
+
+-- Per-user read paths
+CREATE INDEX statements_user_id_tenant_id_timestamp ON statements (user_id, tenant_id, timestamp);
+
+-- Ad-hoc containment queries on the statement
+CREATE INDEX statements_statement ON statements USING gin (statement jsonb_path_ops);
+
+-- xAPI statement query paths
+CREATE INDEX statements_actor ON statements USING gin ((statement->'actor') jsonb_path_ops);
+CREATE INDEX statements_object_id ON statements ((statement->'object'->>'id'));
+CREATE INDEX statements_context_registration ON statements ((statement->'context'->>'registration'));
+CREATE INDEX statements_context_parent ON statements USING gin ((statement->'context'->'contextActivities'->'parent') jsonb_path_ops);
+
+-- Caliper course offering query path
+CREATE INDEX statements_group_id ON statements ((statement->'group'->>'id'));
+
+COMMIT;
+
+ANALYZE statements;
@@ -0,0 +1,9 @@
+/* Allows the statements.actor_type column to be empty. The type of the actor of a Caliper event is unknown when the
+ * actor is only referenced by an IRI that hasn't been described in the entity registry.
+ */
+
+BEGIN;
+
+ALTER TABLE statements ALTER COLUMN actor_type DROP NOT NULL;
+
+COMMIT;
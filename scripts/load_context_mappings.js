@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright ©2018. The Regents of the University of California (Regents). All Rights Reserved.
+ *
+ * Permission to use, copy, modify, and distribute this software and its documentation
+ * for educational, research, and not-for-profit purposes, without fee and without a
+ * signed licensing agreement, is hereby granted, provided that the above copyright
+ * notice, this paragraph and the following two paragraphs appear in all copies,
+ * modifications, and distributions.
+ *
+ * Contact The Office of Technology Licensing, UC Berkeley, 2150 Shattuck Avenue,
+ * Suite 510, Berkeley, CA 94720-1620, (510) 643-7201, otl@berkeley.edu,
+ * http://ipira.berkeley.edu/industry-info for commercial licensing opportunities.
+ *
+ * IN NO EVENT SHALL REGENTS BE LIABLE TO ANY PARTY FOR DIRECT, INDIRECT, SPECIAL,
+ * INCIDENTAL, OR CONSEQUENTIAL DAMAGES, INCLUDING LOST PROFITS, ARISING OUT OF
+ * THE USE OF THIS SOFTWARE AND ITS DOCUMENTATION, EVEN IF REGENTS HAS BEEN ADVISED
+ * OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * REGENTS SPECIFICALLY DISCLAIMS ANY WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE. THE
+ * SOFTWARE AND ACCOMPANYING DOCUMENTATION, IF ANY, PROVIDED HEREUNDER IS PROVIDED
+ * "AS IS". REGENTS HAS NO OBLIGATION TO PROVIDE MAINTENANCE, SUPPORT, UPDATES,
+
+var _ = require('lodash');
+var config = require('config');
+var csv = require('fast-csv');
+var request = require('request');
+var util = require('util');
+var argv = require('yargs')
+  .usage('Usage: $0 --key --secret --file [--url]')
+  .demand(['k', 's', 'f'])
+  .alias('k', 'key')
+  .describe('k', 'The admin credential key to load the context mappings with')
+  .alias('s', 'secret')
+  .describe('s', 'The admin credential secret to load the context mappings with')
+  .alias('f', 'file')
+  .describe('f', 'The CSV file with the `source_type`, `source_id`, `target_type`, `target_id` and `relationship` of every mapping, and optionally the `source_name` and `target_name`')
+  .alias('u', 'url')
+  .describe('u', 'The URL of the LRS API. Defaults to the API of the local server')
+  .help('h')
+  .alias('h', 'help')
+  .argv;
+
+// Extract the command line parameters
+var key = argv.key;
+var secret = argv.secret;
+var file = argv.file;
+var url = argv.url || util.format('http://localhost:%s/api', config.get('app.port'));
+
+// Keep track of how many context mappings have been loaded
+var loaded = 0;
+var failed = 0;
+var pending = false;
+var ended = false;
+
+/**
+ * Get the context with a given prefix, i.e. `source` or `target`, from a row of the CSV file
+ */
+var getContext = function(row, prefix) {
+  var context = {
+    type: row[prefix + '_type'],
+    id: row[prefix + '_id']
+  };
+  if (row[prefix + '_name']) {
+    context.name = row[prefix + '_name'];
+  }
+
+  return context;
+};
+
+/**
+ * Report the result once every row has been read and the last context mapping has been loaded
+ */
+var finish = function() {
+  if (ended && !pending) {
+    console.log(util.format('Finished loading context mappings. %d loaded, %d failed', loaded, failed));
+  }
+};
+
+// Read the CSV file row by row and load the context mapping of every row
+var s = csv.fromPath(file, {headers: true, trim: true, ignoreEmpty: true})
+  .on('data', function(row) {
+
+    // Pause the readstream
+    s.pause();
+    pending = true;
+
+    var mapping = {
+      source: getContext(row, 'source'),
+      target: getContext(row, 'target'),
+      relationship: row.relationship
+    };
+
+    var options = {
+      url: url + '/admin/contexts/mappings',
+      auth: {
+        user: key,
+        pass: secret
+      },
+      json: mapping
+    };
+    request.post(options, function(err, response, body) {
+      if (err || response.statusCode !== 200) {
+        failed++;
+        console.log('Unable to load context mapping ' + JSON.stringify(_.pick(row, ['source_id', 'target_id'])));
+        console.log(err ? err.message : body);
+      } else {
+        loaded++;
+        if (loaded % 100 === 0) {
+          console.log('Loaded ' + loaded + ' context mappings');
+        }
+      }
+
+      pending = false;
+      s.resume();
+      finish();
+    });
+  })
+  .on('error', function(err) {
+    console.log('Error while reading the context mappings');
+    console.log(err.message);
+  })
+  .on('end', function() {
+    ended = true;
+    finish();
+  });
@@ -0,0 +1,461 @@
+/**
+* Copyright ©2018. The Regents of the University of California (Regents). All Rights Reserved.
+*
+* Permission to use, copy, modify, and distribute this software and its documentation
+* for educational, research, and not-for-profit purposes, without fee and without a
+* signed licensing agreement, is hereby granted, provided that the above copyright
+* notice, this paragraph and the following two paragraphs appear in all copies,
+* modifications, and distributions.
+*
+* Contact The Office of Technology Licensing, UC Berkeley, 2150 Shattuck Avenue,
+* Suite 510, Berkeley, CA 94720-1620, (510) 643-7201, otl@berkeley.edu,
+* http://ipira.berkeley.edu/industry-info for commercial licensing opportunities.
+*
+* IN NO EVENT SHALL REGENTS BE LIABLE TO ANY PARTY FOR DIRECT, INDIRECT, SPECIAL,
+* INCIDENTAL, OR CONSEQUENTIAL DAMAGES, INCLUDING LOST PROFITS, ARISING OUT OF
+* THE USE OF THIS SOFTWARE AND ITS DOCUMENTATION, EVEN IF REGENTS HAS BEEN ADVISED
+* OF THE POSSIBILITY OF SUCH DAMAGE.
+*
+* REGENTS SPECIFICALLY DISCLAIMS ANY WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+* IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE. THE
+* SOFTWARE AND ACCOMPANYING DOCUMENTATION, IF ANY, PROVIDED HEREUNDER IS PROVIDED
+* "AS IS". REGENTS HAS NO OBLIGATION TO PROVIDE MAINTENANCE, SUPPORT, UPDATES,
+* ENHANCEMENTS, OR MODIFICATIONS.
+*/
+
+const _ = require('lodash');
+const randomstring = require('randomstring');
+const request = require('supertest');
+const should = require('should');
+const uuid = require('uuid');
+
+var CloudLRS = require('../index.js');
+var DB = require('../lib/lrs-core/db.js');
+var shared = require('./shared');
+
+describe('Course API', function() {
+  var server;
+  var testData;
+  var apiPath;
+
+  before(function(done) {
+    shared.setupRunningServer(function(generatedData) {
+      testData = generatedData;
+      server = CloudLRS.appServer;
+      apiPath = function(api, courseId) {
+        courseId = courseId || testData.course.id;
+        return '/api/course/' + courseId + api;
+      };
+      return done();
+    });
+  });
+  after(function(done) {
+    shared.teardownRunningServer(done);
+  });
+
+  /**
+   * Store a Caliper event for a new student in the test course and get the user of the student
+   */
+  var storeCourseEvent = function(callback) {
+    var login = randomstring.generate({charset: 'numeric', length: 8});
+    var event = {
+      '@context': 'http://purl.imsglobal.org/ctx/caliper/v1p1',
+      id: 'urn:uuid:' + uuid.v4(),
+      type: 'NavigationEvent',
+      actor: {
+        id: 'http://example.com/users/' + login,
+        type: 'Person',
+        extensions: [
+          {
+            user_login: login
+          }
+        ]
+      },
+      action: 'NavigatedTo',
+      object: {
+        id: 'http://example.com/pages/' + randomstring.generate({charset: 'alphabetic', length: 10}),
+        type: 'WebPage'
+      },
+      group: {
+        id: testData.course.context_iri,
+        type: 'CourseOffering'
+      },
+      eventTime: new Date().toISOString()
+    };
+    var credential = testData.sourceCredential;
+    request(server)
+      .post('/api/statements')
+      .auth(credential.key, credential.secret)
+      .send(event)
+      .expect(200)
+      .end(function(err) {
+        if (err) return callback(err);
+        DB.User.findOne({where: {tenant_id: testData.tenant.id, external_id: login}}).then(function(user) {
+          return callback(null, user);
+        }).catch(callback);
+      });
+  };
+
+  describe('/activities', function() {
+    it('requires authentication', function(done) {
+      request(server)
+        .get(apiPath('/activities'))
+        .expect(401, 'Unauthenticated API request. Check credentials!', done);
+    });
+    it('returns the activities of the course', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get(apiPath('/activities'))
+        .query({user: testData.user.external_id})
+        .auth(credential.key, credential.secret)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.total.should.equal(1);
+          res.body.results[0].uuid.should.equal(testData.statements[0].uuid);
+          res.body.results[0].user.external_id.should.equal(testData.user.external_id);
+          res.body.results[0].authority.account.name.should.equal(testData.sourceCredential.key);
+          return done();
+        });
+    });
+    it('filters the activities by activity type', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get(apiPath('/activities'))
+        .query({activity_type: 'Graded'})
+        .auth(credential.key, credential.secret)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.total.should.equal(0);
+          return done();
+        });
+    });
+    it('does not return the activities of students that opted out', function(done) {
+      storeCourseEvent(function(err, user) {
+        if (err) return done(err);
+        DB.Opt_out.create({user_id: user.id, credential_id: testData.consumerCredential.id}).then(function() {
+          var credential = testData.consumerCredential;
+          request(server)
+            .get(apiPath('/activities'))
+            .query({user: user.external_id})
+            .auth(credential.key, credential.secret)
+            .expect(200)
+            .end(function(err, res) {
+              if (err) return done(err);
+              res.body.total.should.equal(0);
+              var sourceCredential = testData.sourceCredential;
+              request(server)
+                .get(apiPath('/activities'))
+                .query({user: user.external_id})
+                .auth(sourceCredential.key, sourceCredential.secret)
+                .expect(200)
+                .end(function(err, res) {
+                  if (err) return done(err);
+                  res.body.total.should.equal(1);
+                  return done();
+                });
+            });
+        }).catch(done);
+      });
+    });
+    it('does not return the courses of other tenants', function(done) {
+      DB.Tenant.create({name: randomstring.generate({charset: 'alphabetic', length: 6}) + ' College'}).then(function(tenant) {
+        return DB.Course.create({name: 'Other Course', tenant_id: tenant.id});
+      }).then(function(course) {
+        var credential = testData.consumerCredential;
+        request(server)
+          .get(apiPath('/activities', course.id))
+          .auth(credential.key, credential.secret)
+          .expect(404, done);
+      }).catch(done);
+    });
+    it('rejects an invalid course id', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get(apiPath('/activities', 'not-a-course'))
+        .auth(credential.key, credential.secret)
+        .expect(400, done);
+    });
+  });
+
+  describe('/totalactivities', function() {
+    it('returns the total activities per month', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get(apiPath('/totalactivities'))
+        .auth(credential.key, credential.secret)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.should.eql([ {period: 'April 2017', total: 1, current: false} ]);
+          return done();
+        });
+    });
+    it('returns the total activities per week', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get(apiPath('/totalactivities'))
+        .query({period: 'week'})
+        .auth(credential.key, credential.secret)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.should.eql([ {period: '2017-04-17', total: 1, current: false} ]);
+          return done();
+        });
+    });
+    it('rejects an unknown period', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get(apiPath('/totalactivities'))
+        .query({period: 'fortnight'})
+        .auth(credential.key, credential.secret)
+        .expect(400, done);
+    });
+  });
+
+  describe('/topactivities', function() {
+    it('returns the most frequent activities of the course', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get(apiPath('/topactivities'))
+        .auth(credential.key, credential.secret)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body[0].activity.should.equal('NavigatedTo');
+          return done();
+        });
+    });
+  });
+
+  describe('/students', function() {
+    it('returns the number of activities of every student', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get(apiPath('/students'))
+        .auth(credential.key, credential.secret)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          var student = _.find(res.body, {external_id: testData.user.external_id});
+          student.total.should.equal(1);
+          student.name.should.equal(testData.user.name);
+          should.exist(student.last_activity);
+          return done();
+        });
+    });
+  });
+
+  describe('/datasources', function() {
+    it('returns the data sources of the activities of the course', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get(apiPath('/datasources'))
+        .auth(credential.key, credential.secret)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body[0].name.should.equal(testData.sourceCredential.name);
+          return done();
+        });
+    });
+  });
+
+  describe('context mappings', function() {
+    var adminCredential;
+
+    before(function(done) {
+      var credentialKey = randomstring.generate({length: 8}) + '-admin';
+      DB.Credential.create({
+        name: credentialKey,
+        key: credentialKey,
+        secret: randomstring.generate({length: 8}),
+        admin_permission: true,
+        tenant_id: testData.tenant.id
+      }).then(function(credential) {
+        adminCredential = credential;
+        return done();
+      }).catch(done);
+    });
+
+    /**
+     * Map the test course to a new SIS section
+     */
+    var mapSection = function(callback) {
+      var mapping = {
+        source: {
+          type: 'canvas_site',
+          id: testData.course.canvas_course_id
+        },
+        target: {
+          type: 'sis_section',
+          id: randomstring.generate({charset: 'numeric', length: 5}),
+          name: 'LEC 001'
+        },
+        relationship: 'includes'
+      };
+      request(server)
+        .post('/api/admin/contexts/mappings')
+        .auth(adminCredential.key, adminCredential.secret)
+        .send(mapping)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return callback(err);
+          return callback(null, mapping, res.body);
+        });
+    };
+
+    it('requires admin permissions', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get('/api/admin/contexts/mappings')
+        .query({type: 'canvas_site', id: testData.course.canvas_course_id})
+        .auth(credential.key, credential.secret)
+        .expect(403, done);
+    });
+    it('maps the contexts of different data sources', function(done) {
+      mapSection(function(err, mapping, contextMapping) {
+        if (err) return done(err);
+        contextMapping.source_id.should.equal(testData.course.id);
+        request(server)
+          .get('/api/admin/contexts/mappings')
+          .query({type: 'sis_section', id: mapping.target.id})
+          .auth(adminCredential.key, adminCredential.secret)
+          .expect(200)
+          .end(function(err, res) {
+            if (err) return done(err);
+            res.body.should.have.lengthOf(1);
+            res.body[0].relationship.should.equal('includes');
+            res.body[0].source.id.should.equal(testData.course.id);
+            res.body[0].target.name.should.equal('LEC 001');
+            res.body[0].target.context_type.should.equal('sis_section');
+            return done();
+          });
+      });
+    });
+    it('rejects an unknown relationship', function(done) {
+      var mapping = {
+        source: {type: 'sis_class', id: '2178-COMPSCI-61A'},
+        target: {type: 'sis_section', id: '12345'},
+        relationship: 'resembles'
+      };
+      request(server)
+        .post('/api/admin/contexts/mappings')
+        .auth(adminCredential.key, adminCredential.secret)
+        .send(mapping)
+        .expect(400, done);
+    });
+    it('deletes a context mapping', function(done) {
+      mapSection(function(err, mapping, contextMapping) {
+        if (err) return done(err);
+        request(server)
+          .delete('/api/admin/contexts/mappings/' + contextMapping.id)
+          .auth(adminCredential.key, adminCredential.secret)
+          .expect(204)
+          .end(function(err) {
+            if (err) return done(err);
+            request(server)
+              .get('/api/admin/contexts/mappings')
+              .query({type: 'sis_section', id: mapping.target.id})
+              .auth(adminCredential.key, adminCredential.secret)
+              .expect(200)
+              .end(function(err, res) {
+                if (err) return done(err);
+                res.body.should.have.lengthOf(0);
+                return done();
+              });
+          });
+      });
+    });
+    it('returns the activities of related contexts across data sources', function(done) {
+      var classMapping = {
+        source: {
+          type: 'sis_class',
+          id: '2178-' + randomstring.generate({charset: 'alphabetic', length: 8})
+        },
+        target: {
+          type: 'canvas_site',
+          id: testData.course.canvas_course_id
+        },
+        relationship: 'equivalent'
+      };
+      request(server)
+        .post('/api/admin/contexts/mappings')
+        .auth(adminCredential.key, adminCredential.secret)
+        .send(classMapping)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          var classId = res.body.source_id;
+          var credential = testData.consumerCredential;
+          request(server)
+            .get(apiPath('/activities', classId))
+            .query({include_related: true})
+            .auth(credential.key, credential.secret)
+            .expect(200)
+            .end(function(err, res) {
+              if (err) return done(err);
+              res.body.total.should.equal(1);
+              res.body.results[0].uuid.should.equal(testData.statements[0].uuid);
+              request(server)
+                .get(apiPath('/activities', classId))
+                .auth(credential.key, credential.secret)
+                .expect(200)
+                .end(function(err, res) {
+                  if (err) return done(err);
+                  res.body.total.should.equal(0);
+                  return done();
+                });
+            });
+        });
+    });
+    it('does not return the activities of the contexts that include a related context', function(done) {
+      mapSection(function(err, sectionMapping, contextMapping) {
+        if (err) return done(err);
+        var classMapping = {
+          source: {
+            type: 'sis_class',
+            id: '2178-' + randomstring.generate({charset: 'alphabetic', length: 8})
+          },
+          target: sectionMapping.target,
+          relationship: 'includes'
+        };
+        request(server)
+          .post('/api/admin/contexts/mappings')
+          .auth(adminCredential.key, adminCredential.secret)
+          .send(classMapping)
+          .expect(200)
+          .end(function(err, res) {
+            if (err) return done(err);
+            var classId = res.body.source_id;
+            var credential = testData.consumerCredential;
+
+            // The Canvas course site that includes the same section is not related to the class
+            request(server)
+              .get(apiPath('/activities', classId))
+              .query({include_related: true})
+              .auth(credential.key, credential.secret)
+              .expect(200)
+              .end(function(err, res) {
+                if (err) return done(err);
+                res.body.total.should.equal(0);
+
+                // The section is not related to the Canvas course site that includes it
+                request(server)
+                  .get(apiPath('/activities', contextMapping.target_id))
+                  .query({include_related: true})
+                  .auth(credential.key, credential.secret)
+                  .expect(200)
+                  .end(function(err, res) {
+                    if (err) return done(err);
+                    res.body.total.should.equal(0);
+                    return done();
+                  });
+              });
+          });
+      });
+    });
+  });
+});
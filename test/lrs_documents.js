@@ -0,0 +1,616 @@
+/**
+* Copyright ©2018. The Regents of the University of California (Regents). All Rights Reserved.
+*
+* Permission to use, copy, modify, and distribute this software and its documentation
+* for educational, research, and not-for-profit purposes, without fee and without a
+* signed licensing agreement, is hereby granted, provided that the above copyright
+* notice, this paragraph and the following two paragraphs appear in all copies,
+* modifications, and distributions.
+*
+* Contact The Office of Technology Licensing, UC Berkeley, 2150 Shattuck Avenue,
+* Suite 510, Berkeley, CA 94720-1620, (510) 643-7201, otl@berkeley.edu,
+* http://ipira.berkeley.edu/industry-info for commercial licensing opportunities.
+*
+* IN NO EVENT SHALL REGENTS BE LIABLE TO ANY PARTY FOR DIRECT, INDIRECT, SPECIAL,
+* INCIDENTAL, OR CONSEQUENTIAL DAMAGES, INCLUDING LOST PROFITS, ARISING OUT OF
+* THE USE OF THIS SOFTWARE AND ITS DOCUMENTATION, EVEN IF REGENTS HAS BEEN ADVISED
+* OF THE POSSIBILITY OF SUCH DAMAGE.
+*
+* REGENTS SPECIFICALLY DISCLAIMS ANY WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+* IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE. THE
+* SOFTWARE AND ACCOMPANYING DOCUMENTATION, IF ANY, PROVIDED HEREUNDER IS PROVIDED
+* "AS IS". REGENTS HAS NO OBLIGATION TO PROVIDE MAINTENANCE, SUPPORT, UPDATES,
+* ENHANCEMENTS, OR MODIFICATIONS.
+*/
+
+const async = require('async');
+const crypto = require('crypto');
+const randomstring = require('randomstring');
+const request = require('supertest');
+const should = require('should');
+const uuid = require('uuid');
+
+var CloudLRS = require('../index.js');
+var shared = require('./shared');
+
+describe('Documents API', function() {
+  var server;
+  var testData;
+
+  /**
+   * Generate the parameters identifying the documents of a random activity and agent
+   */
+  var generateParameters = function() {
+    return {
+      activityId: 'http://example.com/activities/' + randomstring.generate({charset: 'alphabetic', length: 10}),
+      agent: JSON.stringify({
+        objectType: 'Agent',
+        mbox: 'mailto:' + randomstring.generate({charset: 'alphabetic', length: 10}) + '@example.com'
+      }),
+      registration: uuid.v4()
+    };
+  };
+
+  before(function(done) {
+    shared.setupRunningServer(function(generatedData) {
+      testData = generatedData;
+      server = CloudLRS.appServer;
+      return done();
+    });
+  });
+  after(function(done) {
+    shared.teardownRunningServer(done);
+  });
+
+  describe('/activities/state', function() {
+    var params;
+
+    beforeEach(function() {
+      params = generateParameters();
+      params.stateId = 'bookmark';
+    });
+
+    it('stores and retrieves a state document', function(done) {
+      var credential = testData.sourceCredential;
+      async.waterfall([
+        function(callback) {
+          request(server)
+            .put('/api/activities/state')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .set('Content-Type', 'text/plain')
+            .send('page-12')
+            .expect(204, callback);
+        },
+        function(res, callback) {
+          request(server)
+            .get('/api/activities/state')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .expect('Content-Type', /text\/plain/)
+            .expect(200, callback);
+        }
+      ], function(err, res) {
+        should.not.exist(err);
+        res.text.should.equal('page-12');
+        should.exist(res.headers.etag);
+        return done();
+      });
+    });
+
+    it('merges JSON state documents on POST', function(done) {
+      var credential = testData.sourceCredential;
+      async.waterfall([
+        function(callback) {
+          request(server)
+            .post('/api/activities/state')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .send({location: 12, score: 10})
+            .expect(204, callback);
+        },
+        function(res, callback) {
+          request(server)
+            .post('/api/activities/state')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .send({location: 13})
+            .expect(204, callback);
+        },
+        function(res, callback) {
+          request(server)
+            .get('/api/activities/state')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .expect(200, callback);
+        }
+      ], function(err, res) {
+        should.not.exist(err);
+        res.body.should.eql({location: 13, score: 10});
+        return done();
+      });
+    });
+
+    it('stores a single state document when it is saved concurrently', function(done) {
+      var credential = testData.sourceCredential;
+      delete params.registration;
+      async.times(5, function(n, callback) {
+        request(server)
+          .post('/api/activities/state')
+          .set('X-Experience-API-Version', '1.0.3')
+          .query(params)
+          .auth(credential.key, credential.secret)
+          .send({location: n})
+          .end(function(err, res) {
+            if (err) return callback(err);
+            [204, 409].should.containEql(res.status);
+            return callback();
+          });
+      }, function(err) {
+        should.not.exist(err);
+        request(server)
+          .get('/api/activities/state')
+          .set('X-Experience-API-Version', '1.0.3')
+          .query({activityId: params.activityId, agent: params.agent})
+          .auth(credential.key, credential.secret)
+          .expect(200)
+          .end(function(err, res) {
+            should.not.exist(err);
+            res.body.should.eql([ 'bookmark' ]);
+            return done();
+          });
+      });
+    });
+
+    it('rejects merging into a document that is not JSON', function(done) {
+      var credential = testData.sourceCredential;
+      request(server)
+        .put('/api/activities/state')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query(params)
+        .auth(credential.key, credential.secret)
+        .set('Content-Type', 'text/plain')
+        .send('page-12')
+        .expect(204)
+        .end(function(err) {
+          if (err) return done(err);
+          request(server)
+            .post('/api/activities/state')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .send({location: 13})
+            .expect(400, done);
+        });
+    });
+
+    it('honours the If-Match and If-None-Match preconditions', function(done) {
+      var credential = testData.sourceCredential;
+      var etag;
+      async.waterfall([
+        function(callback) {
+          request(server)
+            .put('/api/activities/state')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .send({location: 12})
+            .expect(204, callback);
+        },
+        function(res, callback) {
+          etag = res.headers.etag;
+          request(server)
+            .put('/api/activities/state')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .set('If-None-Match', '*')
+            .send({location: 13})
+            .expect(412, callback);
+        },
+        function(res, callback) {
+          request(server)
+            .put('/api/activities/state')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .set('If-Match', '"outdated"')
+            .send({location: 13})
+            .expect(412, callback);
+        },
+        function(res, callback) {
+          request(server)
+            .put('/api/activities/state')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .set('If-Match', etag)
+            .send({location: 13})
+            .expect(204, callback);
+        }
+      ], function(err) {
+        should.not.exist(err);
+        return done();
+      });
+    });
+
+    it('lists the state ids stored since a timestamp', function(done) {
+      var credential = testData.sourceCredential;
+      var listParams = {activityId: params.activityId, agent: params.agent, registration: params.registration};
+      var since;
+      async.waterfall([
+        function(callback) {
+          request(server)
+            .put('/api/activities/state')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .send({location: 12})
+            .expect(204, callback);
+        },
+        function(res, callback) {
+          since = new Date().toISOString();
+          params.stateId = 'suspend_data';
+          request(server)
+            .put('/api/activities/state')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .send({progress: 0.5})
+            .expect(204, callback);
+        },
+        function(res, callback) {
+          request(server)
+            .get('/api/activities/state')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(listParams)
+            .auth(credential.key, credential.secret)
+            .expect(200, callback);
+        },
+        function(res, callback) {
+          res.body.should.eql(['bookmark', 'suspend_data']);
+          request(server)
+            .get('/api/activities/state')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(Object.assign({since: since}, listParams))
+            .auth(credential.key, credential.secret)
+            .expect(200, callback);
+        }
+      ], function(err, res) {
+        should.not.exist(err);
+        res.body.should.eql([ 'suspend_data' ]);
+        return done();
+      });
+    });
+
+    it('deletes state documents', function(done) {
+      var credential = testData.sourceCredential;
+      async.waterfall([
+        function(callback) {
+          request(server)
+            .put('/api/activities/state')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .send({location: 12})
+            .expect(204, callback);
+        },
+        function(res, callback) {
+          request(server)
+            .delete('/api/activities/state')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .expect(204, callback);
+        },
+        function(res, callback) {
+          request(server)
+            .get('/api/activities/state')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .expect(404, callback);
+        }
+      ], function(err) {
+        should.not.exist(err);
+        return done();
+      });
+    });
+
+    it('requires write permissions to store a state document', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .put('/api/activities/state')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query(params)
+        .auth(credential.key, credential.secret)
+        .send({location: 12})
+        .expect(403, done);
+    });
+
+    it('rejects a state document sent as form data', function(done) {
+      var credential = testData.sourceCredential;
+      request(server)
+        .put('/api/activities/state')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query(params)
+        .auth(credential.key, credential.secret)
+        .type('form')
+        .send({location: 12})
+        .expect(400)
+        .end(function(err) {
+          if (err) return done(err);
+          request(server)
+            .get('/api/activities/state')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .expect(404, done);
+        });
+    });
+
+    it('rejects an agent that is not valid JSON', function(done) {
+      var credential = testData.sourceCredential;
+      params.agent = 'not-json';
+      request(server)
+        .get('/api/activities/state')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query(params)
+        .auth(credential.key, credential.secret)
+        .expect(400, done);
+    });
+
+    it('rejects an agent without an inverse functional identifier', function(done) {
+      var credential = testData.sourceCredential;
+      params.agent = JSON.stringify({objectType: 'Agent', name: 'Test Agent'});
+      request(server)
+        .get('/api/activities/state')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query(params)
+        .auth(credential.key, credential.secret)
+        .expect(400, done);
+    });
+
+    it('stores state documents for an agent that can not be mapped to a user', function(done) {
+      var credential = testData.sourceCredential;
+      params.agent = JSON.stringify({
+        objectType: 'Agent',
+        mbox_sha1sum: crypto.createHash('sha1').update('mailto:' + uuid.v4() + '@example.com').digest('hex')
+      });
+      request(server)
+        .put('/api/activities/state')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query(params)
+        .auth(credential.key, credential.secret)
+        .set('Content-Type', 'application/json')
+        .send({location: 12})
+        .expect(204)
+        .end(function(err) {
+          if (err) return done(err);
+          request(server)
+            .get('/api/activities/state')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .expect(200)
+            .end(function(err, res) {
+              if (err) return done(err);
+              res.body.should.eql({location: 12});
+              return done();
+            });
+        });
+    });
+  });
+
+  describe('/activities/profile', function() {
+    var params;
+
+    beforeEach(function() {
+      params = {
+        activityId: generateParameters().activityId,
+        profileId: 'settings'
+      };
+    });
+
+    it('stores and retrieves an activity profile', function(done) {
+      var credential = testData.sourceCredential;
+      async.waterfall([
+        function(callback) {
+          request(server)
+            .put('/api/activities/profile')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .send({difficulty: 'hard'})
+            .expect(204, callback);
+        },
+        function(res, callback) {
+          request(server)
+            .get('/api/activities/profile')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .expect(200, callback);
+        },
+        function(res, callback) {
+          res.body.should.eql({difficulty: 'hard'});
+          request(server)
+            .get('/api/activities/profile')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query({activityId: params.activityId})
+            .auth(credential.key, credential.secret)
+            .expect(200, callback);
+        }
+      ], function(err, res) {
+        should.not.exist(err);
+        res.body.should.eql([ 'settings' ]);
+        return done();
+      });
+    });
+
+    it('requires a precondition to replace an activity profile', function(done) {
+      var credential = testData.sourceCredential;
+      async.waterfall([
+        function(callback) {
+          request(server)
+            .put('/api/activities/profile')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .send({difficulty: 'hard'})
+            .expect(204, callback);
+        },
+        function(res, callback) {
+          request(server)
+            .put('/api/activities/profile')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .send({difficulty: 'easy'})
+            .expect(409, callback);
+        },
+        function(res, callback) {
+          request(server)
+            .post('/api/activities/profile')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .send({timer: true})
+            .expect(204, callback);
+        },
+        function(res, callback) {
+          request(server)
+            .get('/api/activities/profile')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .expect(200, callback);
+        }
+      ], function(err, res) {
+        should.not.exist(err);
+        res.body.should.eql({difficulty: 'hard', timer: true});
+        return done();
+      });
+    });
+
+    it('requires a profile id to delete an activity profile', function(done) {
+      var credential = testData.sourceCredential;
+      request(server)
+        .delete('/api/activities/profile')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query({activityId: params.activityId})
+        .auth(credential.key, credential.secret)
+        .expect(400, done);
+    });
+
+    it('stores a single activity profile when it is created concurrently', function(done) {
+      var credential = testData.sourceCredential;
+      async.times(5, function(n, callback) {
+        request(server)
+          .put('/api/activities/profile')
+          .set('X-Experience-API-Version', '1.0.3')
+          .query(params)
+          .auth(credential.key, credential.secret)
+          .set('If-None-Match', '*')
+          .send({difficulty: n})
+          .end(function(err, res) {
+            if (err) return callback(err);
+            [204, 409, 412].should.containEql(res.status);
+            return callback(null, res.status);
+          });
+      }, function(err, statuses) {
+        should.not.exist(err);
+        statuses.filter(function(status) {
+          return status === 204;
+        }).should.have.lengthOf(1);
+        return done();
+      });
+    });
+  });
+
+  describe('/agents/profile', function() {
+    var params;
+
+    beforeEach(function() {
+      params = {
+        agent: generateParameters().agent,
+        profileId: 'preferences'
+      };
+    });
+
+    it('stores an agent profile for an agent', function(done) {
+      var credential = testData.sourceCredential;
+      async.waterfall([
+        function(callback) {
+          request(server)
+            .put('/api/agents/profile')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .set('Content-Type', 'text/plain')
+            .send('dark-mode')
+            .expect(204, callback);
+        },
+        function(res, callback) {
+          request(server)
+            .get('/api/agents/profile')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .expect(200, callback);
+        }
+      ], function(err, res) {
+        should.not.exist(err);
+        res.text.should.equal('dark-mode');
+        return done();
+      });
+    });
+
+    it('stores an agent profile for an agent that can not be mapped to a user', function(done) {
+      var credential = testData.sourceCredential;
+      params.agent = JSON.stringify({
+        objectType: 'Agent',
+        openid: 'http://openid.example.com/' + randomstring.generate({charset: 'alphabetic', length: 10})
+      });
+      async.waterfall([
+        function(callback) {
+          request(server)
+            .put('/api/agents/profile')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .set('Content-Type', 'text/plain')
+            .send('dark-mode')
+            .expect(204, callback);
+        },
+        function(res, callback) {
+          request(server)
+            .get('/api/agents/profile')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query(params)
+            .auth(credential.key, credential.secret)
+            .expect(200, callback);
+        }
+      ], function(err, res) {
+        should.not.exist(err);
+        res.text.should.equal('dark-mode');
+        return done();
+      });
+    });
+
+    it('returns 404 for an agent profile of an unknown agent', function(done) {
+      var credential = testData.sourceCredential;
+      request(server)
+        .get('/api/agents/profile')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query(params)
+        .auth(credential.key, credential.secret)
+        .expect(404, done);
+    });
+  });
+});
@@ -0,0 +1,2260 @@
+/**
+* Copyright ©2018. The Regents of the University of California (Regents). All Rights Reserved.
+*
+* Permission to use, copy, modify, and distribute this software and its documentation
+* for educational, research, and not-for-profit purposes, without fee and without a
+* signed licensing agreement, is hereby granted, provided that the above copyright
+* notice, this paragraph and the following two paragraphs appear in all copies,
+* modifications, and distributions.
+*
+* Contact The Office of Technology Licensing, UC Berkeley, 2150 Shattuck Avenue,
+* Suite 510, Berkeley, CA 94720-1620, (510) 643-7201, otl@berkeley.edu,
+* http://ipira.berkeley.edu/industry-info for commercial licensing opportunities.
+*
+* IN NO EVENT SHALL REGENTS BE LIABLE TO ANY PARTY FOR DIRECT, INDIRECT, SPECIAL,
+* INCIDENTAL, OR CONSEQUENTIAL DAMAGES, INCLUDING LOST PROFITS, ARISING OUT OF
+* THE USE OF THIS SOFTWARE AND ITS DOCUMENTATION, EVEN IF REGENTS HAS BEEN ADVISED
+* OF THE POSSIBILITY OF SUCH DAMAGE.
+*
+* REGENTS SPECIFICALLY DISCLAIMS ANY WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+* IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE. THE
+* SOFTWARE AND ACCOMPANYING DOCUMENTATION, IF ANY, PROVIDED HEREUNDER IS PROVIDED
+* "AS IS". REGENTS HAS NO OBLIGATION TO PROVIDE MAINTENANCE, SUPPORT, UPDATES,
+* ENHANCEMENTS, OR MODIFICATIONS.
+*/
+
+const _ = require('lodash');
+const async = require('async');
+const config = require('config');
+const crypto = require('crypto');
+const forge = require('node-forge');
+const randomstring = require('randomstring');
+const request = require('supertest');
+const should = require('should');
+const uuid = require('uuid');
+
+var CloudLRS = require('../index.js');
+var DB = require('../lib/lrs-core/db.js');
+var shared = require('./shared');
+
+describe('Statements API', function() {
+  var server;
+  var testData;
+
+  /**
+   * Generate a valid xAPI statement for a random actor
+   */
+  var generateStatement = function(overrides) {
+    return _.extend({
+      id: uuid.v4(),
+      actor: {
+        objectType: 'Agent',
+        name: 'Test Agent',
+        mbox: 'mailto:' + randomstring.generate({charset: 'alphabetic', length: 10}) + '@example.com'
+      },
+      verb: {
+        id: 'http://adlnet.gov/expapi/verbs/experienced',
+        display: {'en-US': 'experienced'}
+      },
+      object: {
+        objectType: 'Activity',
+        id: 'http://example.com/activities/' + randomstring.generate({charset: 'alphabetic', length: 10}),
+        definition: {
+          type: 'http://adlnet.gov/expapi/activities/media'
+        }
+      },
+      timestamp: new Date().toISOString()
+    }, overrides);
+  };
+
+  /**
+   * Generate a valid Caliper event for a random actor. The Caliper context is left to the caller
+   */
+  var generateEvent = function(overrides) {
+    var login = randomstring.generate({charset: 'numeric', length: 8});
+    return _.extend({
+      id: 'urn:uuid:' + uuid.v4(),
+      type: 'NavigationEvent',
+      actor: {
+        id: 'http://example.com/users/' + login,
+        type: 'Person',
+        extensions: [
+          {
+            user_login: login
+          }
+        ]
+      },
+      action: 'NavigatedTo',
+      object: {
+        id: 'http://example.com/pages/' + randomstring.generate({charset: 'alphabetic', length: 10}),
+        type: 'WebPage'
+      },
+      eventTime: new Date().toISOString()
+    }, overrides);
+  };
+
+  /**
+   * Generate a Caliper envelope around a set of Caliper events and entities
+   */
+  var generateEnvelope = function(data) {
+    return {
+      sensor: 'http://example.com/sensors/' + randomstring.generate({charset: 'alphabetic', length: 10}),
+      sendTime: new Date().toISOString(),
+      dataVersion: 'http://purl.imsglobal.org/ctx/caliper/v1p1',
+      data: data
+    };
+  };
+
+  before(function(done) {
+    shared.setupRunningServer(function(generatedData) {
+      testData = generatedData;
+      server = CloudLRS.appServer;
+      return done();
+    });
+  });
+  after(function(done) {
+    shared.teardownRunningServer(done);
+  });
+
+  describe('GET /statements', function() {
+    var statement;
+
+    before(function(done) {
+      statement = generateStatement();
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send(statement)
+        .end(done);
+    });
+
+    it('requires authentication', function(done) {
+      request(server)
+        .get('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .expect(401, done);
+    });
+    it('returns a StatementResult for the same tenant', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          should.exist(res.headers['x-experience-api-consistent-through']);
+          res.body.more.should.equal('');
+          res.body.statements.should.have.lengthOf(1);
+          res.body.statements[0].id.should.equal(statement.id);
+          should.exist(res.body.statements[0].stored);
+          return done();
+        });
+    });
+    it('filters by agent', function(done) {
+      var credential = testData.consumerCredential;
+      async.series([
+        function(callback) {
+          request(server)
+            .get('/api/statements')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query({agent: JSON.stringify({mbox: statement.actor.mbox})})
+            .auth(credential.key, credential.secret)
+            .expect(200)
+            .end(function(err, res) {
+              if (err) return callback(err);
+              res.body.statements.should.have.lengthOf(1);
+              return callback();
+            });
+        },
+        function(callback) {
+          request(server)
+            .get('/api/statements')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query({agent: JSON.stringify({mbox: 'mailto:nobody@example.com'})})
+            .auth(credential.key, credential.secret)
+            .expect(200)
+            .end(function(err, res) {
+              if (err) return callback(err);
+              res.body.statements.should.have.lengthOf(0);
+              return callback();
+            });
+        }
+      ], done);
+    });
+    it('filters by verb and activity', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query({verb: statement.verb.id, activity: statement.object.id})
+        .auth(credential.key, credential.secret)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.statements.should.have.lengthOf(1);
+          return done();
+        });
+    });
+    it('rejects an agent without an identifier', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query({agent: JSON.stringify({name: 'No Identifier'})})
+        .auth(credential.key, credential.secret)
+        .expect(400, done);
+    });
+    it('provides a continuation URL when more statements are available', function(done) {
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send(generateStatement())
+        .end(function(err) {
+          if (err) return done(err);
+          request(server)
+            .get('/api/statements')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query({limit: 1})
+            .auth(credential.key, credential.secret)
+            .expect(200)
+            .end(function(err, res) {
+              if (err) return done(err);
+              res.body.statements.should.have.lengthOf(1);
+              res.body.more.should.startWith('/api/statements?');
+              request(server)
+                .get(res.body.more)
+                .set('X-Experience-API-Version', '1.0.3')
+                .auth(credential.key, credential.secret)
+                .expect(200)
+                .end(function(err, res) {
+                  if (err) return done(err);
+                  res.body.statements.should.have.lengthOf(1);
+                  res.body.more.should.equal('');
+                  return done();
+                });
+            });
+        });
+    });
+    it('misses access with a different tenant', function(done) {
+      shared.seedDataSet(DB, function(otherTenantData) {
+        var credential = otherTenantData.consumerCredential;
+        request(server)
+          .get('/api/statements')
+          .set('X-Experience-API-Version', '1.0.3')
+          .auth(credential.key, credential.secret)
+          .expect(200)
+          .end(function(err, res) {
+            if (err) return done(err);
+            res.body.statements.should.have.lengthOf(0);
+            return done();
+          });
+      });
+    });
+  });
+
+  describe('GET /statements by id', function() {
+    var statement;
+
+    before(function(done) {
+      statement = generateStatement();
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send(statement)
+        .end(done);
+    });
+
+    it('returns the stored statement including stored and authority', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query({statementId: statement.id})
+        .auth(credential.key, credential.secret)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.id.should.equal(statement.id);
+          res.body.actor.mbox.should.equal(statement.actor.mbox);
+          should.exist(res.body.stored);
+          should.exist(res.body.authority);
+          return done();
+        });
+    });
+    it('returns 404 when the statement is requested as a voided statement', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query({voidedStatementId: statement.id})
+        .auth(credential.key, credential.secret)
+        .expect(404, done);
+    });
+    it('returns 404 for an unknown statement', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query({statementId: uuid.v4()})
+        .auth(credential.key, credential.secret)
+        .expect(404, done);
+    });
+    it('returns 404 for a statement from a different tenant', function(done) {
+      shared.seedDataSet(DB, function(otherTenantData) {
+        var credential = otherTenantData.consumerCredential;
+        request(server)
+          .get('/api/statements')
+          .set('X-Experience-API-Version', '1.0.3')
+          .query({statementId: statement.id})
+          .auth(credential.key, credential.secret)
+          .expect(404, done);
+      });
+    });
+    it('rejects combining statementId with other filters', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query({statementId: statement.id, verb: statement.verb.id})
+        .auth(credential.key, credential.secret)
+        .expect(400, done);
+    });
+  });
+
+  describe('translate', function() {
+    it('translates Caliper events into xAPI statements', function(done) {
+      var caliperStatement = testData.statements[0];
+      var credential = testData.consumerCredential;
+      request(server)
+        .get('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query({statementId: caliperStatement.uuid, translate: 'xapi'})
+        .auth(credential.key, credential.secret)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.id.should.equal(caliperStatement.uuid);
+          res.body.verb.id.should.equal('http://adlnet.gov/expapi/verbs/experienced');
+          res.body.actor.account.name.should.equal(caliperStatement.statement.actor.id);
+          res.body.object.id.should.equal(caliperStatement.statement.object.id);
+          res.body.context.contextActivities.grouping[0].id.should.equal(caliperStatement.statement.group.id);
+          should.exist(res.body.authority);
+          return done();
+        });
+    });
+    it('includes translated Caliper events when querying statements translated into xAPI', function(done) {
+      var caliperStatement = testData.statements[0];
+      var credential = testData.consumerCredential;
+      request(server)
+        .get('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query({activity: caliperStatement.statement.object.id, translate: 'xapi'})
+        .auth(credential.key, credential.secret)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          _.map(res.body.statements, 'id').should.containEql(caliperStatement.uuid);
+          request(server)
+            .get('/api/statements')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query({activity: caliperStatement.statement.object.id})
+            .auth(credential.key, credential.secret)
+            .expect(200)
+            .end(function(err, res) {
+              if (err) return done(err);
+              _.map(res.body.statements, 'id').should.not.containEql(caliperStatement.uuid);
+              return done();
+            });
+        });
+    });
+    it('translates xAPI statements into Caliper events', function(done) {
+      var statement = generateStatement({verb: {id: 'http://id.tincanapi.com/verb/viewed', display: {'en-US': 'viewed'}}});
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send(statement)
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+          request(server)
+            .get('/api/statements')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query({statementId: statement.id, translate: 'caliper'})
+            .auth(credential.key, credential.secret)
+            .expect(200)
+            .end(function(err, res) {
+              if (err) return done(err);
+              res.body.id.should.equal('urn:uuid:' + statement.id);
+              res.body.action.should.equal('Viewed');
+              res.body.actor.should.eql({id: statement.actor.mbox, type: 'Person', name: 'Test Agent'});
+              res.body.object.should.eql({id: statement.object.id, type: 'MediaObject'});
+              res.body.eventTime.should.equal(statement.timestamp);
+              return done();
+            });
+        });
+    });
+    it('preserves the original statement by default', function(done) {
+      var caliperStatement = testData.statements[0];
+      var credential = testData.consumerCredential;
+      request(server)
+        .get('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query({statementId: caliperStatement.uuid})
+        .auth(credential.key, credential.secret)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.should.eql(caliperStatement.statement);
+          return done();
+        });
+    });
+    it('summarizes xAPI statements with the Caliper action of their verb', function(done) {
+      var statement = generateStatement();
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send(statement)
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+          DB.Statement.findByPk(statement.id).then(function(storedStatement) {
+            storedStatement.activity_type.should.equal('NavigatedTo');
+            return done();
+          }).catch(done);
+        });
+    });
+    it('matches translated Caliper events on the properties their translation is derived from', function(done) {
+      var caliperStatement = testData.statements[0];
+      var credential = testData.consumerCredential;
+      var agent = {
+        account: {
+          homePage: 'http://caliper.canvaslms.com',
+          name: caliperStatement.statement.actor.id
+        }
+      };
+      request(server)
+        .get('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query({agent: JSON.stringify(agent), verb: 'http://adlnet.gov/expapi/verbs/experienced', translate: 'xapi'})
+        .auth(credential.key, credential.secret)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          _.map(res.body.statements, 'id').should.containEql(caliperStatement.uuid);
+          request(server)
+            .get('/api/statements')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query({verb: caliperStatement.verb, translate: 'xapi'})
+            .auth(credential.key, credential.secret)
+            .expect(200)
+            .end(function(err, res) {
+              if (err) return done(err);
+              _.map(res.body.statements, 'id').should.not.containEql(caliperStatement.uuid);
+              return done();
+            });
+        });
+    });
+    it('rejects an unknown translation', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query({translate: 'csv'})
+        .auth(credential.key, credential.secret)
+        .expect(400, done);
+    });
+    it('rejects combining a translation into Caliper with the ids or canonical format', function(done) {
+      var credential = testData.consumerCredential;
+      async.eachSeries(['ids', 'canonical'], function(format, callback) {
+        request(server)
+          .get('/api/statements')
+          .set('X-Experience-API-Version', '1.0.3')
+          .query({format: format, translate: 'caliper'})
+          .auth(credential.key, credential.secret)
+          .expect(400, callback);
+      }, done);
+    });
+  });
+
+  describe('format', function() {
+    it('rejects an unknown format', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query({format: 'csv'})
+        .auth(credential.key, credential.secret)
+        .expect(400, done);
+    });
+    it('returns the original statement in the exact format', function(done) {
+      var caliperStatement = testData.statements[0];
+      var credential = testData.consumerCredential;
+      request(server)
+        .get('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query({statementId: caliperStatement.uuid, format: 'exact'})
+        .auth(credential.key, credential.secret)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.should.eql(caliperStatement.statement);
+          return done();
+        });
+    });
+    it('only returns the identifiers of agents, activities and verbs in the ids format', function(done) {
+      var statement = generateStatement();
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send(statement)
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+          request(server)
+            .get('/api/statements')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query({statementId: statement.id, format: 'ids'})
+            .auth(credential.key, credential.secret)
+            .expect(200)
+            .end(function(err, res) {
+              if (err) return done(err);
+              res.body.actor.should.eql({objectType: 'Agent', mbox: statement.actor.mbox});
+              res.body.verb.should.eql({id: statement.verb.id});
+              res.body.object.should.eql({objectType: 'Activity', id: statement.object.id});
+              return done();
+            });
+        });
+    });
+    it('returns the canonical definitions of activities in the canonical format', function(done) {
+      var statement = generateStatement();
+      statement.object.definition.name = {'en-US': 'Lecture'};
+      var laterStatement = generateStatement({
+        object: _.extend({}, statement.object, {
+          definition: {
+            type: 'http://adlnet.gov/expapi/activities/media',
+            name: {'fr-FR': 'Cours'}
+          }
+        })
+      });
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send([statement, laterStatement])
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+          request(server)
+            .get('/api/statements')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query({statementId: statement.id, format: 'canonical'})
+            .auth(credential.key, credential.secret)
+            .expect(200)
+            .end(function(err, res) {
+              if (err) return done(err);
+              res.body.object.definition.name.should.eql({'en-US': 'Lecture', 'fr-FR': 'Cours'});
+              return done();
+            });
+        });
+    });
+  });
+
+  describe('voiding', function() {
+    var statement;
+    var voidingStatement;
+
+    before(function(done) {
+      statement = generateStatement();
+      voidingStatement = generateStatement({
+        verb: {
+          id: 'http://adlnet.gov/expapi/verbs/voided',
+          display: {'en-US': 'voided'}
+        },
+        object: {
+          objectType: 'StatementRef',
+          id: statement.id
+        }
+      });
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send(statement)
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+          request(server)
+            .post('/api/statements')
+            .set('X-Experience-API-Version', '1.0.3')
+            .auth(credential.key, credential.secret)
+            .send(voidingStatement)
+            .expect(200, done);
+        });
+    });
+
+    it('only returns the voided statement as a voided statement', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query({statementId: statement.id})
+        .auth(credential.key, credential.secret)
+        .expect(404)
+        .end(function(err) {
+          if (err) return done(err);
+          request(server)
+            .get('/api/statements')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query({voidedStatementId: statement.id})
+            .auth(credential.key, credential.secret)
+            .expect(200)
+            .end(function(err, res) {
+              if (err) return done(err);
+              res.body.id.should.equal(statement.id);
+              return done();
+            });
+        });
+    });
+    it('excludes the voided statement from statement queries', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query({agent: JSON.stringify({mbox: statement.actor.mbox})})
+        .auth(credential.key, credential.secret)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          _.map(res.body.statements, 'id').should.not.containEql(statement.id);
+          return done();
+        });
+    });
+    it('rejects voiding a voiding statement', function(done) {
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send(generateStatement({
+          verb: voidingStatement.verb,
+          object: {
+            objectType: 'StatementRef',
+            id: voidingStatement.id
+          }
+        }))
+        .expect(400, done);
+    });
+  });
+
+  describe('POST /statements', function() {
+    it('stores a batch of statements and returns their ids', function(done) {
+      var statements = [generateStatement(), generateStatement(), generateStatement()];
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send(statements)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.should.eql(_.map(statements, 'id'));
+          return done();
+        });
+    });
+    it('generates ids for statements without an id', function(done) {
+      var statement = _.omit(generateStatement(), 'id');
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send([ statement ])
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.should.have.lengthOf(1);
+          res.body[0].should.match(/^[0-9a-f-]{36}$/);
+          return done();
+        });
+    });
+    it('stores none of the statements when one of them is invalid', function(done) {
+      var statement = generateStatement();
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send([statement, {actor: statement.actor}])
+        .expect(400)
+        .end(function(err) {
+          if (err) return done(err);
+          request(server)
+            .get('/api/statements')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query({statementId: statement.id})
+            .auth(credential.key, credential.secret)
+            .expect(404, done);
+        });
+    });
+    it('rolls back the batch when a statement fails to store', function(done) {
+      var statement = generateStatement();
+      var invalidStatement = generateStatement({verb: {id: 'not a verb IRI'}});
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send([statement, invalidStatement])
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.status.should.not.equal(200);
+          request(server)
+            .get('/api/statements')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query({statementId: statement.id})
+            .auth(credential.key, credential.secret)
+            .expect(404, done);
+        });
+    });
+    it('accepts an equivalent statement that has already been stored', function(done) {
+      var statement = generateStatement();
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send(statement)
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+          request(server)
+            .post('/api/statements')
+            .set('X-Experience-API-Version', '1.0.3')
+            .auth(credential.key, credential.secret)
+            .send(_.extend({}, statement, {stored: new Date().toISOString()}))
+            .expect(200)
+            .end(function(err, res) {
+              if (err) return done(err);
+              res.body.should.eql([ statement.id ]);
+              return done();
+            });
+        });
+    });
+    it('rejects a different statement with an existing id', function(done) {
+      var statement = generateStatement();
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send(statement)
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+          request(server)
+            .post('/api/statements')
+            .set('X-Experience-API-Version', '1.0.3')
+            .auth(credential.key, credential.secret)
+            .send(generateStatement({id: statement.id}))
+            .expect(409, done);
+        });
+    });
+    it('requires write permissions', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send(generateStatement())
+        .expect(403, done);
+    });
+  });
+
+  describe('PUT /statements', function() {
+    it('stores a statement under the provided statementId', function(done) {
+      var statement = _.omit(generateStatement(), 'id');
+      var statementId = uuid.v4();
+      var credential = testData.sourceCredential;
+      request(server)
+        .put('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query({statementId: statementId})
+        .auth(credential.key, credential.secret)
+        .send(statement)
+        .expect(204)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.text.should.equal('');
+          request(server)
+            .get('/api/statements')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query({statementId: statementId})
+            .auth(credential.key, credential.secret)
+            .expect(200, done);
+        });
+    });
+    it('requires the statementId parameter', function(done) {
+      var credential = testData.sourceCredential;
+      request(server)
+        .put('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send(generateStatement())
+        .expect(400, done);
+    });
+    it('rejects a statement with a different id', function(done) {
+      var credential = testData.sourceCredential;
+      request(server)
+        .put('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query({statementId: uuid.v4()})
+        .auth(credential.key, credential.secret)
+        .send(generateStatement())
+        .expect(400, done);
+    });
+    it('applies the same conflict rules as POST', function(done) {
+      var statement = generateStatement();
+      var credential = testData.sourceCredential;
+      async.series([
+        function(callback) {
+          request(server)
+            .put('/api/statements')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query({statementId: statement.id})
+            .auth(credential.key, credential.secret)
+            .send(statement)
+            .expect(204, callback);
+        },
+        function(callback) {
+          request(server)
+            .put('/api/statements')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query({statementId: statement.id})
+            .auth(credential.key, credential.secret)
+            .send(statement)
+            .expect(204, callback);
+        },
+        function(callback) {
+          request(server)
+            .put('/api/statements')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query({statementId: statement.id})
+            .auth(credential.key, credential.secret)
+            .send(generateStatement({id: statement.id}))
+            .expect(409, callback);
+        }
+      ], done);
+    });
+  });
+
+  describe('attachments', function() {
+    var content = 'An essay about learning record stores';
+    var sha2 = crypto.createHash('sha256').update(content).digest('hex');
+    var boundary = 'abcABC0123456789';
+
+    /**
+     * Generate a statement that declares the test attachment
+     */
+    var generateAttachmentStatement = function(overrides) {
+      return generateStatement({
+        attachments: [
+          _.extend({
+            usageType: 'http://example.com/attachment-usage/essay',
+            display: {'en-US': 'Essay'},
+            contentType: 'text/plain',
+            length: Buffer.byteLength(content),
+            sha2: sha2
+          }, overrides)
+        ]
+      });
+    };
+
+    /**
+     * Create a multipart/mixed body containing the statements and the test attachment
+     */
+    var createBody = function(statements, attachmentContent) {
+      return '--' + boundary + '\r\n' +
+        'Content-Type: application/json\r\n\r\n' +
+        JSON.stringify(statements) + '\r\n' +
+        '--' + boundary + '\r\n' +
+        'Content-Type: text/plain\r\n' +
+        'Content-Transfer-Encoding: binary\r\n' +
+        'X-Experience-API-Hash: ' + sha2 + '\r\n\r\n' +
+        attachmentContent + '\r\n' +
+        '--' + boundary + '--';
+    };
+
+    it('stores and returns attachment payloads', function(done) {
+      var credential = testData.sourceCredential;
+      var statement = generateAttachmentStatement();
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .set('Content-Type', 'multipart/mixed; boundary=' + boundary)
+        .send(createBody([ statement ], content))
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+          request(server)
+            .get('/api/statements')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query({statementId: statement.id, attachments: true})
+            .auth(credential.key, credential.secret)
+            .buffer(true)
+            .parse(function(res, callback) {
+              var body = '';
+              res.on('data', function(chunk) {
+                body += chunk;
+              });
+              res.on('end', function() {
+                return callback(null, body);
+              });
+            })
+            .expect('Content-Type', /multipart\/mixed/)
+            .expect(200)
+            .end(function(err, res) {
+              if (err) return done(err);
+              res.body.should.containEql(statement.id);
+              res.body.should.containEql('X-Experience-API-Hash: ' + sha2);
+              res.body.should.containEql(content);
+              return done();
+            });
+        });
+    });
+
+    it('rejects an attachment that does not match its sha2', function(done) {
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .set('Content-Type', 'multipart/mixed; boundary=' + boundary)
+        .send(createBody([ generateAttachmentStatement() ], 'A tampered essay'))
+        .expect(400, done);
+    });
+
+    it('rejects an attachment that does not match its length', function(done) {
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .set('Content-Type', 'multipart/mixed; boundary=' + boundary)
+        .send(createBody([ generateAttachmentStatement({length: 1}) ], content))
+        .expect(400, done);
+    });
+
+    it('requires the payload of attachments without a fileUrl', function(done) {
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send(generateAttachmentStatement())
+        .expect(400, done);
+    });
+
+    it('accepts attachments with a fileUrl without a payload', function(done) {
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send(generateAttachmentStatement({fileUrl: 'http://example.com/essays/1.txt'}))
+        .expect(200, done);
+    });
+
+    it('rejects invalid attachment declarations', function(done) {
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send(generateStatement({attachments: [ null ]}))
+        .expect(400, done);
+    });
+
+    it('does not return the payloads of attachments that were stored in a different tenant', function(done) {
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .set('Content-Type', 'multipart/mixed; boundary=' + boundary)
+        .send(createBody([ generateAttachmentStatement() ], content))
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+          shared.seedDataSet(DB, function(otherTenantData) {
+            var otherCredential = otherTenantData.sourceCredential;
+            var statement = generateAttachmentStatement({fileUrl: 'http://example.com/essays/1.txt'});
+            request(server)
+              .post('/api/statements')
+              .set('X-Experience-API-Version', '1.0.3')
+              .auth(otherCredential.key, otherCredential.secret)
+              .send(statement)
+              .expect(200)
+              .end(function(err) {
+                if (err) return done(err);
+                request(server)
+                  .get('/api/statements')
+                  .set('X-Experience-API-Version', '1.0.3')
+                  .query({statementId: statement.id, attachments: true})
+                  .auth(otherCredential.key, otherCredential.secret)
+                  .buffer(true)
+                  .parse(function(res, callback) {
+                    var body = '';
+                    res.on('data', function(chunk) {
+                      body += chunk;
+                    });
+                    res.on('end', function() {
+                      return callback(null, body);
+                    });
+                  })
+                  .expect(200)
+                  .end(function(err, res) {
+                    if (err) return done(err);
+                    res.body.should.containEql(statement.id);
+                    res.body.should.not.containEql(content);
+                    return done();
+                  });
+              });
+          });
+        });
+    });
+  });
+
+  describe('signed statements', function() {
+    var boundary = 'abcABC0123456789';
+    var root;
+    var signer;
+
+    /**
+     * Encode a value as base64url
+     */
+    var encodeBase64URL = function(value) {
+      return Buffer.from(value).toString('base64').replace(/[=]/g, '').replace(/\+/g, '-').replace(/\//g, '_');
+    };
+
+    /**
+     * Create a self-signed root certificate authority
+     */
+    var createRoot = function() {
+      var keys = forge.pki.rsa.generateKeyPair(1024);
+      var certificate = forge.pki.createCertificate();
+      certificate.publicKey = keys.publicKey;
+      certificate.serialNumber = '01';
+      certificate.validity.notBefore = new Date(Date.now() - 60 * 60 * 1000);
+      certificate.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      certificate.setSubject([ {name: 'commonName', value: 'Cloud LRS Test Root'} ]);
+      certificate.setIssuer(certificate.subject.attributes);
+      certificate.setExtensions([ {name: 'basicConstraints', cA: true} ]);
+      certificate.sign(keys.privateKey, forge.md.sha256.create());
+
+      return {keys: keys, certificate: certificate};
+    };
+
+    /**
+     * Create a signing certificate that is valid for the given period. The certificate is issued by the trusted
+     * root certificate of the tests unless it should be self-signed
+     */
+    var createSigner = function(notBefore, notAfter, selfSigned) {
+      var keys = forge.pki.rsa.generateKeyPair(1024);
+      var certificate = forge.pki.createCertificate();
+      certificate.publicKey = keys.publicKey;
+      certificate.serialNumber = '01';
+      certificate.validity.notBefore = notBefore;
+      certificate.validity.notAfter = notAfter;
+      certificate.setSubject([ {name: 'commonName', value: 'Assessment Vendor'} ]);
+      if (selfSigned) {
+        certificate.setIssuer(certificate.subject.attributes);
+        certificate.sign(keys.privateKey, forge.md.sha256.create());
+      } else {
+        certificate.setIssuer(root.certificate.subject.attributes);
+        certificate.sign(root.keys.privateKey, forge.md.sha256.create());
+      }
+
+      return {keys: keys, certificate: certificate};
+    };
+
+    /**
+     * Create a multipart/mixed body containing a statement signed with a signing certificate
+     */
+    var createSignedBody = function(statement, signedStatement, statementSigner) {
+      statementSigner = statementSigner || signer;
+      var x5c = forge.util.encode64(forge.asn1.toDer(forge.pki.certificateToAsn1(statementSigner.certificate)).getBytes());
+      var header = encodeBase64URL(JSON.stringify({alg: 'RS256', x5c: [ x5c ]}));
+      var payload = encodeBase64URL(JSON.stringify(signedStatement));
+      var jwsSigner = crypto.createSign('RSA-SHA256');
+      jwsSigner.update(header + '.' + payload);
+      var jws = header + '.' + payload + '.' + encodeBase64URL(jwsSigner.sign(forge.pki.privateKeyToPem(statementSigner.keys.privateKey)));
+
+      statement.attachments = [
+        {
+          usageType: 'http://adlnet.gov/expapi/attachments/signature',
+          display: {'en-US': 'Signature'},
+          contentType: 'application/octet-stream',
+          length: Buffer.byteLength(jws),
+          sha2: crypto.createHash('sha256').update(jws).digest('hex')
+        }
+      ];
+
+      return '--' + boundary + '\r\n' +
+        'Content-Type: application/json\r\n\r\n' +
+        JSON.stringify(statement) + '\r\n' +
+        '--' + boundary + '\r\n' +
+        'Content-Type: application/octet-stream\r\n' +
+        'Content-Transfer-Encoding: binary\r\n' +
+        'X-Experience-API-Hash: ' + statement.attachments[0].sha2 + '\r\n\r\n' +
+        jws + '\r\n' +
+        '--' + boundary + '--';
+    };
+
+    /**
+     * Store a signed statement and get the statements of its actor that have been verified
+     */
+    var getVerifiedStatements = function(statement, statementSigner, callback) {
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .set('Content-Type', 'multipart/mixed; boundary=' + boundary)
+        .send(createSignedBody(statement, _.clone(statement), statementSigner))
+        .expect(200)
+        .end(function(err) {
+          if (err) return callback(err);
+          request(server)
+            .get('/api/statements')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query({agent: JSON.stringify(statement.actor), verified: true})
+            .auth(credential.key, credential.secret)
+            .expect(200)
+            .end(function(err, res) {
+              if (err) return callback(err);
+              return callback(null, res.body.statements);
+            });
+        });
+    };
+
+    before(function() {
+      // Trust the root certificate of the tests for the duration of these tests
+      root = createRoot();
+      config.get('statements.trustedCertificates').push(forge.pki.certificateToPem(root.certificate));
+      signer = createSigner(new Date(Date.now() - 60 * 1000), new Date(Date.now() + 24 * 60 * 60 * 1000));
+    });
+
+    after(function() {
+      _.pull(config.get('statements.trustedCertificates'), forge.pki.certificateToPem(root.certificate));
+    });
+
+    it('verifies a statement signed with a trusted certificate', function(done) {
+      var statement = generateStatement();
+      getVerifiedStatements(statement, signer, function(err, statements) {
+        if (err) return done(err);
+        statements.should.have.lengthOf(1);
+        statements[0].id.should.equal(statement.id);
+        return done();
+      });
+    });
+
+    it('does not verify a statement signed with a self-signed certificate', function(done) {
+      var selfSigned = createSigner(new Date(Date.now() - 60 * 1000), new Date(Date.now() + 24 * 60 * 60 * 1000), true);
+      getVerifiedStatements(generateStatement(), selfSigned, function(err, statements) {
+        if (err) return done(err);
+        statements.should.have.lengthOf(0);
+        return done();
+      });
+    });
+
+    it('does not verify a statement signed with an expired certificate', function(done) {
+      var expired = createSigner(new Date(Date.now() - 2 * 24 * 60 * 60 * 1000), new Date(Date.now() - 24 * 60 * 60 * 1000));
+      getVerifiedStatements(generateStatement(), expired, function(err, statements) {
+        if (err) return done(err);
+        statements.should.have.lengthOf(0);
+        return done();
+      });
+    });
+
+    it('rejects a statement that does not match its signed payload', function(done) {
+      var credential = testData.sourceCredential;
+      var statement = generateStatement();
+      var signedStatement = _.extend({}, statement, {verb: {id: 'http://adlnet.gov/expapi/verbs/passed'}});
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .set('Content-Type', 'multipart/mixed; boundary=' + boundary)
+        .send(createSignedBody(statement, signedStatement))
+        .expect(400, done);
+    });
+  });
+
+  describe('authority', function() {
+    var clientAuthority = {
+      objectType: 'Agent',
+      account: {homePage: 'http://example.com', name: 'self-proclaimed'}
+    };
+
+    it('replaces the authority supplied by the client with the credential', function(done) {
+      var credential = testData.sourceCredential;
+      var statement = generateStatement({authority: clientAuthority});
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send(statement)
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+          request(server)
+            .get('/api/statements')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query({statementId: statement.id})
+            .auth(credential.key, credential.secret)
+            .expect(200)
+            .end(function(err, res) {
+              if (err) return done(err);
+              res.body.authority.name.should.equal(credential.name);
+              res.body.authority.account.name.should.equal(credential.key);
+              return done();
+            });
+        });
+    });
+
+    it('keeps the authority supplied by a trusted credential', function(done) {
+      var credential = testData.sourceCredential;
+      var statement = generateStatement({authority: clientAuthority});
+      DB.Credential.update({authority_permission: true}, {where: {key: credential.key}}).then(function() {
+        request(server)
+          .post('/api/statements')
+          .set('X-Experience-API-Version', '1.0.3')
+          .auth(credential.key, credential.secret)
+          .send(statement)
+          .expect(200)
+          .end(function(err) {
+            if (err) return done(err);
+            request(server)
+              .get('/api/statements')
+              .set('X-Experience-API-Version', '1.0.3')
+              .query({statementId: statement.id})
+              .auth(credential.key, credential.secret)
+              .expect(200)
+              .end(function(err, res) {
+                DB.Credential.update({authority_permission: false}, {where: {key: credential.key}}).then(function() {
+                  if (err) return done(err);
+                  res.body.authority.should.eql(clientAuthority);
+                  return done();
+                });
+              });
+          });
+      });
+    });
+  });
+
+  describe('X-Experience-API-Version', function() {
+    it('is included in every response', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .expect('X-Experience-API-Version', '1.0.3')
+        .expect(200, done);
+    });
+    it('is required by the xAPI resources', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get('/api/statements')
+        .auth(credential.key, credential.secret)
+        .expect('X-Experience-API-Version', '1.0.3')
+        .expect(400, done);
+    });
+    it('is not required to store Caliper events', function(done) {
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .auth(credential.key, credential.secret)
+        .send(generateEvent())
+        .expect(200, done);
+    });
+    it('is not negotiated for the other APIs', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get('/api/user/' + testData.user.external_id + '/recentactivities')
+        .set('X-Experience-API-Version', '0.95')
+        .auth(credential.key, credential.secret)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          should.not.exist(res.headers['x-experience-api-version']);
+          return done();
+        });
+    });
+    it('rejects unsupported versions', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get('/api/statements')
+        .set('X-Experience-API-Version', '0.95')
+        .auth(credential.key, credential.secret)
+        .expect(400, done);
+    });
+    it('stores statements with the version they were sent with', function(done) {
+      var statement = generateStatement({version: '1.0.1'});
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send(statement)
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+          DB.Statement.findByPk(statement.id).then(function(storedStatement) {
+            storedStatement.statement_version.should.equal('1.0.1');
+            return done();
+          });
+        });
+    });
+    it('stores statements with the full version when the patch number is omitted', function(done) {
+      var statement = generateStatement({version: '1.0'});
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send(statement)
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+          DB.Statement.findByPk(statement.id).then(function(storedStatement) {
+            storedStatement.statement_version.should.equal('1.0.0');
+            return done();
+          });
+        });
+    });
+    it('accepts xAPI 2.0 statements with context agents', function(done) {
+      var statement = generateStatement({
+        context: {
+          contextAgents: [
+            {
+              objectType: 'contextAgent',
+              agent: {mbox: 'mailto:instructor@example.com'},
+              relevantTypes: [ 'http://example.com/types/instructor' ]
+            }
+          ]
+        }
+      });
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '2.0.0')
+        .auth(credential.key, credential.secret)
+        .send(statement)
+        .expect('X-Experience-API-Version', '2.0.0')
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+          request(server)
+            .get('/api/statements')
+            .query({statementId: statement.id})
+            .set('X-Experience-API-Version', '2.0.0')
+            .auth(credential.key, credential.secret)
+            .expect(200)
+            .end(function(err, res) {
+              if (err) return done(err);
+              res.body.version.should.equal('2.0.0');
+              res.body.context.contextAgents.should.have.lengthOf(1);
+              return done();
+            });
+        });
+    });
+    it('rejects xAPI 2.0 statements with a timestamp without time zone', function(done) {
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '2.0.0')
+        .auth(credential.key, credential.secret)
+        .send(generateStatement({timestamp: '2026-01-01T12:00:00.000'}))
+        .expect(400, done);
+    });
+    it('rejects context agents in xAPI 1.0 statements', function(done) {
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send(generateStatement({
+          context: {
+            contextAgents: [
+              {
+                objectType: 'contextAgent',
+                agent: {mbox: 'mailto:instructor@example.com'}
+              }
+            ]
+          }
+        }))
+        .expect(400, done);
+    });
+  });
+
+  describe('Caliper validation', function() {
+    var CALIPER_1_2 = 'http://purl.imsglobal.org/ctx/caliper/v1p2';
+
+    it('stores a Caliper 1.2 event that follows its metric profile', function(done) {
+      var event = generateEvent({
+        '@context': CALIPER_1_2,
+        type: 'MediaEvent',
+        action: 'Paused',
+        object: {
+          id: 'http://example.com/videos/' + randomstring.generate({charset: 'alphabetic', length: 10}),
+          type: 'VideoObject'
+        }
+      });
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .auth(credential.key, credential.secret)
+        .send(event)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.should.eql([ event.id.split(':').pop() ]);
+          return done();
+        });
+    });
+    it('lists every metric profile rule a Caliper 1.2 event fails', function(done) {
+      var event = generateEvent({
+        '@context': CALIPER_1_2,
+        type: 'MediaEvent',
+        action: 'Paused',
+        actor: {
+          id: 'http://example.com/groups/' + randomstring.generate({charset: 'alphabetic', length: 10}),
+          type: 'Group'
+        }
+      });
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .auth(credential.key, credential.secret)
+        .send(event)
+        .expect(400)
+        .end(function(err, res) {
+          if (err) return done(err);
+          _.map(res.body.errors, 'rule').should.eql(['actorType', 'objectType']);
+          _.map(res.body.errors, 'profile').should.eql(['Media', 'Media']);
+          return done();
+        });
+    });
+    it('rejects an action the event type does not support', function(done) {
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .auth(credential.key, credential.secret)
+        .send(generateEvent({'@context': CALIPER_1_2, type: 'SessionEvent', action: 'Viewed'}))
+        .expect(400)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.errors.should.have.lengthOf(1);
+          res.body.errors[0].should.match({rule: 'action', profile: 'Session'});
+          return done();
+        });
+    });
+    it('lists every required property a Caliper event fails', function(done) {
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .auth(credential.key, credential.secret)
+        .send(generateEvent({'@context': CALIPER_1_2, id: 'urn:uuid:not-a-uuid', action: '', eventTime: '2026-10-19 10:00'}))
+        .expect(400)
+        .end(function(err, res) {
+          if (err) return done(err);
+          _.map(res.body.errors, 'rule').should.eql(['required', 'id', 'eventTime']);
+          return done();
+        });
+    });
+    it('rejects an unsupported Caliper version', function(done) {
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .auth(credential.key, credential.secret)
+        .send(generateEvent({'@context': 'http://purl.imsglobal.org/ctx/caliper/v1p0'}))
+        .expect(400)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.errors[0].rule.should.equal('context');
+          return done();
+        });
+    });
+    it('stores a Caliper event whose actor is only referenced by its IRI', function(done) {
+      var event = generateEvent({
+        '@context': CALIPER_1_2,
+        actor: 'http://example.com/users/' + randomstring.generate({charset: 'numeric', length: 8})
+      });
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .auth(credential.key, credential.secret)
+        .send(event)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.should.eql([ event.id.split(':').pop() ]);
+          DB.Statement.findByPk(res.body[0]).then(function(storedStatement) {
+            should.not.exist(storedStatement.actor_type);
+            should.not.exist(storedStatement.actor_id);
+            return done();
+          }).catch(done);
+        });
+    });
+    it('stores a Caliper 1.2 tool launch event', function(done) {
+      var event = generateEvent({
+        '@context': CALIPER_1_2,
+        type: 'ToolLaunchEvent',
+        action: 'Launched',
+        object: {
+          id: 'http://example.com/tools/' + randomstring.generate({charset: 'alphabetic', length: 10}),
+          type: 'SoftwareApplication'
+        }
+      });
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .auth(credential.key, credential.secret)
+        .send(event)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.should.eql([ event.id.split(':').pop() ]);
+          return done();
+        });
+    });
+    it('rejects a Caliper 1.2 event of an unknown type', function(done) {
+      var event = generateEvent({
+        '@context': CALIPER_1_2,
+        type: 'UnknownEvent'
+      });
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .auth(credential.key, credential.secret)
+        .send(event)
+        .expect(400)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.errors.should.have.lengthOf(1);
+          res.body.errors[0].should.match({rule: 'type', property: 'type'});
+          return done();
+        });
+    });
+    it('rejects a generic Caliper 1.2 event with an action outside of the Caliper action vocabulary', function(done) {
+      var event = generateEvent({
+        '@context': CALIPER_1_2,
+        type: 'Event',
+        action: 'Juggled'
+      });
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .auth(credential.key, credential.secret)
+        .send(event)
+        .expect(400)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.errors[0].should.match({rule: 'action', profile: 'Basic'});
+          return done();
+        });
+    });
+  });
+
+  describe('non-person actors', function() {
+
+    /**
+     * Generate an xAPI group of agents for random actors
+     */
+    var generateGroup = function(overrides) {
+      return _.extend({
+        objectType: 'Group',
+        name: 'Test Group',
+        member: [
+          {
+            objectType: 'Agent',
+            mbox: 'mailto:' + randomstring.generate({charset: 'alphabetic', length: 10}) + '@example.com'
+          },
+          {
+            objectType: 'Agent',
+            mbox: 'mailto:' + randomstring.generate({charset: 'alphabetic', length: 10}) + '@example.com'
+          }
+        ]
+      }, overrides);
+    };
+
+    it('stores statements of identified groups with their members', function(done) {
+      var group = generateGroup({mbox: 'mailto:' + randomstring.generate({charset: 'alphabetic', length: 10}) + '@example.com'});
+      var statement = generateStatement({actor: group});
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send(statement)
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+          DB.Statement.findByPk(statement.id).then(function(storedStatement) {
+            should.not.exist(storedStatement.user_id);
+            storedStatement.actor_type.should.equal('Group');
+            return DB.ActorMember.count({where: {actor_id: storedStatement.actor_id}});
+          }).then(function(count) {
+            count.should.equal(2);
+            return done();
+          }).catch(done);
+        });
+    });
+    it('identifies anonymous groups by their members', function(done) {
+      var group = generateGroup();
+      var statements = [generateStatement({actor: group}), generateStatement({actor: group})];
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send(statements)
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+          DB.Statement.findAll({where: {uuid: _.map(statements, 'id')}}).then(function(storedStatements) {
+            storedStatements.should.have.lengthOf(2);
+            should.exist(storedStatements[0].actor_id);
+            storedStatements[0].actor_id.should.equal(storedStatements[1].actor_id);
+            return done();
+          }).catch(done);
+        });
+    });
+    it('stores Caliper events of organizations with their members', function(done) {
+      var login = randomstring.generate({charset: 'numeric', length: 8});
+      var event = generateEvent({
+        '@context': 'http://purl.imsglobal.org/ctx/caliper/v1p1',
+        actor: {
+          id: 'http://example.com/organizations/' + randomstring.generate({charset: 'alphabetic', length: 10}),
+          type: 'Organization',
+          name: 'Test Organization',
+          members: [
+            {
+              id: 'http://example.com/users/' + login,
+              type: 'Person',
+              extensions: [
+                {
+                  user_login: login
+                }
+              ]
+            }
+          ]
+        }
+      });
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .auth(credential.key, credential.secret)
+        .send(event)
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+          DB.Statement.findByPk(event.id.split(':').pop(), {include: [ DB.Actor ]}).then(function(storedStatement) {
+            storedStatement.actor.type.should.equal('Organization');
+            storedStatement.actor.name.should.equal('Test Organization');
+            return DB.ActorMember.count({where: {actor_id: storedStatement.actor_id}});
+          }).then(function(count) {
+            count.should.equal(1);
+            return done();
+          }).catch(done);
+        });
+    });
+  });
+
+  describe('identity mapping', function() {
+    it('maps actors to users through the identity mapping rules of the credential', function(done) {
+      var credentialKey = randomstring.generate({length: 8}) + '-mapped';
+      DB.Credential.create({
+        name: credentialKey,
+        key: credentialKey,
+        secret: randomstring.generate({length: 8}),
+        read_permission: true,
+        write_permission: true,
+        identity_mapping: [ {path: 'id', pattern: '/people/(\\d+)$'} ],
+        tenant_id: testData.tenant.id
+      }).then(function(credential) {
+        var externalId = randomstring.generate({charset: 'numeric', length: 8});
+        var event = generateEvent({
+          '@context': 'http://purl.imsglobal.org/ctx/caliper/v1p2',
+          actor: {
+            id: 'http://example.com/people/' + externalId,
+            type: 'Person'
+          }
+        });
+        request(server)
+          .post('/api/statements')
+          .auth(credential.key, credential.secret)
+          .send(event)
+          .expect(200)
+          .end(function(err) {
+            if (err) return done(err);
+            DB.User.findOne({where: {tenant_id: testData.tenant.id, external_id: externalId}}).then(function(user) {
+              should.exist(user);
+              return done();
+            }).catch(done);
+          });
+      }).catch(done);
+    });
+    it('falls back to the identity mapping rules of the configuration', function(done) {
+      var statement = generateStatement();
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send(statement)
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+          DB.User.findOne({where: {tenant_id: testData.tenant.id, external_id: statement.actor.mbox}}).then(function(user) {
+            should.exist(user);
+            user.name.should.equal('Test Agent');
+            return done();
+          }).catch(done);
+        });
+    });
+    it('maps the person a software application acts for to a user', function(done) {
+      var login = randomstring.generate({charset: 'numeric', length: 8});
+      var event = generateEvent({
+        actor: {
+          id: 'http://example.com/apps/grader',
+          type: 'SoftwareApplication'
+        },
+        object: {
+          id: 'http://example.com/attempts/' + randomstring.generate({charset: 'alphabetic', length: 10}),
+          type: 'Attempt',
+          actor: {
+            id: 'http://example.com/users/' + login,
+            type: 'Person',
+            extensions: [
+              {
+                user_login: login
+              }
+            ]
+          }
+        },
+        '@context': 'http://purl.imsglobal.org/ctx/caliper/v1p1',
+        type: 'OutcomeEvent',
+        action: 'Graded'
+      });
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .auth(credential.key, credential.secret)
+        .send(event)
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+          DB.Statement.findByPk(event.id.split(':').pop(), {include: [ DB.User ]}).then(function(statement) {
+            statement.user.external_id.should.equal(login);
+            return done();
+          }).catch(done);
+        });
+    });
+  });
+
+  describe('Caliper envelopes', function() {
+    it('rejects an envelope with an invalid event and reports the result of every item', function(done) {
+      var event = generateEvent();
+      var invalidEvent = _.omit(generateEvent(), 'object');
+      var entity = {
+        id: 'http://example.com/pages/' + randomstring.generate({charset: 'alphabetic', length: 10}),
+        type: 'WebPage',
+        name: 'Test Page'
+      };
+      var envelope = generateEnvelope([event, invalidEvent, entity]);
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .auth(credential.key, credential.secret)
+        .send(envelope)
+        .expect(400)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.sensor.should.equal(envelope.sensor);
+          res.body.results.should.have.lengthOf(3);
+          res.body.results[0].should.eql({id: event.id, type: 'NavigationEvent', status: 'stored'});
+          res.body.results[1].status.should.equal('failed');
+          res.body.results[1].code.should.equal(400);
+          res.body.results[2].should.eql({id: entity.id, type: 'WebPage', status: 'stored'});
+          return done();
+        });
+    });
+    it('stores the events with the sensor that sent them', function(done) {
+      var event = generateEvent();
+      var credential = testData.sourceCredential;
+      var envelope = generateEnvelope([ event ]);
+      request(server)
+        .post('/api/statements')
+        .auth(credential.key, credential.secret)
+        .send(envelope)
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+          DB.Statement.findByPk(event.id.split(':').pop()).then(function(statement) {
+            statement.sensor.should.equal(envelope.sensor);
+            statement.statement['@context'].should.equal(envelope.dataVersion);
+            return done();
+          }).catch(done);
+        });
+    });
+    it('rejects an envelope without a send time', function(done) {
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .auth(credential.key, credential.secret)
+        .send(_.omit(generateEnvelope([ generateEvent() ]), 'sendTime'))
+        .expect(400, done);
+    });
+  });
+
+  describe('entity registry', function() {
+    /**
+     * Generate the description of a Caliper entity
+     */
+    var generateEntity = function() {
+      return {
+        id: 'http://example.com/pages/' + randomstring.generate({charset: 'alphabetic', length: 10}),
+        type: 'WebPage',
+        name: 'Test Page'
+      };
+    };
+
+    it('keeps a versioned history of the descriptions of an entity', function(done) {
+      var entity = generateEntity();
+      var renamedEntity = _.extend({}, entity, {name: 'Renamed Page'});
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .auth(credential.key, credential.secret)
+        .send(generateEnvelope([ entity ]))
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+          request(server)
+            .post('/api/statements')
+            .auth(credential.key, credential.secret)
+            .send(generateEnvelope([ renamedEntity ]))
+            .expect(200)
+            .end(function(err) {
+              if (err) return done(err);
+              DB.Entity.findOne({where: {iri: entity.id}}).then(function(storedEntity) {
+                storedEntity.version.should.equal(2);
+                storedEntity.properties.name.should.equal('Renamed Page');
+                return DB.EntityVersion.findAll({where: {entity_id: storedEntity.id}, order: [ 'version' ]});
+              }).then(function(entityVersions) {
+                _.map(entityVersions, 'version').should.eql([1, 2]);
+                entityVersions[0].properties.name.should.equal('Test Page');
+                return done();
+              }).catch(done);
+            });
+        });
+    });
+    it('does not record a new version for an unchanged description', function(done) {
+      var entity = generateEntity();
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .auth(credential.key, credential.secret)
+        .send(generateEnvelope([entity, entity]))
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+          DB.Entity.findOne({where: {iri: entity.id}}).then(function(storedEntity) {
+            storedEntity.version.should.equal(1);
+            return done();
+          }).catch(done);
+        });
+    });
+    it('resolves the entities referenced by an event when requested', function(done) {
+      var entity = generateEntity();
+      var event = generateEvent({object: _.pick(entity, ['id', 'type'])});
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .auth(credential.key, credential.secret)
+        .send(generateEnvelope([entity, event]))
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+          request(server)
+            .get('/api/statements')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query({statementId: event.id, resolve: true})
+            .auth(credential.key, credential.secret)
+            .expect(200)
+            .end(function(err, res) {
+              if (err) return done(err);
+              res.body.object.should.eql(entity);
+              request(server)
+                .get('/api/statements')
+                .set('X-Experience-API-Version', '1.0.3')
+                .query({statementId: event.id})
+                .auth(credential.key, credential.secret)
+                .expect(200)
+                .end(function(err, res) {
+                  if (err) return done(err);
+                  res.body.object.should.eql(event.object);
+                  return done();
+                });
+            });
+        });
+    });
+  });
+
+  describe('courses', function() {
+    /**
+     * Generate an xAPI course activity
+     */
+    var generateCourseActivity = function() {
+      return {
+        objectType: 'Activity',
+        id: 'http://example.com/courses/' + randomstring.generate({charset: 'alphabetic', length: 10}),
+        definition: {
+          type: 'http://adlnet.gov/expapi/activities/course',
+          name: {'en-US': 'Test Course'}
+        }
+      };
+    };
+
+    /**
+     * Store a statement and get the stored statement with its course
+     */
+    var storeStatement = function(statement, callback) {
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send(statement)
+        .expect(200)
+        .end(function(err) {
+          if (err) return callback(err);
+          DB.Statement.findByPk(statement.id.split(':').pop(), {include: [ DB.Course ]}).then(function(storedStatement) {
+            return callback(null, storedStatement);
+          }).catch(callback);
+        });
+    };
+
+    it('creates a course for the course activity an xAPI statement is grouped by', function(done) {
+      var courseActivity = generateCourseActivity();
+      storeStatement(generateStatement({context: {contextActivities: {grouping: [ courseActivity ]}}}), function(err, statement) {
+        if (err) return done(err);
+        statement.course.context_iri.should.equal(courseActivity.id);
+        statement.course.name.should.equal('Test Course');
+        statement.course.tenant_id.should.equal(testData.tenant.id);
+        return done();
+      });
+    });
+    it('attaches xAPI statements to a known course through their parent activities', function(done) {
+      var courseActivity = generateCourseActivity();
+      storeStatement(generateStatement({context: {contextActivities: {grouping: [ courseActivity ]}}}), function(err, statement) {
+        if (err) return done(err);
+        var parentActivity = {id: courseActivity.id};
+        storeStatement(generateStatement({context: {contextActivities: {parent: [ parentActivity ]}}}), function(err, otherStatement) {
+          if (err) return done(err);
+          otherStatement.course_id.should.equal(statement.course_id);
+          return done();
+        });
+      });
+    });
+    it('does not create courses for other context activities', function(done) {
+      var groupingActivity = {id: 'http://example.com/modules/' + randomstring.generate({charset: 'alphabetic', length: 10})};
+      storeStatement(generateStatement({context: {contextActivities: {grouping: [ groupingActivity ]}}}), function(err, statement) {
+        if (err) return done(err);
+        should.not.exist(statement.course_id);
+        return done();
+      });
+    });
+    it('links Caliper events to the Canvas course site of their course offering', function(done) {
+      var canvasCourseId = parseInt(randomstring.generate({charset: 'numeric', length: 7}), 10);
+      DB.Course.create({
+        canvas_course_id: canvasCourseId,
+        name: 'Canvas Course',
+        tenant_id: testData.tenant.id
+      }).then(function(course) {
+        var event = _.extend(generateEvent({
+          group: {
+            id: 'http://caliper.canvaslms.com/live-events/courses/1072000000' + _.padStart(canvasCourseId, 7, '0'),
+            type: 'CourseOffering'
+          }
+        }), {'@context': 'http://purl.imsglobal.org/ctx/caliper/v1p1'});
+        storeStatement(event, function(err, statement) {
+          if (err) return done(err);
+          statement.course_id.should.equal(course.id);
+          statement.course.context_iri.should.equal(event.group.id);
+          return done();
+        });
+      }).catch(done);
+    });
+  });
+
+  describe('POST /caliper', function() {
+    var apiKey;
+
+    before(function(done) {
+      var credentialKey = randomstring.generate({length: 8}) + '-sensor';
+      apiKey = randomstring.generate({length: 32});
+      DB.Credential.create({
+        name: credentialKey,
+        key: credentialKey,
+        secret: randomstring.generate({length: 8}),
+        api_key: apiKey,
+        read_permission: false,
+        write_permission: true,
+        tenant_id: testData.tenant.id
+      }).then(function() {
+        return done();
+      }).catch(done);
+    });
+
+    it('stores the events of an envelope sent with a Bearer token', function(done) {
+      var event = generateEvent();
+      request(server)
+        .post('/api/caliper')
+        .set('Authorization', 'Bearer ' + apiKey)
+        .send(generateEnvelope([ event ]))
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.results[0].status.should.equal('stored');
+          DB.Statement.findByPk(event.id.split(':').pop()).then(function(statement) {
+            should.exist(statement);
+            return done();
+          }).catch(done);
+        });
+    });
+    it('requires a Bearer token', function(done) {
+      request(server)
+        .post('/api/caliper')
+        .send(generateEnvelope([ generateEvent() ]))
+        .expect('WWW-Authenticate', 'Bearer')
+        .expect(401, done);
+    });
+    it('rejects an unknown API key', function(done) {
+      request(server)
+        .post('/api/caliper')
+        .set('Authorization', 'Bearer ' + randomstring.generate({length: 32}))
+        .send(generateEnvelope([ generateEvent() ]))
+        .expect(401, done);
+    });
+    it('does not accept Basic authentication', function(done) {
+      var credential = testData.sourceCredential;
+      request(server)
+        .post('/api/caliper')
+        .auth(credential.key, credential.secret)
+        .send(generateEnvelope([ generateEvent() ]))
+        .expect(401, done);
+    });
+    it('only accepts JSON', function(done) {
+      request(server)
+        .post('/api/caliper')
+        .set('Authorization', 'Bearer ' + apiKey)
+        .set('Content-Type', 'text/plain')
+        .send(JSON.stringify(generateEnvelope([ generateEvent() ])))
+        .expect(415, done);
+    });
+    it('rejects a body that is not an envelope', function(done) {
+      request(server)
+        .post('/api/caliper')
+        .set('Authorization', 'Bearer ' + apiKey)
+        .send(generateEvent())
+        .expect(400, done);
+    });
+    it('rejects malformed JSON', function(done) {
+      request(server)
+        .post('/api/caliper')
+        .set('Authorization', 'Bearer ' + apiKey)
+        .set('Content-Type', 'application/json')
+        .send('{"sensor": ')
+        .expect(400, done);
+    });
+    it('rejects an envelope with an invalid event and reports the result of every event', function(done) {
+      var event = generateEvent();
+      request(server)
+        .post('/api/caliper')
+        .set('Authorization', 'Bearer ' + apiKey)
+        .send(generateEnvelope([event, generateEvent({eventTime: 'yesterday'})]))
+        .expect(400)
+        .end(function(err, res) {
+          if (err) return done(err);
+          _.map(res.body.results, 'status').should.eql(['stored', 'failed']);
+          return done();
+        });
+    });
+  });
+
+  describe('GET /activities', function() {
+    it('returns the merged definition of an activity', function(done) {
+      var credential = testData.sourceCredential;
+      var first = generateStatement();
+      first.object.definition.name = {'en-US': 'Lecture'};
+      var second = generateStatement({
+        object: {
+          objectType: 'Activity',
+          id: first.object.id,
+          definition: {
+            type: 'http://adlnet.gov/expapi/activities/media',
+            name: {'nl-NL': 'College'},
+            description: {'en-US': 'A recorded lecture'}
+          }
+        }
+      });
+
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send([first, second])
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+          request(server)
+            .get('/api/activities')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query({activityId: first.object.id})
+            .auth(credential.key, credential.secret)
+            .expect(200)
+            .end(function(err, res) {
+              if (err) return done(err);
+              res.body.objectType.should.equal('Activity');
+              res.body.definition.name.should.eql({'en-US': 'Lecture', 'nl-NL': 'College'});
+              res.body.definition.description.should.eql({'en-US': 'A recorded lecture'});
+              return done();
+            });
+        });
+    });
+
+    it('returns an unknown activity with only its id', function(done) {
+      var credential = testData.sourceCredential;
+      var activityId = 'http://example.com/activities/' + randomstring.generate({charset: 'alphabetic', length: 10});
+      request(server)
+        .get('/api/activities')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query({activityId: activityId})
+        .auth(credential.key, credential.secret)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.should.eql({objectType: 'Activity', id: activityId});
+          return done();
+        });
+    });
+  });
+
+  describe('GET /agents', function() {
+    it('combines the identifiers that have been seen for an agent', function(done) {
+      var credential = testData.sourceCredential;
+      var mboxStatement = generateStatement();
+      var accountStatement = generateStatement({
+        actor: {
+          objectType: 'Agent',
+          account: {homePage: 'http://canvas.example.com', name: mboxStatement.actor.mbox}
+        }
+      });
+
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(credential.key, credential.secret)
+        .send([mboxStatement, accountStatement])
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+          request(server)
+            .get('/api/agents')
+            .set('X-Experience-API-Version', '1.0.3')
+            .query({agent: JSON.stringify(mboxStatement.actor)})
+            .auth(credential.key, credential.secret)
+            .expect(200)
+            .end(function(err, res) {
+              if (err) return done(err);
+              res.body.objectType.should.equal('Person');
+              res.body.name.should.eql([ 'Test Agent' ]);
+              res.body.mbox.should.eql([ mboxStatement.actor.mbox ]);
+              res.body.account.should.eql([ accountStatement.actor.account ]);
+              return done();
+            });
+        });
+    });
+
+    it('returns a Person object for an unknown agent', function(done) {
+      var credential = testData.sourceCredential;
+      var agent = generateStatement().actor;
+      request(server)
+        .get('/api/agents')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query({agent: JSON.stringify(agent)})
+        .auth(credential.key, credential.secret)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.should.eql({objectType: 'Person', name: [ 'Test Agent' ], mbox: [ agent.mbox ]});
+          return done();
+        });
+    });
+
+    it('returns a Person object for an agent that can not be mapped to a user', function(done) {
+      var credential = testData.sourceCredential;
+      var agent = {
+        objectType: 'Agent',
+        mbox_sha1sum: crypto.createHash('sha1').update('mailto:' + uuid.v4() + '@example.com').digest('hex')
+      };
+      request(server)
+        .get('/api/agents')
+        .set('X-Experience-API-Version', '1.0.3')
+        .query({agent: JSON.stringify(agent)})
+        .auth(credential.key, credential.secret)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.should.eql({objectType: 'Person', mbox_sha1sum: [ agent.mbox_sha1sum ]});
+          return done();
+        });
+    });
+  });
+
+  describe('GET /about', function() {
+    it('does not require authentication', function(done) {
+      request(server)
+        .get('/api/about')
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.version.should.containEql('1.0.3');
+          res.body.version.should.containEql('2.0.0');
+          res.body.extensions['https://github.com/ets-berkeley-edu/cloud-lrs/extensions/caliper'].versions.should.containEql('v1p1');
+          res.body.extensions['https://github.com/ets-berkeley-edu/cloud-lrs/extensions/caliper'].versions.should.containEql('v1p2');
+          return done();
+        });
+    });
+  });
+});
@@ -78,6 +78,82 @@ describe('Tests against running server', function() {
           return done();
         });
     });
+    it('returns the statement of every activity as JSON', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get(apiPath('/recentactivities'))
+        .auth(credential.key, credential.secret)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.results[0].statement.should.be.an.Object();
+          res.body.results[0].statement.actor.type.should.equal('Person');
+          return done();
+        });
+    });
+    it('exposes the authority of every activity', function(done) {
+      var credential = testData.consumerCredential;
+      request(server)
+        .get(apiPath('/recentactivities'))
+        .auth(credential.key, credential.secret)
+        .expect(200)
+        .end(function(err, res) {
+          if (err) return done(err);
+          res.body.results[0].authority.account.name.should.equal(testData.sourceCredential.key);
+          return done();
+        });
+    });
+    it('includes the activities of the groups the user is a member of', function(done) {
+      var memberExternalId = randomstring.generate({charset: 'numeric', length: 8});
+      var statement = {
+        actor: {
+          objectType: 'Group',
+          name: 'Test Team',
+          account: {
+            homePage: 'http://example.com',
+            name: 'team-' + randomstring.generate({charset: 'alphabetic', length: 8})
+          },
+          member: [
+            {
+              objectType: 'Agent',
+              account: {
+                homePage: 'http://example.com',
+                name: memberExternalId
+              }
+            }
+          ]
+        },
+        verb: {
+          id: 'http://adlnet.gov/expapi/verbs/completed',
+          display: {'en-US': 'completed'}
+        },
+        object: {
+          objectType: 'Activity',
+          id: 'http://example.com/activities/team-project'
+        }
+      };
+      var sourceCredential = testData.sourceCredential;
+      request(server)
+        .post('/api/statements')
+        .set('X-Experience-API-Version', '1.0.3')
+        .auth(sourceCredential.key, sourceCredential.secret)
+        .send(statement)
+        .expect(200)
+        .end(function(err) {
+          if (err) return done(err);
+          var credential = testData.consumerCredential;
+          request(server)
+            .get(apiPath('/recentactivities', memberExternalId))
+            .auth(credential.key, credential.secret)
+            .expect(200)
+            .end(function(err, res) {
+              if (err) return done(err);
+              res.body.total.should.equal(1);
+              res.body.results[0].statement.actor.objectType.should.equal('Group');
+              return done();
+            });
+        });
+    });
     it('misses access with a different tenant', function(done) {
       shared.seedDataSet(DB, function(otherTenantData) {
         var credential = otherTenantData.consumerCredential;